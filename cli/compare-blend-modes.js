@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * compare-blend-modes: remove watermarks with the blend inverted in sRGB and
+ * in linear light, and report the residual quality score of each mode
+ *
+ * Usage:
+ *   node cli/compare-blend-modes.js [--out <directory>] [image...]
+ *
+ * Without images, the bundled watermarked samples in assets/ are used.
+ * With --out, both results are written as <name>.srgb.png and <name>.linear.png.
+ */
+
+import { readdir, readFile, mkdir, writeFile } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { createNodeEngine, decodeImage, encodeImage } from './nodeEngine.js';
+import { WATERMARK_TYPE, WATERMARK_STATUS } from '../js/core/watermarkEngine.js';
+import { BLEND_MODE } from '../js/core/blendModes.js';
+import { getProviders } from '../js/core/providerRegistry.js';
+
+const ASSETS_DIR = fileURLToPath(new URL('../assets/', import.meta.url));
+
+/**
+ * Get a file name without its extension
+ * @param {string} path - File path or URL
+ * @returns {string} Base name without extension
+ */
+function stem(path) {
+    return basename(path, extname(path));
+}
+
+/**
+ * List the bundled watermarked samples (every asset that is not a template)
+ * Float templates keep the name of the capture they were converted from,
+ * so that capture is skipped too.
+ * @returns {Promise<string[]>} Sample file paths
+ */
+async function listSamples() {
+    const templates = new Set();
+    getProviders().forEach(provider => Object.values(provider.templates).forEach(template => {
+        templates.add(stem(template.path));
+        if (typeof template.logoColor === 'string') templates.add(stem(template.logoColor));
+    }));
+
+    return (await readdir(ASSETS_DIR))
+        .filter(name => ['.png', '.jpg', '.jpeg'].includes(extname(name).toLowerCase()) && !templates.has(stem(name)))
+        .sort()
+        .map(name => join(ASSETS_DIR, name));
+}
+
+/**
+ * Compare two processed versions of the same image
+ * Only the watermark area differs, so the mean is taken over changed values.
+ * @param {Uint8ClampedArray} a - First RGBA image
+ * @param {Uint8ClampedArray} b - Second RGBA image
+ * @returns {{mean: number, max: number}} Mean and largest absolute difference of the changed channel values
+ */
+function compareOutputs(a, b) {
+    let sum = 0, max = 0, count = 0;
+    for (let i = 0; i < a.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+            const diff = Math.abs(a[i + c] - b[i + c]);
+            if (diff > 0) {
+                sum += diff;
+                count++;
+                max = Math.max(max, diff);
+            }
+        }
+    }
+    return { mean: count > 0 ? sum / count : 0, max };
+}
+
+/**
+ * Run the comparison
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: { out: { type: 'string', short: 'o' } }
+    });
+
+    const engine = await createNodeEngine();
+    const files = positionals.length > 0 ? positionals : await listSamples();
+    if (values.out) await mkdir(values.out, { recursive: true });
+
+    console.log(['file', 'type', 'srgb', 'linear', 'changed (mean/max)'].join('\t'));
+
+    for (const file of files) {
+        const encoded = await readFile(file);
+        const results = {};
+
+        for (const mode of [BLEND_MODE.SRGB, BLEND_MODE.LINEAR]) {
+            const pixels = decodeImage(encoded);
+            const info = await engine.processImageData(pixels, WATERMARK_TYPE.AUTO, {
+                mimeType: pixels.mimeType,
+                blendMode: mode
+            });
+            results[mode] = { pixels, info };
+
+            if (values.out && info.status !== WATERMARK_STATUS.NO_WATERMARK) {
+                const output = join(values.out, `${basename(file, extname(file))}.${mode}.png`);
+                await writeFile(output, encodeImage(pixels, 'image/png'));
+            }
+        }
+
+        const { srgb, linear } = results;
+        if (srgb.info.status === WATERMARK_STATUS.NO_WATERMARK) {
+            console.log([basename(file), '-', '-', '-', 'no watermark'].join('\t'));
+            continue;
+        }
+
+        const diff = compareOutputs(srgb.pixels.data, linear.pixels.data);
+        console.log([
+            basename(file),
+            srgb.info.type,
+            srgb.info.qualityScore,
+            linear.info.qualityScore,
+            `${diff.mean.toFixed(2)}/${diff.max}`
+        ].join('\t'));
+    }
+
+    return 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(`compare-blend-modes: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * convert-template: convert background captures to float watermark templates
+ *
+ * Usage:
+ *   node cli/convert-template.js [--out <directory>] <capture.png>...
+ *
+ * Each capture (white logo over black) is written as <name>.lsjt next to it,
+ * or into --out. Alpha is computed once here, so the engine no longer reads
+ * it from the capture pixels; point the manifest template at the .lsjt file
+ * with "format": "float".
+ */
+
+import { readFile, mkdir, writeFile } from 'node:fs/promises';
+import { basename, dirname, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { decodeImage } from './nodeEngine.js';
+import { calculateAlphaMap } from '../js/core/alphaMap.js';
+import { encodeTemplate } from '../js/core/templateFormat.js';
+
+const USAGE = 'Usage: node cli/convert-template.js [--out <directory>] <capture.png>...';
+
+/**
+ * Run the conversion
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: { out: { type: 'string', short: 'o' } }
+    });
+
+    if (positionals.length === 0) {
+        console.error(`convert-template: expected at least one capture\n\n${USAGE}`);
+        return 2;
+    }
+    if (values.out) await mkdir(values.out, { recursive: true });
+
+    for (const file of positionals) {
+        const { width, height, data } = decodeImage(await readFile(file));
+        const template = {
+            width,
+            height,
+            alphaMap: calculateAlphaMap({ width, height, data }),
+            logoColor: null,
+            // Capture pixels are sRGB-encoded; the engine decodes this alpha for linear blending
+            encodedAlpha: true
+        };
+
+        const output = join(values.out || dirname(file), `${basename(file, extname(file))}.lsjt`);
+        await writeFile(output, encodeTemplate(template));
+        console.log(`${file} -> ${output}  (${width}×${height})`);
+    }
+
+    return 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(`convert-template: ${error.message}`);
+    process.exitCode = 1;
+});
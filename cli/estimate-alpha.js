@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * estimate-alpha: estimate a float watermark template from watermarked images
+ *
+ * Usage:
+ *   node cli/estimate-alpha.js --size <WxH> --offset <X,Y> [--anchor bottom-right]
+ *                              [--padding 4] [--out template.lsjt] <image>...
+ *
+ * Every image must carry the watermark at the given size and offset from the
+ * anchor corner, over backgrounds that differ between images (see
+ * alphaEstimator.js). The estimated alpha and per-pixel logo colour are
+ * written as a float template; reference it from a provider manifest with
+ * "format": "float".
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { decodeImage } from './nodeEngine.js';
+import { calculateWatermarkPosition } from '../js/core/watermarkEngine.js';
+import { ANCHORS } from '../js/core/providerRegistry.js';
+import { estimateAlphaMap } from '../js/core/alphaEstimator.js';
+import { encodeTemplate } from '../js/core/templateFormat.js';
+
+const USAGE = `Usage: node cli/estimate-alpha.js [options] <image>...
+
+Options:
+  -s, --size <WxH>       Watermark size in pixels (required)
+      --offset <X,Y>     Offset of the watermark from the anchor corner (required)
+  -a, --anchor <anchor>  ${ANCHORS.join(', ')} (default: bottom-right)
+  -p, --padding <n>      Width of the background sampling ring (default: 4)
+  -o, --out <file>       Output template (default: template.lsjt)
+  -h, --help             Show this help`;
+
+/**
+ * Parse a pair of integers such as "282x123" or "57,54"
+ * @param {string} value - Option value
+ * @param {string} separator - Separator between the two numbers
+ * @param {string} name - Option name used in error messages
+ * @returns {number[]} The two numbers
+ */
+function parsePair(value, separator, name) {
+    if (value === undefined) throw new Error(`--${name} is required`);
+    const parts = value.split(separator).map(Number);
+    if (parts.length !== 2 || !parts.every(Number.isInteger)) {
+        throw new Error(`--${name} must look like 12${separator}34: ${value}`);
+    }
+    return parts;
+}
+
+/**
+ * Parse and check the command line
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} Options {config, padding, out, inputs}
+ */
+function parseCommandLine(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            size: { type: 'string', short: 's' },
+            offset: { type: 'string' },
+            anchor: { type: 'string', short: 'a', default: 'bottom-right' },
+            padding: { type: 'string', short: 'p', default: '4' },
+            out: { type: 'string', short: 'o', default: 'template.lsjt' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    const [width, height] = parsePair(values.size, 'x', 'size');
+    const [offsetX, offsetY] = parsePair(values.offset, ',', 'offset');
+    const padding = Number(values.padding);
+    if (positionals.length < 2) throw new Error('Expected at least two watermarked images');
+    if (!ANCHORS.includes(values.anchor)) throw new Error(`Unknown anchor: ${values.anchor}`);
+    if (!(width > 0 && height > 0)) throw new Error(`Watermark size must be positive: ${values.size}`);
+    if (!(Number.isInteger(padding) && padding >= 1)) throw new Error(`Padding must be a positive integer: ${values.padding}`);
+
+    return {
+        config: { width, height, offsetX, offsetY, anchor: values.anchor },
+        padding,
+        out: values.out,
+        inputs: positionals
+    };
+}
+
+/**
+ * Run the estimation
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    let options;
+    try {
+        options = parseCommandLine(args);
+    } catch (error) {
+        console.error(`estimate-alpha: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const samples = [];
+    for (const file of options.inputs) {
+        const { width, height, data } = decodeImage(await readFile(file));
+        const position = calculateWatermarkPosition(width, height, options.config);
+        if (position.x < 0 || position.y < 0 || position.x + position.width > width || position.y + position.height > height) {
+            throw new Error(`Watermark lies outside ${file} (${width}×${height})`);
+        }
+        samples.push({ imageData: { width, height, data }, position });
+    }
+
+    const estimate = estimateAlphaMap(samples, { padding: options.padding });
+    await writeFile(options.out, encodeTemplate(estimate));
+
+    console.log(`${samples.length} images -> ${options.out}  ` +
+        `(${estimate.width}×${estimate.height}, mean logo colour ${estimate.meanLogoColor.join(', ')})`);
+    return 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(`estimate-alpha: ${error.message}`);
+    process.exitCode = 1;
+});
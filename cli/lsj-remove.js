@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * lsj-remove: remove AI watermarks from PNG/JPEG files on the command line
+ *
+ * Usage:
+ *   lsj-remove [--type auto|gemini|doubao|qwen] [--format png|jpeg|keep] [--quality 95]
+ *              [--no-denoise] [--skip-clean] [--verbose] <input file or directory>... <output directory>
+ *
+ * Inputs without a watermark are copied to the output directory unchanged,
+ * so the output holds one file per input; --skip-clean leaves them out.
+ *
+ * Example:
+ *   lsj-remove --type doubao in/ out/
+ */
+
+import { readdir, readFile, stat, mkdir, writeFile, copyFile } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { createNodeEngine, decodeImage, encodeImage } from './nodeEngine.js';
+import { WATERMARK_TYPE, WATERMARK_STATUS } from '../js/core/watermarkEngine.js';
+import { getProviders } from '../js/core/providerRegistry.js';
+import { extractIccProfile, embedIccProfile } from '../js/core/colorProfile.js';
+import { extractMetadata, filterMetadata, embedMetadata, DEFAULT_METADATA_POLICY } from '../js/core/metadata.js';
+import { createUniqueNamer } from '../js/filenameTemplate.js';
+
+const USAGE = `Usage: lsj-remove [options] <input file or directory>... <output directory>
+
+Options:
+  -t, --type <type>      Watermark type: auto (default) or a provider id
+  -f, --format <format>  Output format: png (default), jpeg, or keep (same as input)
+  -q, --quality <1-100>  JPEG quality (default: 95)
+      --no-denoise       Skip JPEG artifact cleanup of the restored area
+      --no-metadata      Do not copy EXIF, XMP or PNG text metadata into the output
+      --metadata-allow <fields>
+                         Only copy these metadata fields (comma-separated, e.g. DateTimeOriginal,Copyright)
+      --metadata-deny <fields>
+                         Never copy these metadata fields (default: MakerNote; GPS* matches all GPS tags)
+      --skip-clean       Do not copy inputs without a watermark to the output directory
+  -v, --verbose          Print engine debug output
+  -h, --help             Show this help`;
+
+// Input file extensions picked up from directories
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+// Output file extension per MIME type
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg' };
+
+/**
+ * Expand input arguments into a list of image files
+ * Directories contribute their PNG/JPEG files (not recursive).
+ * @param {string[]} inputs - Input files and directories
+ * @returns {Promise<string[]>} Image file paths
+ */
+async function collectFiles(inputs) {
+    const files = [];
+
+    for (const input of inputs) {
+        if ((await stat(input)).isDirectory()) {
+            const entries = (await readdir(input)).sort();
+            entries
+                .filter(name => IMAGE_EXTENSIONS.includes(extname(name).toLowerCase()))
+                .forEach(name => files.push(join(input, name)));
+        } else {
+            files.push(input);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Parse and check the command line
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} Options {type, format, quality, denoise, metadataPolicy, skipClean, verbose, inputs, outputDir}
+ */
+function parseCommandLine(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            type: { type: 'string', short: 't', default: WATERMARK_TYPE.AUTO },
+            format: { type: 'string', short: 'f', default: 'png' },
+            quality: { type: 'string', short: 'q', default: '95' },
+            'no-denoise': { type: 'boolean', default: false },
+            'no-metadata': { type: 'boolean', default: false },
+            'metadata-allow': { type: 'string', default: DEFAULT_METADATA_POLICY.allow.join(',') },
+            'metadata-deny': { type: 'string', default: DEFAULT_METADATA_POLICY.deny.join(',') },
+            'skip-clean': { type: 'boolean', default: false },
+            verbose: { type: 'boolean', short: 'v', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    const quality = Number(values.quality);
+    if (positionals.length < 2) throw new Error('Expected at least one input and an output directory');
+    if (!['png', 'jpeg', 'keep'].includes(values.format)) throw new Error(`Unknown format: ${values.format}`);
+    if (!(quality >= 1 && quality <= 100)) throw new Error(`Quality must be between 1 and 100: ${values.quality}`);
+
+    return {
+        type: values.type,
+        format: values.format,
+        quality,
+        denoise: values['no-denoise'] ? false : undefined,
+        metadataPolicy: {
+            keep: !values['no-metadata'],
+            allow: values['metadata-allow'].split(',').map(field => field.trim()).filter(Boolean),
+            deny: values['metadata-deny'].split(',').map(field => field.trim()).filter(Boolean)
+        },
+        skipClean: values['skip-clean'],
+        verbose: values.verbose,
+        inputs: positionals.slice(0, -1),
+        outputDir: positionals[positionals.length - 1]
+    };
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    let options;
+    try {
+        options = parseCommandLine(args);
+    } catch (error) {
+        console.error(`lsj-remove: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    // The engine's detection details are only printed with --verbose
+    const engine = await createNodeEngine({ logger: options.verbose ? console : undefined });
+    const providerIds = getProviders().map(provider => provider.id);
+    if (options.type !== WATERMARK_TYPE.AUTO && !providerIds.includes(options.type)) {
+        console.error(`lsj-remove: unknown type "${options.type}" (expected auto, ${providerIds.join(', ')})`);
+        return 2;
+    }
+
+    const files = await collectFiles(options.inputs);
+    await mkdir(options.outputDir, { recursive: true });
+
+    const summary = { completed: 0, skipped: 0, failed: 0, review: 0 };
+    // Inputs with the same base name (a.jpg and a.png, or files from different
+    // directories) get numbered output names instead of overwriting each other
+    const uniqueName = createUniqueNamer();
+
+    for (const file of files) {
+        try {
+            const input = await readFile(file);
+            const pixels = decodeImage(input);
+            const info = await engine.processImageData(pixels, options.type, {
+                mimeType: pixels.mimeType,
+                denoise: options.denoise
+            });
+
+            if (info.status === WATERMARK_STATUS.NO_WATERMARK) {
+                summary.skipped++;
+                if (options.skipClean) {
+                    console.log(`skipped   ${file}  (no watermark)`);
+                    continue;
+                }
+                // Byte for byte, so clean inputs keep their format, metadata and quality
+                const output = join(options.outputDir, uniqueName(basename(file, extname(file)), extname(file).slice(1)));
+                await copyFile(file, output);
+                console.log(`copied    ${file} -> ${output}  (no watermark)`);
+                continue;
+            }
+
+            const mimeType = options.format === 'keep'
+                ? pixels.mimeType
+                : options.format === 'jpeg' ? 'image/jpeg' : 'image/png';
+            const output = join(options.outputDir, uniqueName(basename(file, extname(file)), EXTENSIONS[mimeType]));
+            // Keep the source's colour profile so only the watermark pixels change, and the
+            // metadata the policy allows (pixels are not rotated here, so Orientation stays valid)
+            const iccProfile = await extractIccProfile(input);
+            const metadata = filterMetadata(await extractMetadata(input), options.metadataPolicy);
+            let encoded = await embedMetadata(encodeImage(pixels, mimeType, options.quality), metadata);
+            if (iccProfile) encoded = await embedIccProfile(encoded, iccProfile);
+            await writeFile(output, encoded);
+
+            summary.completed++;
+            if (info.needsReview) summary.review++;
+            console.log(`${info.needsReview ? 'review ' : 'removed'}   ${file} -> ${output}  ` +
+                `(${info.type}, ${info.sizeDisplay}, quality ${info.qualityScore})`);
+        } catch (error) {
+            summary.failed++;
+            console.error(`failed    ${file}  (${error.message})`);
+        }
+    }
+
+    console.log(`\n${summary.completed} removed, ${summary.skipped} without watermark` +
+        `${options.skipClean || summary.skipped === 0 ? '' : ' (copied unchanged)'}, ` +
+        `${summary.failed} failed, ${summary.review} to review`);
+
+    return summary.failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(`lsj-remove: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,112 @@
+/**
+ * Node.js adapter over the DOM-free watermark engine
+ * Decodes and encodes PNG/JPEG files and loads provider manifests and
+ * templates (images and float templates) from the local file system
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+import { WatermarkEngine } from '../js/core/watermarkEngine.js';
+
+// Repository root: provider manifests and assets are resolved against it
+const ROOT_URL = new URL('../', import.meta.url);
+
+// Decoded images above this many megabytes are rejected by the JPEG decoder
+const MAX_MEMORY_MB = 1024;
+
+/**
+ * Detect the MIME type of an encoded image from its signature
+ * @param {Buffer} buffer - Encoded image
+ * @returns {string|null} 'image/png', 'image/jpeg', or null if unsupported
+ */
+export function detectMimeType(buffer) {
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    return null;
+}
+
+/**
+ * Decode a PNG or JPEG file to RGBA pixels
+ * @param {Buffer} buffer - Encoded image
+ * @returns {{width: number, height: number, data: Uint8ClampedArray, mimeType: string}} Decoded pixels
+ */
+export function decodeImage(buffer) {
+    const mimeType = detectMimeType(buffer);
+    let decoded;
+
+    if (mimeType === 'image/png') {
+        decoded = PNG.sync.read(buffer);
+    } else if (mimeType === 'image/jpeg') {
+        decoded = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: MAX_MEMORY_MB });
+    } else {
+        throw new Error('Unsupported image format (PNG and JPEG are supported)');
+    }
+
+    const { width, height, data } = decoded;
+    return {
+        width,
+        height,
+        data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength),
+        mimeType
+    };
+}
+
+/**
+ * Encode RGBA pixels as PNG or JPEG
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} pixels - Pixels to encode
+ * @param {string} mimeType - 'image/png' or 'image/jpeg'
+ * @param {number} quality - JPEG quality (1-100)
+ * @returns {Buffer} Encoded image
+ */
+export function encodeImage(pixels, mimeType = 'image/png', quality = 95) {
+    const { width, height, data } = pixels;
+    const buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+
+    if (mimeType === 'image/jpeg') {
+        return jpeg.encode({ width, height, data: buffer }, quality).data;
+    }
+
+    const png = new PNG({ width, height });
+    buffer.copy(png.data);
+    return PNG.sync.write(png);
+}
+
+/**
+ * Load a template image from a file URL
+ * @param {string} url - File URL
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>} Template pixels
+ */
+async function loadFilePixels(url) {
+    const { width, height, data } = decodeImage(await readFile(fileURLToPath(url)));
+    return { width, height, data };
+}
+
+/**
+ * Read a JSON file from a file URL
+ * @param {string} url - File URL
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function readJsonFile(url) {
+    return JSON.parse(await readFile(fileURLToPath(url), 'utf8'));
+}
+
+/**
+ * Create a watermark engine that loads providers and templates from disk
+ * @param {Object} options - Optional: creation options
+ * @param {string} options.root - Directory holding providers/ and assets/ (default: the repository root)
+ * @param {Object} options.logger - Engine diagnostics logger, e.g. console (default: silent)
+ * @returns {Promise<WatermarkEngine>} Engine instance
+ */
+export function createNodeEngine(options = {}) {
+    const baseUrl = options.root ? pathToFileURL(`${options.root}/`).href : ROOT_URL.href;
+
+    return WatermarkEngine.create({
+        baseUrl,
+        readJson: readJsonFile,
+        loadPixels: loadFilePixels,
+        loadBuffer: (url) => readFile(fileURLToPath(url)),
+        logger: options.logger
+    });
+}
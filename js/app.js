@@ -7,8 +7,10 @@ import i18n from './i18n.js';
 import * as ui from './ui.js';
 import * as processor from './imageProcessor.js';
 import { downloadAll } from './download.js';
+import { getFilenameTemplate, setFilenameTemplate } from './filenameTemplate.js';
 import { showLoading, hideLoading } from './utils.js';
 import { initDecorations, triggerCoinEffect } from './decorations.js';
+import { getProviders } from './core/providerRegistry.js';
 
 // Import medium-zoom from CDN (via importmap)
 import mediumZoom from 'medium-zoom';
@@ -16,6 +18,9 @@ import mediumZoom from 'medium-zoom';
 // Global zoom instance
 let zoom = null;
 
+// Controller of the ZIP export in progress (null when idle)
+let zipExport = null;
+
 /**
  * Initialize the application
  */
@@ -31,6 +36,9 @@ async function init() {
         ]);
 
         hideLoading();
+
+        // Generate the provider tabs from the registry loaded by the engine
+        ui.renderProviderTabs(getProviders());
         
         // Initialize UI elements
         ui.initElements();
@@ -48,6 +56,16 @@ async function init() {
             processor.setWatermarkType(engineType);
         });
         
+        // Setup output format and quality (re-encodes images already processed)
+        ui.setupOutputSettings(processor.getOutputSettings(), (settings) => {
+            processor.setOutputSettings(settings);
+        });
+
+        // Setup the download file name template (saved across sessions)
+        ui.setupFilenameTemplate(getFilenameTemplate(), (template) => {
+            setFilenameTemplate(template);
+        });
+
         // Setup event listeners
         setupEventListeners();
 
@@ -74,10 +92,13 @@ function setupEventListeners() {
     // File upload
     ui.setupFileUpload(handleFiles);
     
-    // Download all button
+    // Download all button (the ZIP is generated with progress and can be cancelled)
     if (ui.elements.downloadAllBtn) {
-        ui.elements.downloadAllBtn.addEventListener('click', () => {
-            downloadAll(processor.getImageQueue());
+        ui.elements.downloadAllBtn.addEventListener('click', exportZip);
+    }
+    if (ui.elements.cancelZipBtn) {
+        ui.elements.cancelZipBtn.addEventListener('click', () => {
+            if (zipExport) zipExport.abort();
         });
     }
     
@@ -91,10 +112,36 @@ function setupEventListeners() {
  * Reset application state
  */
 function reset() {
+    if (zipExport) zipExport.abort();
     ui.resetUI();
     processor.reset();
 }
 
+/**
+ * Download all processed images as a ZIP, showing progress until it is done or cancelled
+ * @returns {Promise<void>}
+ */
+async function exportZip() {
+    if (zipExport) return;
+
+    const controller = new AbortController();
+    zipExport = controller;
+    ui.updateZipProgress(0);
+
+    try {
+        await downloadAll(processor.getImageQueue(), {
+            onProgress: (percent) => ui.updateZipProgress(percent),
+            signal: controller.signal,
+            qaFiles: processor.getQaExporter()
+        });
+    } catch (error) {
+        if (error.name !== 'AbortError') console.error('ZIP export error:', error);
+    } finally {
+        zipExport = null;
+        ui.hideZipProgress();
+    }
+}
+
 /**
  * Handle selected files
  * @param {File[]} files - Selected files
@@ -111,6 +158,7 @@ function handleFiles(files) {
     } else {
         ui.showMultiPreview();
         ui.updateProgress(0, queue.length);
+        ui.updateSummary(processor.getSummary());
         
         // Create cards for each image
         queue.forEach(item => {
@@ -129,6 +177,7 @@ function updateDynamicTexts() {
     const queue = processor.getImageQueue();
     if (queue.length > 0) {
         ui.updateProgress(processor.getProcessedCount(), queue.length);
+        ui.updateSummary(processor.getSummary());
     }
 }
 
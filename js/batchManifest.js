@@ -0,0 +1,66 @@
+/**
+ * Batch Manifest Module
+ * Describes a processed batch for the manifest.json and manifest.csv files of
+ * the ZIP download; kept free of the DOM and JSZip so it also runs in Node.js
+ */
+
+import { WATERMARK_TYPE, WATERMARK_STATUS } from './core/watermarkEngine.js';
+
+/**
+ * Describe every image of the batch for the ZIP manifest
+ * @param {Array} imageQueue - Array of image items
+ * @param {Map<Object, string>} filenames - Output file names (see getOutputFilenames in download.js)
+ * @param {Map<Object, string>} qaFolders - QA folder of every item that has QA files
+ * @returns {Array<Object>} One entry per input {input, output, provider, rect, placements, qualityScore, needsReview, status, qa}
+ */
+export function describeImages(imageQueue, filenames, qaFolders) {
+    return imageQueue.map(item => {
+        const info = item.info;
+        const detected = info && info.status === WATERMARK_STATUS.REMOVED;
+        return {
+            input: item.name,
+            output: filenames.get(item) || null,
+            provider: info && info.type !== WATERMARK_TYPE.AUTO ? info.type : null,
+            // Rectangle of the detected watermark; providers with several placements list them all
+            rect: detected ? info.position : null,
+            placements: detected
+                ? info.placements
+                    .filter(placement => placement.status === WATERMARK_STATUS.REMOVED)
+                    .map(placement => ({ id: placement.id, ...placement.position }))
+                : [],
+            qualityScore: info ? info.qualityScore : null,
+            needsReview: Boolean(info && info.needsReview),
+            status: item.status,
+            qa: qaFolders.get(item) || null
+        };
+    });
+}
+
+/**
+ * Quote a CSV field when it contains separators, quotes or line breaks
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format the manifest entries as CSV
+ * Starts with a byte order mark so spreadsheet programs read non-ASCII file names as UTF-8.
+ * @param {Array<Object>} images - Manifest entries (see describeImages)
+ * @returns {string} CSV text
+ */
+export function toCsv(images) {
+    const header = ['input', 'output', 'provider', 'x', 'y', 'width', 'height', 'quality_score', 'needs_review', 'status'];
+    const rows = images.map(image => {
+        const rect = image.rect || {};
+        return [
+            image.input, image.output, image.provider,
+            rect.x, rect.y, rect.width, rect.height,
+            image.qualityScore, image.needsReview, image.status
+        ];
+    });
+    return '\ufeff' + [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
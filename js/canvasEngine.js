@@ -0,0 +1,322 @@
+/**
+ * Canvas Engine Module
+ * Browser adapter over the DOM-free watermark engine: decodes images with
+ * Image or createImageBitmap and moves pixels in and out through a canvas
+ * Canvases use the colour space of the source where supported, and the
+ * source's ICC profile and metadata are written back into the exported file.
+ */
+
+import { WatermarkEngine } from './core/watermarkEngine.js';
+import { extractIccProfile, embedIccProfile, getProfileColorSpace } from './core/colorProfile.js';
+import {
+    extractMetadata,
+    embedMetadata,
+    filterMetadata,
+    listMetadataFields,
+    resetOrientation
+} from './core/metadata.js';
+
+/**
+ * Create a 2D canvas, using OffscreenCanvas where there is no DOM (Web Worker)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas
+ */
+export function createCanvas(width, height) {
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    return new OffscreenCanvas(width, height);
+}
+
+/**
+ * Check whether 2D canvases support a colour space
+ * @param {string} colorSpace - Canvas colour space ('srgb' or 'display-p3')
+ * @returns {boolean} True if a context in that colour space can be created
+ */
+export function isColorSpaceSupported(colorSpace) {
+    try {
+        const ctx = createCanvas(1, 1).getContext('2d', { colorSpace });
+        return Boolean(ctx) && (!ctx.getContextAttributes || ctx.getContextAttributes().colorSpace === colorSpace);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Decode an image file for processing without changing its colours
+ * Display P3 sources are decoded into a Display P3 canvas where supported.
+ * Sources with any other profile a canvas cannot represent are decoded
+ * without colour conversion, so the encoded values pass through as they are;
+ * in both cases the profile is kept to be written back on export, together
+ * with the EXIF/XMP/text metadata. The bitmap is decoded upright, so the
+ * metadata's EXIF orientation is reset.
+ * @param {Blob} blob - Image file
+ * @returns {Promise<{bitmap: ImageBitmap, colorSpace: string, iccProfile: Object|null, metadata: Object|null}>}
+ *          Decoded image, canvas colour space to process it in, the embedded ICC profile and metadata
+ */
+export async function decodeImageFile(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    let iccProfile = null;
+    try {
+        iccProfile = await extractIccProfile(bytes);
+    } catch (error) {
+        console.warn('Unreadable ICC profile, processing in sRGB:', error);
+    }
+
+    let metadata = null;
+    try {
+        metadata = resetOrientation(await extractMetadata(bytes));
+    } catch (error) {
+        console.warn('Unreadable metadata, exporting without it:', error);
+    }
+
+    const profileSpace = iccProfile ? getProfileColorSpace(iccProfile.data) : 'srgb';
+    const colorSpace = profileSpace === 'display-p3' && isColorSpaceSupported('display-p3') ? 'display-p3' : 'srgb';
+    const bitmap = await createImageBitmap(blob, {
+        colorSpaceConversion: profileSpace === colorSpace ? 'default' : 'none'
+    });
+
+    return { bitmap, colorSpace, iccProfile, metadata };
+}
+
+/**
+ * Composite a canvas onto white
+ * JPEG has no alpha channel and encoders turn transparent pixels black.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas with transparency
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Opaque copy in the same colour space
+ */
+function flattenCanvas(canvas) {
+    const source = canvas.getContext('2d');
+    const colorSpace = source && source.getContextAttributes ? source.getContextAttributes().colorSpace : undefined;
+
+    const flat = createCanvas(canvas.width, canvas.height);
+    const ctx = flat.getContext('2d', { colorSpace: colorSpace || 'srgb' });
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, flat.width, flat.height);
+    ctx.drawImage(canvas, 0, 0);
+    return flat;
+}
+
+/**
+ * Encode a canvas, writing the source's metadata into PNG and JPEG output and its ICC profile into PNG, JPEG and WebP output
+ * Browsers that cannot encode the requested type return PNG; check the type of the result.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Processed canvas
+ * @param {string} mimeType - Output MIME type
+ * @param {number} quality - Optional: quality for lossy formats (0-1)
+ * @param {Object} source - Optional: what to carry over from the source (see decodeImageFile)
+ * @param {Object|null} source.iccProfile - ICC profile
+ * @param {Object|null} source.metadata - Metadata, already filtered (see filterMetadata)
+ * @returns {Promise<Blob>} Encoded image
+ */
+export async function encodeCanvas(canvas, mimeType = 'image/png', quality = undefined, source = {}) {
+    const { iccProfile = null, metadata = null } = source;
+
+    if (mimeType === 'image/jpeg') {
+        canvas = flattenCanvas(canvas);
+    }
+
+    const blob = canvas.convertToBlob
+        ? await canvas.convertToBlob({ type: mimeType, quality })
+        : await new Promise(resolve => canvas.toBlob(resolve, mimeType, quality));
+
+    if (!iccProfile && listMetadataFields(metadata).length === 0) {
+        return blob;
+    }
+
+    try {
+        let bytes = new Uint8Array(await blob.arrayBuffer());
+        if (metadata) bytes = await embedMetadata(bytes, metadata);
+        if (iccProfile) bytes = await embedIccProfile(bytes, iccProfile);
+        return new Blob([bytes], { type: blob.type });
+    } catch (error) {
+        console.warn('Could not embed the ICC profile and metadata, exporting without them:', error);
+        return blob;
+    }
+}
+
+/**
+ * Encode a processed canvas as a lossless PNG and in the output format
+ * The PNG keeps all of the source's metadata, so it can be re-encoded later
+ * under another policy; the output only carries the fields the policy allows.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Processed canvas
+ * @param {{mimeType: string, quality: number, metadataPolicy: Object}} output - Output encoding
+ * @param {{iccProfile: Object|null, metadata: Object|null}} source - Optional: source profile and metadata (see decodeImageFile)
+ * @returns {Promise<{blob: Blob, output: Blob}>} PNG and output (the PNG itself when they are identical)
+ */
+export async function encodeResult(canvas, output, source = {}) {
+    const blob = await encodeCanvas(canvas, 'image/png', undefined, source);
+    const metadata = filterMetadata(source.metadata, output.metadataPolicy);
+
+    if (output.mimeType !== blob.type) {
+        return { blob, output: await encodeCanvas(canvas, output.mimeType, output.quality, { ...source, metadata }) };
+    }
+    if (listMetadataFields(metadata).length === listMetadataFields(source.metadata).length) {
+        return { blob, output: blob };
+    }
+    return { blob, output: new Blob([await embedMetadata(await blob.arrayBuffer(), metadata)], { type: blob.type }) };
+}
+
+/**
+ * Re-encode an image file in another format, keeping its colours, ICC profile
+ * and the metadata fields a policy allows
+ * A file already in the target format keeps its encoded pixels; only its metadata is rewritten.
+ * @param {Blob} blob - Image file
+ * @param {string} mimeType - Output MIME type
+ * @param {number} quality - Optional: quality for lossy formats (0-1)
+ * @param {Object} metadataPolicy - Optional: metadata policy (see filterMetadata)
+ * @returns {Promise<Blob>} Encoded image
+ */
+export async function transcodeImage(blob, mimeType, quality = undefined, metadataPolicy = undefined) {
+    if (blob.type === mimeType) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const metadata = filterMetadata(await extractMetadata(bytes), metadataPolicy);
+        return new Blob([await embedMetadata(bytes, metadata)], { type: mimeType });
+    }
+
+    // Browsers without createImageBitmap decode through an <img> in sRGB
+    if (typeof createImageBitmap !== 'function') {
+        const url = URL.createObjectURL(blob);
+        try {
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = reject;
+                image.src = url;
+            });
+            const canvas = createCanvas(image.width, image.height);
+            canvas.getContext('2d').drawImage(image, 0, 0);
+            const metadata = filterMetadata(resetOrientation(await extractMetadata(await blob.arrayBuffer())), metadataPolicy);
+            return await encodeCanvas(canvas, mimeType, quality, { metadata });
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    const { bitmap, colorSpace, iccProfile, metadata } = await decodeImageFile(blob);
+    const canvas = createCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d', { colorSpace }).drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    return encodeCanvas(canvas, mimeType, quality, { iccProfile, metadata: filterMetadata(metadata, metadataPolicy) });
+}
+
+/**
+ * Decode an image file into pixels in the colour space it is processed in
+ * The original and the processed PNG (which carries the source's ICC profile)
+ * decode alike, so their pixels can be compared value for value.
+ * @param {Blob} blob - Image file
+ * @returns {Promise<ImageData>} Image pixels
+ */
+export async function decodeImagePixels(blob) {
+    // Browsers without createImageBitmap decode through an <img> in sRGB
+    if (typeof createImageBitmap !== 'function') {
+        const url = URL.createObjectURL(blob);
+        try {
+            return await loadImagePixels(url);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    const { bitmap, colorSpace } = await decodeImageFile(blob);
+    const canvas = createCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d', { colorSpace });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    return ctx.getImageData(0, 0, canvas.width, canvas.height, { colorSpace });
+}
+
+/**
+ * Load an image URL and read back its pixels
+ * Uses an Image element when available, otherwise fetches the file and
+ * decodes it with createImageBitmap (Web Worker).
+ * @param {string} url - Image URL
+ * @returns {Promise<ImageData>} Image pixels
+ */
+async function loadImagePixels(url) {
+    let image;
+
+    if (typeof Image !== 'undefined') {
+        image = new Image();
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = reject;
+            image.src = url;
+        });
+    } else {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load image: ${url}`);
+        }
+        image = await createImageBitmap(await response.blob());
+    }
+
+    const canvas = createCanvas(image.width, image.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    if (image.close) image.close();
+
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Get the MIME type of an image loaded from a data URL
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Image
+ * @returns {string|null} MIME type, or null if unknown
+ */
+function getImageMimeType(image) {
+    const match = typeof image.src === 'string' ? image.src.match(/^data:([^;,]+)/) : null;
+    return match ? match[1] : null;
+}
+
+/**
+ * Watermark engine working on images and canvases
+ */
+export class CanvasWatermarkEngine extends WatermarkEngine {
+    /**
+     * Load the provider manifests and create an engine that decodes templates in the browser
+     * @param {Object} options - Optional: creation options (see WatermarkEngine.create)
+     * @returns {Promise<CanvasWatermarkEngine>} Engine instance
+     */
+    static async create(options = {}) {
+        return super.create({ loadPixels: loadImagePixels, ...options });
+    }
+
+    /**
+     * Remove watermark from image
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image - Input image
+     * @param {string} watermarkType - Optional: override the current watermark type
+     * @param {Object} options - Optional: processing options (see processImageData)
+     * @param {string} options.mimeType - MIME type of the input (read from a data URL source if omitted)
+     * @param {string} options.colorSpace - Canvas colour space to process in (default: 'srgb', see decodeImageFile)
+     * @returns {Promise<{canvas: HTMLCanvasElement|OffscreenCanvas, info: Object}>} Processed canvas and its
+     *          watermark information (see getWatermarkInfo), including the residual quality score
+     */
+    async removeWatermarkFromImage(image, watermarkType = null, options = {}) {
+        const mimeType = options.mimeType || getImageMimeType(image);
+
+        // Create canvas to process image
+        const canvas = createCanvas(image.width, image.height);
+        const ctx = canvas.getContext('2d', { colorSpace: options.colorSpace || 'srgb' });
+
+        // Draw original image onto canvas
+        ctx.drawImage(image, 0, 0);
+
+        // Get image data
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+        const info = await this.processImageData(imageData, watermarkType, { ...options, mimeType });
+        this.detections.set(image, this.detections.get(imageData));
+
+        // Write processed image data back to canvas
+        ctx.putImageData(imageData, 0, 0);
+
+        return { canvas, info };
+    }
+}
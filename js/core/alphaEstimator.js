@@ -0,0 +1,246 @@
+/**
+ * Alpha Map estimator
+ * Estimate alpha map and logo colour together from several watermarked samples,
+ * without needing a capture of the watermark over a pure black background
+ */
+
+// Default width of the ring around the watermark used to estimate the background
+const DEFAULT_PADDING = 4;
+
+// Below this alpha the logo colour cannot be recovered reliably
+const MIN_ALPHA = 0.01;
+
+// Below this background variance (summed over samples and channels) a pixel carries no information
+const MIN_VARIANCE = 1e-3;
+
+/**
+ * Average the pixels of a horizontal or vertical strip outside the watermark area
+ * @param {ImageData} imageData - Image data
+ * @param {number} x0 - Strip start x (inclusive)
+ * @param {number} y0 - Strip start y (inclusive)
+ * @param {number} x1 - Strip end x (exclusive)
+ * @param {number} y1 - Strip end y (exclusive)
+ * @param {number} c - Channel index (0-2)
+ * @returns {number|null} Average value, or null if the strip is empty
+ */
+function averageStrip(imageData, x0, y0, x1, y1, c) {
+    const { width, height, data } = imageData;
+    const left = Math.max(0, x0), top = Math.max(0, y0);
+    const right = Math.min(width, x1), bottom = Math.min(height, y1);
+
+    let sum = 0, count = 0;
+    for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+            sum += data[(y * width + x) * 4 + c];
+            count++;
+        }
+    }
+
+    return count > 0 ? sum / count : null;
+}
+
+/**
+ * Estimate the background under the watermark from the surrounding pixels
+ * Each edge of the watermark area is sampled from a thin strip just outside it,
+ * and the interior is filled with a Coons patch (transfinite interpolation)
+ * between the four edges. Edges that fall outside the image use the opposite edge.
+ *
+ * @param {ImageData} imageData - Image data
+ * @param {Object} position - Watermark position {x, y, width, height}
+ * @param {number} padding - Width of the sampling strip in pixels
+ * @returns {Float32Array} Estimated background, 3 values (RGB) per pixel
+ */
+function estimateBackground(imageData, position, padding) {
+    const { x, y, width, height } = position;
+    const background = new Float32Array(width * height * 3);
+
+    for (let c = 0; c < 3; c++) {
+        const top = new Float32Array(width);
+        const bottom = new Float32Array(width);
+        const left = new Float32Array(height);
+        const right = new Float32Array(height);
+
+        for (let col = 0; col < width; col++) {
+            const t = averageStrip(imageData, x + col, y - padding, x + col + 1, y, c);
+            const b = averageStrip(imageData, x + col, y + height, x + col + 1, y + height + padding, c);
+            top[col] = t ?? b ?? 0;
+            bottom[col] = b ?? t ?? 0;
+        }
+
+        for (let row = 0; row < height; row++) {
+            const l = averageStrip(imageData, x - padding, y + row, x, y + row + 1, c);
+            const r = averageStrip(imageData, x + width, y + row, x + width + padding, y + row + 1, c);
+            left[row] = l ?? r ?? 0;
+            right[row] = r ?? l ?? 0;
+        }
+
+        // Corner values shared by the edges
+        const c00 = (top[0] + left[0]) / 2;
+        const c10 = (top[width - 1] + right[0]) / 2;
+        const c01 = (bottom[0] + left[height - 1]) / 2;
+        const c11 = (bottom[width - 1] + right[height - 1]) / 2;
+
+        for (let row = 0; row < height; row++) {
+            const v = height > 1 ? row / (height - 1) : 0.5;
+            for (let col = 0; col < width; col++) {
+                const u = width > 1 ? col / (width - 1) : 0.5;
+
+                const value =
+                    (1 - v) * top[col] + v * bottom[col] +
+                    (1 - u) * left[row] + u * right[row] -
+                    ((1 - u) * (1 - v) * c00 + u * (1 - v) * c10 + (1 - u) * v * c01 + u * v * c11);
+
+                background[(row * width + col) * 3 + c] = value;
+            }
+        }
+    }
+
+    return background;
+}
+
+/**
+ * Estimate alpha map and logo colour from multiple watermarked samples
+ *
+ * Principle:
+ * For every sample k and channel c, watermarked = α × logo + (1 - α) × background.
+ * With the background estimated from the surrounding pixels, this is a linear
+ * model watermarked = β × background + a with β = 1 - α shared by all channels
+ * and a = α × logo per channel. Solving it by least squares over all samples
+ * gives α and the logo colour of each pixel. Samples need different
+ * backgrounds: the more varied, the better the estimate.
+ *
+ * @param {Array<{imageData: ImageData, position: Object}>} samples - Watermarked images and the watermark position in each
+ * @param {Object} options - Estimation options
+ * @param {number} options.padding - Width of the background sampling ring (default: 4)
+ * @returns {{width: number, height: number, alphaMap: Float32Array, logoColor: Float32Array, meanLogoColor: number[]}}
+ *          Estimated template: alpha (0.0-1.0) per pixel, logo colour (RGB, 0-255) per pixel,
+ *          and the alpha-weighted mean logo colour
+ */
+export function estimateAlphaMap(samples, options = {}) {
+    const { padding = DEFAULT_PADDING } = options;
+
+    if (!Array.isArray(samples) || samples.length < 2) {
+        throw new Error('At least two watermarked samples are required to estimate an alpha map');
+    }
+
+    const { width, height } = samples[0].position;
+    samples.forEach(({ position }) => {
+        if (position.width !== width || position.height !== height) {
+            throw new Error('All samples must use the same watermark size');
+        }
+    });
+
+    const count = samples.length;
+    const pixelCount = width * height;
+    const backgrounds = samples.map(({ imageData, position }) => estimateBackground(imageData, position, padding));
+
+    const alphaMap = new Float32Array(pixelCount);
+    const logoColor = new Float32Array(pixelCount * 3);
+    const meanW = new Float64Array(3);
+    const meanB = new Float64Array(3);
+    const colorSum = [0, 0, 0];
+    let alphaSum = 0;
+
+    for (let i = 0; i < pixelCount; i++) {
+        const row = Math.floor(i / width);
+        const col = i % width;
+
+        meanW.fill(0);
+        meanB.fill(0);
+
+        for (let k = 0; k < count; k++) {
+            const { imageData, position } = samples[k];
+            const imgIdx = ((position.y + row) * imageData.width + (position.x + col)) * 4;
+            for (let c = 0; c < 3; c++) {
+                meanW[c] += imageData.data[imgIdx + c] / count;
+                meanB[c] += backgrounds[k][i * 3 + c] / count;
+            }
+        }
+
+        // β = Σ W'B' / Σ B'² over samples and channels (primes: centered per channel)
+        let covariance = 0, variance = 0;
+        for (let k = 0; k < count; k++) {
+            const { imageData, position } = samples[k];
+            const imgIdx = ((position.y + row) * imageData.width + (position.x + col)) * 4;
+            for (let c = 0; c < 3; c++) {
+                const w = imageData.data[imgIdx + c] - meanW[c];
+                const b = backgrounds[k][i * 3 + c] - meanB[c];
+                covariance += w * b;
+                variance += b * b;
+            }
+        }
+
+        if (variance < MIN_VARIANCE) {
+            // Identical backgrounds: nothing can be told about this pixel
+            for (let c = 0; c < 3; c++) logoColor[i * 3 + c] = 255;
+            continue;
+        }
+
+        const beta = Math.max(0, Math.min(1, covariance / variance));
+        const alpha = 1 - beta;
+        alphaMap[i] = alpha;
+
+        for (let c = 0; c < 3; c++) {
+            // a = mean(W) - β × mean(B) = α × logo
+            const logo = alpha > MIN_ALPHA ? (meanW[c] - beta * meanB[c]) / alpha : 255;
+            const clamped = Math.max(0, Math.min(255, logo));
+            logoColor[i * 3 + c] = clamped;
+            colorSum[c] += alpha * clamped;
+        }
+        alphaSum += alpha;
+    }
+
+    const meanLogoColor = colorSum.map(sum => (alphaSum > 0 ? Math.round(sum / alphaSum) : 255));
+
+    return { width, height, alphaMap, logoColor, meanLogoColor };
+}
+
+/**
+ * Convert an estimated template to the background capture format used by the engine
+ * The engine reads alpha as max(R,G,B) / 255 of a white logo over black,
+ * so each pixel is written as a grey value of α × 255. This quantises alpha
+ * to 1/255; encodeTemplate (templateFormat.js) keeps the estimate in full precision.
+ *
+ * @param {{width: number, height: number, alphaMap: Float32Array}} estimate - Estimated template
+ * @returns {ImageData} Template image data, ready to be drawn to a canvas and saved as PNG
+ */
+export function createTemplateImageData(estimate) {
+    const { width, height, alphaMap } = estimate;
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let i = 0; i < alphaMap.length; i++) {
+        const value = Math.round(alphaMap[i] * 255);
+        data[i * 4] = value;
+        data[i * 4 + 1] = value;
+        data[i * 4 + 2] = value;
+        data[i * 4 + 3] = 255;
+    }
+
+    return typeof ImageData !== 'undefined'
+        ? new ImageData(data, width, height)
+        : { width, height, data };
+}
+
+/**
+ * Convert the estimated per-pixel logo colour to an image
+ * Used together with createTemplateImageData as the {image, logoColor} template
+ * capture for logos that are grey, tinted or outlined.
+ *
+ * @param {{width: number, height: number, logoColor: Float32Array}} estimate - Estimated template
+ * @returns {ImageData} Logo colour image data
+ */
+export function createLogoColorImageData(estimate) {
+    const { width, height, logoColor } = estimate;
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let i = 0; i < width * height; i++) {
+        data[i * 4] = Math.round(logoColor[i * 3]);
+        data[i * 4 + 1] = Math.round(logoColor[i * 3 + 1]);
+        data[i * 4 + 2] = Math.round(logoColor[i * 3 + 2]);
+        data[i * 4 + 3] = 255;
+    }
+
+    return typeof ImageData !== 'undefined'
+        ? new ImageData(data, width, height)
+        : { width, height, data };
+}
@@ -6,7 +6,41 @@
 // Constants definition
 const ALPHA_THRESHOLD = 0.002;  // Ignore very small alpha values (noise)
 const MAX_ALPHA = 0.99;          // Avoid division by near-zero values
-const LOGO_VALUE = 255;          // Color value for white watermark
+const DEFAULT_LOGO_COLOR = [255, 255, 255];  // White watermark
+const CLIP_TOLERANCE = 8;        // Restored values further outside [0, 255] cannot be trusted
+
+/**
+ * Colour spaces the blend can be inverted in
+ * SRGB: the provider blends the encoded 8-bit values directly (the common case)
+ * LINEAR: the provider blends in linear light, so values are decoded first and re-encoded after
+ */
+export const BLEND_MODE = {
+    SRGB: 'srgb',
+    LINEAR: 'linear'
+};
+
+/**
+ * Decode an sRGB value to linear light
+ * @param {number} value - sRGB value (0-255, may be fractional)
+ * @returns {number} Linear value (0.0-1.0)
+ */
+export function srgbToLinear(value) {
+    const v = value / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Encode a linear light value to sRGB
+ * @param {number} value - Linear value (0.0-1.0, clamped)
+ * @returns {number} sRGB value (0-255, not rounded)
+ */
+export function linearToSrgb(value) {
+    const v = Math.max(0, Math.min(1, value));
+    return 255 * (v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055);
+}
+
+// sRGB byte → linear lookup table
+const SRGB_TO_LINEAR = Float64Array.from({ length: 256 }, (_, i) => srgbToLinear(i));
 
 /**
  * Remove watermark using reverse alpha blending
@@ -14,13 +48,28 @@ const LOGO_VALUE = 255;          // Color value for white watermark
  * Principle:
  * Gemini adds watermark: watermarked = α × logo + (1 - α) × original
  * Reverse solve: original = (watermarked - α × logo) / (1 - α)
+ * The logo colour is solved per channel, so grey, tinted or outlined logos work too.
+ * In linear mode the same formula runs on linear light values: pixels and
+ * logo colour are decoded from sRGB first and the result is encoded back.
  *
  * @param {ImageData} imageData - Image data to process (will be modified in place)
  * @param {Float32Array} alphaMap - Alpha channel data
  * @param {Object} position - Watermark position {x, y, width, height}
+ * @param {number[]|Float32Array} logoColor - Optional: logo colour, either a single
+ *        RGB triple or a per-pixel RGB map (3 values per alpha map pixel); defaults to white
+ * @param {Object} options - Optional: blending options
+ * @param {string} options.mode - Colour space of the blend, see BLEND_MODE (default: 'srgb')
+ * @returns {Uint8Array} Mask of unrecoverable pixels (1 = alpha was clamped or the
+ *          restored value was clipped), one value per alpha map pixel
  */
-export function removeWatermark(imageData, alphaMap, position) {
+export function removeWatermark(imageData, alphaMap, position, logoColor = null, options = {}) {
     const { x, y, width, height } = position;
+    const linear = options.mode === BLEND_MODE.LINEAR;
+    const sourceLogo = logoColor || DEFAULT_LOGO_COLOR;
+    const perPixelLogo = sourceLogo.length === width * height * 3;
+    // Work in 0-255 units in both modes so the tolerances below apply unchanged
+    const logo = linear ? Float32Array.from(sourceLogo, value => 255 * srgbToLinear(value)) : sourceLogo;
+    const unrecoverable = new Uint8Array(width * height);
 
     // Process each pixel in the watermark area
     for (let row = 0; row < height; row++) {
@@ -40,22 +89,37 @@ export function removeWatermark(imageData, alphaMap, position) {
             }
 
             // Limit alpha value to avoid division by near-zero
-            alpha = Math.min(alpha, MAX_ALPHA);
+            // The original pixel is lost under a (nearly) opaque logo
+            if (alpha > MAX_ALPHA) {
+                alpha = MAX_ALPHA;
+                unrecoverable[alphaIdx] = 1;
+            }
             const oneMinusAlpha = 1.0 - alpha;
+            const logoIdx = perPixelLogo ? alphaIdx * 3 : 0;
 
             // Apply reverse alpha blending to each RGB channel
             for (let c = 0; c < 3; c++) {
-                const watermarked = imageData.data[imgIdx + c];
+                const watermarked = linear
+                    ? 255 * SRGB_TO_LINEAR[imageData.data[imgIdx + c]]
+                    : imageData.data[imgIdx + c];
 
                 // Reverse alpha blending formula
-                const original = (watermarked - alpha * LOGO_VALUE) / oneMinusAlpha;
+                const original = (watermarked - alpha * logo[logoIdx + c]) / oneMinusAlpha;
+
+                // Values far outside the valid range mean the inversion failed
+                if (original < -CLIP_TOLERANCE || original > 255 + CLIP_TOLERANCE) {
+                    unrecoverable[alphaIdx] = 1;
+                }
 
                 // Clip to [0, 255] range
-                imageData.data[imgIdx + c] = Math.max(0, Math.min(255, Math.round(original)));
+                const encoded = linear ? linearToSrgb(original / 255) : original;
+                imageData.data[imgIdx + c] = Math.max(0, Math.min(255, Math.round(encoded)));
             }
 
             // Alpha channel remains unchanged
             // imageData.data[imgIdx + 3] does not need modification
         }
     }
+
+    return unrecoverable;
 }
\ No newline at end of file
@@ -0,0 +1,258 @@
+/**
+ * Colour profile module
+ * Read the embedded ICC profile of PNG, JPEG and WebP files and write it into
+ * re-encoded files of the same formats, so the output keeps the colours of the source.
+ * Works on raw file bytes without the DOM (browser, Web Worker and Node.js).
+ */
+
+import {
+    detectImageFormat,
+    readTag,
+    readPngChunks,
+    createPngChunk,
+    readJpegSegments,
+    readWebpChunks,
+    createWebpChunk,
+    createWebpFile,
+    concat,
+    transform
+} from './imageContainer.js';
+
+export { detectImageFormat };
+
+// JPEG APP2 segments carrying the profile start with this identifier
+const JPEG_ICC_MARKER = 'ICC_PROFILE\0';
+// Profile bytes per APP2 segment: 65535 - 2 (length) - 12 (identifier) - 2 (sequence numbers)
+const JPEG_ICC_CHUNK_SIZE = 65519;
+
+// PNG chunks that state a colour space of their own and would override or contradict iCCP
+const PNG_COLOR_CHUNKS = ['iCCP', 'sRGB', 'cICP'];
+
+// VP8X feature flags: ICC profile and alpha
+const WEBP_ICC_FLAG = 0x20;
+const WEBP_ALPHA_FLAG = 0x10;
+
+// Red, green and blue colorant XYZ values (D50) of the colour spaces a canvas can use
+const KNOWN_PRIMARIES = {
+    'srgb': [[0.4361, 0.2225, 0.0139], [0.3851, 0.7169, 0.0971], [0.1431, 0.0606, 0.7141]],
+    'display-p3': [[0.5151, 0.2412, -0.0011], [0.2920, 0.6922, 0.0419], [0.1571, 0.0666, 0.7841]]
+};
+
+// Largest summed colorant difference still treated as the same primaries
+const PRIMARIES_TOLERANCE = 0.02;
+
+/**
+ * Check whether a JPEG segment is an APP2 ICC profile chunk
+ * @param {Uint8Array} bytes - JPEG file
+ * @param {Object} segment - Segment from readJpegSegments
+ * @returns {boolean} True for ICC profile segments
+ */
+function isJpegIccSegment(bytes, segment) {
+    if (segment.marker !== 0xe2 || segment.end - segment.start < 18) return false;
+    for (let i = 0; i < JPEG_ICC_MARKER.length; i++) {
+        if (bytes[segment.start + 4 + i] !== JPEG_ICC_MARKER.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+/**
+ * Build the VP8X header a simple (VP8 or VP8L only) WebP file needs to carry a profile
+ * @param {Object} chunk - VP8 or VP8L chunk from readWebpChunks
+ * @returns {Uint8Array|null} VP8X data without the ICC flag, or null if the frame header is unreadable
+ */
+function createWebpHeader(chunk) {
+    const data = chunk.data;
+    let width, height, alpha = false;
+
+    if (chunk.type === 'VP8 ' && data.length >= 10 && data[3] === 0x9d && data[4] === 0x01 && data[5] === 0x2a) {
+        // 14-bit width and height after the frame tag and start code
+        width = (data[6] | (data[7] << 8)) & 0x3fff;
+        height = (data[8] | (data[9] << 8)) & 0x3fff;
+    } else if (chunk.type === 'VP8L' && data.length >= 5 && data[0] === 0x2f) {
+        // 14 bits width - 1, 14 bits height - 1, then the alpha_is_used bit
+        const bits = data[1] | (data[2] << 8) | (data[3] << 16) | (data[4] << 24);
+        width = (bits & 0x3fff) + 1;
+        height = ((bits >>> 14) & 0x3fff) + 1;
+        alpha = ((bits >>> 28) & 1) === 1;
+    } else {
+        return null;
+    }
+
+    // Flags, three reserved bytes, then the canvas width - 1 and height - 1 as 24-bit values
+    const header = new Uint8Array(10);
+    header[0] = alpha ? WEBP_ALPHA_FLAG : 0;
+    [width - 1, height - 1].forEach((value, i) => {
+        header[4 + i * 3] = value & 0xff;
+        header[5 + i * 3] = (value >> 8) & 0xff;
+        header[6 + i * 3] = (value >> 16) & 0xff;
+    });
+    return header;
+}
+
+/**
+ * Read the embedded ICC profile of an image file
+ * @param {ArrayBuffer|Uint8Array} buffer - PNG, JPEG or WebP file
+ * @returns {Promise<{name: string, data: Uint8Array}|null>} Profile name and bytes, or null if none is embedded
+ */
+export async function extractIccProfile(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const format = detectImageFormat(bytes);
+
+    if (format === 'image/png') {
+        const chunk = readPngChunks(bytes).find(c => c.type === 'iCCP');
+        if (!chunk) return null;
+
+        // Profile name (Latin-1, NUL-terminated), compression method (0 = zlib), compressed profile
+        const nameEnd = chunk.data.indexOf(0);
+        if (nameEnd < 0 || chunk.data[nameEnd + 1] !== 0) return null;
+        const name = String.fromCharCode(...chunk.data.subarray(0, nameEnd));
+        const data = await transform(chunk.data.subarray(nameEnd + 2), new DecompressionStream('deflate'));
+        return { name, data };
+    }
+
+    if (format === 'image/jpeg') {
+        // The profile may be split over several APP2 segments, numbered from 1
+        const parts = readJpegSegments(bytes)
+            .filter(segment => isJpegIccSegment(bytes, segment))
+            .map(segment => ({
+                sequence: bytes[segment.start + 16],
+                data: bytes.subarray(segment.start + 18, segment.end)
+            }))
+            .sort((a, b) => a.sequence - b.sequence);
+        return parts.length > 0 ? { name: 'ICC Profile', data: concat(parts.map(part => part.data)) } : null;
+    }
+
+    if (format === 'image/webp') {
+        const chunk = readWebpChunks(bytes).find(c => c.type === 'ICCP');
+        if (chunk) return { name: 'ICC Profile', data: chunk.data.slice() };
+    }
+
+    return null;
+}
+
+/**
+ * Tell which canvas colour space an ICC profile describes
+ * Compares the profile's red, green and blue colorants with those of sRGB and Display P3.
+ * @param {Uint8Array} icc - ICC profile bytes
+ * @returns {string|null} 'srgb', 'display-p3', or null for any other profile
+ */
+export function getProfileColorSpace(icc) {
+    if (!icc || icc.length < 132 || readTag(icc, 16) !== 'RGB ' || readTag(icc, 36) !== 'acsp') {
+        return null;
+    }
+
+    const view = new DataView(icc.buffer, icc.byteOffset, icc.byteLength);
+    const tags = {};
+    const count = view.getUint32(128);
+    for (let i = 0; i < count && 132 + i * 12 + 12 <= icc.length; i++) {
+        const entry = 132 + i * 12;
+        tags[readTag(icc, entry)] = view.getUint32(entry + 4);
+    }
+
+    const colorants = ['rXYZ', 'gXYZ', 'bXYZ'].map(tag => {
+        const offset = tags[tag];
+        if (offset === undefined || offset + 20 > icc.length || readTag(icc, offset) !== 'XYZ ') return null;
+        // s15Fixed16Number X, Y, Z
+        return [0, 1, 2].map(i => view.getInt32(offset + 8 + i * 4) / 65536);
+    });
+    if (colorants.includes(null)) return null;
+
+    for (const [colorSpace, primaries] of Object.entries(KNOWN_PRIMARIES)) {
+        const difference = primaries.reduce((sum, primary, p) =>
+            sum + primary.reduce((s, value, i) => s + Math.abs(value - colorants[p][i]), 0), 0);
+        if (difference < PRIMARIES_TOLERANCE) return colorSpace;
+    }
+
+    return null;
+}
+
+/**
+ * Write an ICC profile into an encoded PNG, JPEG or WebP file
+ * Any colour space information the encoder wrote is replaced; simple WebP
+ * files are converted to the extended format, which the profile needs.
+ * Other formats are returned unchanged.
+ * @param {ArrayBuffer|Uint8Array} buffer - Encoded PNG, JPEG or WebP file
+ * @param {{name: string, data: Uint8Array}} profile - ICC profile (see extractIccProfile)
+ * @returns {Promise<Uint8Array>} File with the profile embedded
+ */
+export async function embedIccProfile(buffer, profile) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const format = detectImageFormat(bytes);
+
+    if (format === 'image/png') {
+        const chunks = readPngChunks(bytes);
+        const header = chunks.find(chunk => chunk.type === 'IHDR');
+        if (!header) return bytes;
+
+        // Profile names are 1-79 Latin-1 characters
+        const name = (profile.name || 'ICC Profile').replace(/[^\x20-\x7e\xa1-\xff]/g, '').slice(0, 79) || 'ICC Profile';
+        const compressed = await transform(profile.data, new CompressionStream('deflate'));
+        const iccp = createPngChunk('iCCP', concat([
+            Uint8Array.from(name, char => char.charCodeAt(0)),
+            new Uint8Array([0, 0]),
+            compressed
+        ]));
+
+        return concat([
+            bytes.subarray(0, header.end),
+            iccp,
+            ...chunks
+                .filter(chunk => chunk.start >= header.end && !PNG_COLOR_CHUNKS.includes(chunk.type))
+                .map(chunk => bytes.subarray(chunk.start, chunk.end)),
+            bytes.subarray(chunks[chunks.length - 1].end)
+        ]);
+    }
+
+    if (format === 'image/jpeg') {
+        const segments = readJpegSegments(bytes);
+        // APP2 goes after the JFIF/EXIF application segments at the start of the file
+        const leading = segments.findIndex(segment => segment.marker !== 0xe0 && segment.marker !== 0xe1);
+        const insertAt = leading === -1 ? (segments.length > 0 ? segments[segments.length - 1].end : 2) : segments[leading].start;
+
+        const count = Math.ceil(profile.data.length / JPEG_ICC_CHUNK_SIZE);
+        const app2 = [];
+        for (let i = 0; i < count; i++) {
+            const data = profile.data.subarray(i * JPEG_ICC_CHUNK_SIZE, (i + 1) * JPEG_ICC_CHUNK_SIZE);
+            const length = 2 + JPEG_ICC_MARKER.length + 2 + data.length;
+            app2.push(concat([
+                new Uint8Array([0xff, 0xe2, length >> 8, length & 0xff]),
+                Uint8Array.from(JPEG_ICC_MARKER, char => char.charCodeAt(0)),
+                new Uint8Array([i + 1, count]),
+                data
+            ]));
+        }
+
+        // Drop ICC segments the encoder may have written
+        const parts = [bytes.subarray(0, 2)];
+        let offset = 2;
+        segments.forEach(segment => {
+            if (segment.start === insertAt) parts.push(...app2);
+            if (!isJpegIccSegment(bytes, segment)) parts.push(bytes.subarray(segment.start, segment.end));
+            offset = segment.end;
+        });
+        if (insertAt >= offset) parts.push(...app2);
+        parts.push(bytes.subarray(offset));
+
+        return concat(parts);
+    }
+
+    if (format === 'image/webp') {
+        const chunks = readWebpChunks(bytes);
+        const extended = chunks.find(chunk => chunk.type === 'VP8X');
+        const frame = chunks.find(chunk => chunk.type === 'VP8 ' || chunk.type === 'VP8L');
+        const header = extended ? extended.data.slice(0, 10) : frame && createWebpHeader(frame);
+        if (!header || header.length < 10) return bytes;
+        header[0] |= WEBP_ICC_FLAG;
+
+        // ICCP has to follow VP8X directly
+        return createWebpFile([
+            createWebpChunk('VP8X', header),
+            createWebpChunk('ICCP', profile.data),
+            ...chunks
+                .filter(chunk => chunk.type !== 'VP8X' && chunk.type !== 'ICCP')
+                .map(chunk => bytes.subarray(chunk.start, chunk.end))
+        ]);
+    }
+
+    return bytes;
+}
@@ -0,0 +1,95 @@
+/**
+ * Denoise module
+ * Edge-preserving cleanup of compression artifacts amplified by reverse blending
+ */
+
+// Alpha above this is capped when computing the amplification (avoids infinite strength)
+const MAX_AMPLIFIED_ALPHA = 0.95;
+
+/**
+ * Denoise the restored watermark area with an alpha-adaptive bilateral filter
+ *
+ * Principle:
+ * Reverse blending divides by (1 - α), so any error already in the watermarked
+ * pixel (e.g. JPEG block artifacts) is amplified by 1 / (1 - α). The added
+ * error grows with α / (1 - α), so the range sigma of the bilateral filter is
+ * scaled by that factor: pixels where the logo was faint are barely touched,
+ * pixels under dense parts of the logo are smoothed more, and real image edges
+ * (large colour differences) are preserved. Only the alpha map's footprint is
+ * modified.
+ *
+ * @param {ImageData} imageData - Image data to process (will be modified in place)
+ * @param {Float32Array} alphaMap - Alpha channel data
+ * @param {Object} position - Watermark position {x, y, width, height}
+ * @param {Object} options - Denoising options
+ * @param {number} options.sigmaRange - Range sigma per unit of amplification, in 8-bit levels (default: 2.5)
+ * @param {number} options.sigmaSpatial - Spatial sigma in pixels (default: 1.5)
+ * @param {number} options.radius - Filter radius in pixels (default: 2)
+ * @param {number} options.minAlpha - Pixels with lower alpha are left as is (default: 0.02)
+ * @returns {number} Number of filtered pixels
+ */
+export function denoiseWatermarkArea(imageData, alphaMap, position, options = {}) {
+    const { sigmaRange = 2.5, sigmaSpatial = 1.5, radius = 2, minAlpha = 0.02 } = options;
+    const { x, y, width, height } = position;
+    const imgWidth = imageData.width, imgHeight = imageData.height;
+
+    // Work from a copy of the area (plus filter border) so already filtered
+    // pixels do not feed into their neighbours
+    const left = Math.max(0, x - radius), top = Math.max(0, y - radius);
+    const right = Math.min(imgWidth, x + width + radius), bottom = Math.min(imgHeight, y + height + radius);
+    const copyWidth = right - left;
+    const source = new Uint8ClampedArray(copyWidth * (bottom - top) * 4);
+    for (let row = top; row < bottom; row++) {
+        const start = (row * imgWidth + left) * 4;
+        source.set(imageData.data.subarray(start, start + copyWidth * 4), (row - top) * copyWidth * 4);
+    }
+
+    // Precompute spatial weights
+    const spatial = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            spatial.push({ dx, dy, weight: Math.exp(-(dx * dx + dy * dy) / (2 * sigmaSpatial * sigmaSpatial)) });
+        }
+    }
+
+    let filtered = 0;
+
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            const alpha = alphaMap[row * width + col];
+            if (alpha < minAlpha) continue;
+
+            const cappedAlpha = Math.min(alpha, MAX_AMPLIFIED_ALPHA);
+            const sigma = sigmaRange * cappedAlpha / (1 - cappedAlpha);
+            const rangeFactor = 1 / (2 * sigma * sigma);
+
+            const px = x + col, py = y + row;
+            const centerIdx = ((py - top) * copyWidth + (px - left)) * 4;
+            let sumR = 0, sumG = 0, sumB = 0, sumWeight = 0;
+
+            for (const { dx, dy, weight } of spatial) {
+                const nx = px + dx, ny = py + dy;
+                if (nx < left || ny < top || nx >= right || ny >= bottom) continue;
+
+                const idx = ((ny - top) * copyWidth + (nx - left)) * 4;
+                const dr = source[idx] - source[centerIdx];
+                const dg = source[idx + 1] - source[centerIdx + 1];
+                const db = source[idx + 2] - source[centerIdx + 2];
+                const w = weight * Math.exp(-(dr * dr + dg * dg + db * db) * rangeFactor);
+
+                sumR += w * source[idx];
+                sumG += w * source[idx + 1];
+                sumB += w * source[idx + 2];
+                sumWeight += w;
+            }
+
+            const imgIdx = (py * imgWidth + px) * 4;
+            imageData.data[imgIdx] = Math.round(sumR / sumWeight);
+            imageData.data[imgIdx + 1] = Math.round(sumG / sumWeight);
+            imageData.data[imgIdx + 2] = Math.round(sumB / sumWeight);
+            filtered++;
+        }
+    }
+
+    return filtered;
+}
@@ -0,0 +1,307 @@
+/**
+ * Watermark detector module
+ * Score how well a watermark template matches a region of an image
+ */
+
+/**
+ * Calculate the luminance of an RGBA pixel
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} idx - Index of the pixel's red channel
+ * @returns {number} Luminance (value range 0-255)
+ */
+function getLuminance(data, idx) {
+    return 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+}
+
+/**
+ * Check whether a watermark position lies completely inside the image
+ * @param {ImageData} imageData - Image data
+ * @param {Object} position - Watermark position {x, y, width, height}
+ * @returns {boolean} True if the whole watermark area is inside the image
+ */
+export function isPositionInside(imageData, position) {
+    const { x, y, width, height } = position;
+    return width > 0 && height > 0 &&
+        x >= 0 && y >= 0 &&
+        x + width <= imageData.width &&
+        y + height <= imageData.height;
+}
+
+/**
+ * Get the luminance of the logo colour for an alpha map pixel
+ * @param {number[]|Float32Array} logoColor - RGB triple or per-pixel RGB map
+ * @param {boolean} perPixel - Whether logoColor is a per-pixel map
+ * @param {number} i - Alpha map pixel index
+ * @returns {number} Logo luminance (value range 0-255)
+ */
+function getLogoLuminance(logoColor, perPixel, i) {
+    const idx = perPixel ? i * 3 : 0;
+    return 0.299 * logoColor[idx] + 0.587 * logoColor[idx + 1] + 0.114 * logoColor[idx + 2];
+}
+
+/**
+ * Score how well an alpha map matches the image at the given position
+ *
+ * Principle:
+ * A watermark moves each pixel towards the logo colour by α × (logo - original),
+ * so inside a watermarked region the image luminance follows the expected
+ * change α × (logo - background). For a white logo that is simply the alpha map.
+ * The score is the normalized cross-correlation between luminance and the
+ * expected change over the watermark area: close to 1 for a strong match,
+ * around 0 when the template is not present.
+ *
+ * @param {ImageData} imageData - Image data to inspect
+ * @param {Float32Array} alphaMap - Alpha channel data
+ * @param {Object} position - Watermark position {x, y, width, height}
+ * @param {number[]|Float32Array} logoColor - Optional: logo colour (RGB triple or per-pixel RGB map); defaults to white
+ * @returns {number} Match score (value range -1.0-1.0)
+ */
+export function scoreWatermarkMatch(imageData, alphaMap, position, logoColor = null) {
+    if (!isPositionInside(imageData, position)) {
+        return 0;
+    }
+
+    const { x, y, width, height } = position;
+    const count = width * height;
+    const perPixelLogo = logoColor !== null && logoColor.length === count * 3;
+
+    // Estimate the background luminance from the (almost) transparent template pixels
+    let backgroundLuminance = 0;
+    if (logoColor) {
+        let sum = 0, transparent = 0, total = 0;
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                const luminance = getLuminance(imageData.data, ((y + row) * imageData.width + (x + col)) * 4);
+                total += luminance;
+                if (alphaMap[row * width + col] < 0.01) {
+                    sum += luminance;
+                    transparent++;
+                }
+            }
+        }
+        backgroundLuminance = transparent > 0 ? sum / transparent : total / count;
+    }
+
+    let sumL = 0, sumA = 0, sumLL = 0, sumAA = 0, sumLA = 0;
+
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            const imgIdx = ((y + row) * imageData.width + (x + col)) * 4;
+            const alphaIdx = row * width + col;
+            const luminance = getLuminance(imageData.data, imgIdx);
+            // Expected luminance change caused by the watermark at this pixel
+            const expected = logoColor
+                ? alphaMap[alphaIdx] * (getLogoLuminance(logoColor, perPixelLogo, alphaIdx) - backgroundLuminance)
+                : alphaMap[alphaIdx];
+
+            sumL += luminance;
+            sumA += expected;
+            sumLL += luminance * luminance;
+            sumAA += expected * expected;
+            sumLA += luminance * expected;
+        }
+    }
+
+    const covariance = sumLA - (sumL * sumA) / count;
+    const varianceL = sumLL - (sumL * sumL) / count;
+    const varianceA = sumAA - (sumA * sumA) / count;
+
+    // Flat regions or flat templates carry no evidence either way
+    if (varianceL <= 1e-6 || varianceA <= 1e-6) {
+        return 0;
+    }
+
+    return covariance / Math.sqrt(varianceL * varianceA);
+}
+
+/**
+ * Score an alpha map over a larger area that contains its position
+ * The template is padded with transparent pixels (no expected change) to the
+ * area, so templates of different sizes can be compared on the same pixels:
+ * one covering only part of a logo is penalised for the part it leaves out,
+ * one covering more than the logo for the change it wrongly predicts.
+ *
+ * @param {ImageData} imageData - Image data to inspect
+ * @param {Float32Array} alphaMap - Alpha channel data
+ * @param {Object} position - Template position {x, y, width, height}, inside the area
+ * @param {Object} area - Area to score over {x, y, width, height}
+ * @param {number[]|Float32Array} logoColor - Optional: logo colour (RGB triple or per-pixel RGB map); defaults to white
+ * @returns {number} Match score over the area (value range -1.0-1.0)
+ */
+export function scoreMatchOverArea(imageData, alphaMap, position, area, logoColor = null) {
+    const { width, height } = position;
+    const perPixelLogo = logoColor !== null && logoColor.length === width * height * 3;
+    const padded = new Float32Array(area.width * area.height);
+    const paddedLogo = perPixelLogo ? new Float32Array(area.width * area.height * 3) : logoColor;
+    const left = position.x - area.x, top = position.y - area.y;
+
+    for (let row = 0; row < height; row++) {
+        const target = (top + row) * area.width + left;
+        padded.set(alphaMap.subarray(row * width, (row + 1) * width), target);
+        if (perPixelLogo) {
+            paddedLogo.set(logoColor.subarray(row * width * 3, (row + 1) * width * 3), target * 3);
+        }
+    }
+
+    return scoreWatermarkMatch(imageData, padded, area, paddedLogo);
+}
+
+/**
+ * Shift an alpha map by a sub-pixel offset using bilinear interpolation
+ * Samples falling outside the template are treated as fully transparent.
+ * @param {Float32Array} alphaMap - Alpha channel data
+ * @param {number} width - Alpha map width
+ * @param {number} height - Alpha map height
+ * @param {number} dx - Horizontal shift in pixels (positive moves right)
+ * @param {number} dy - Vertical shift in pixels (positive moves down)
+ * @returns {Float32Array} Shifted alpha map with the same dimensions
+ */
+export function shiftAlphaMap(alphaMap, width, height, dx, dy) {
+    if (dx === 0 && dy === 0) {
+        return alphaMap;
+    }
+
+    const shifted = new Float32Array(width * height);
+    const sample = (col, row) => (
+        col < 0 || row < 0 || col >= width || row >= height ? 0 : alphaMap[row * width + col]
+    );
+
+    for (let row = 0; row < height; row++) {
+        const srcY = row - dy;
+        const y0 = Math.floor(srcY);
+        const fy = srcY - y0;
+
+        for (let col = 0; col < width; col++) {
+            const srcX = col - dx;
+            const x0 = Math.floor(srcX);
+            const fx = srcX - x0;
+
+            const top = sample(x0, y0) * (1 - fx) + sample(x0 + 1, y0) * fx;
+            const bottom = sample(x0, y0 + 1) * (1 - fx) + sample(x0 + 1, y0 + 1) * fx;
+            shifted[row * width + col] = top * (1 - fy) + bottom * fy;
+        }
+    }
+
+    return shifted;
+}
+
+/**
+ * Shift a per-pixel logo colour map by a sub-pixel offset using bilinear interpolation
+ * Unlike alpha, colour is clamped to the nearest template edge instead of fading out.
+ * @param {Float32Array} colorMap - Per-pixel RGB map (3 values per pixel)
+ * @param {number} width - Map width
+ * @param {number} height - Map height
+ * @param {number} dx - Horizontal shift in pixels (positive moves right)
+ * @param {number} dy - Vertical shift in pixels (positive moves down)
+ * @returns {Float32Array} Shifted colour map with the same dimensions
+ */
+export function shiftColorMap(colorMap, width, height, dx, dy) {
+    if (dx === 0 && dy === 0) {
+        return colorMap;
+    }
+
+    const shifted = new Float32Array(width * height * 3);
+    const clampX = (col) => Math.max(0, Math.min(width - 1, col));
+    const clampY = (row) => Math.max(0, Math.min(height - 1, row));
+
+    for (let row = 0; row < height; row++) {
+        const srcY = row - dy;
+        const y0 = Math.floor(srcY);
+        const fy = srcY - y0;
+        const top = clampY(y0) * width, bottom = clampY(y0 + 1) * width;
+
+        for (let col = 0; col < width; col++) {
+            const srcX = col - dx;
+            const x0 = Math.floor(srcX);
+            const fx = srcX - x0;
+            const left = clampX(x0), right = clampX(x0 + 1);
+
+            for (let c = 0; c < 3; c++) {
+                const upper = colorMap[(top + left) * 3 + c] * (1 - fx) + colorMap[(top + right) * 3 + c] * fx;
+                const lower = colorMap[(bottom + left) * 3 + c] * (1 - fx) + colorMap[(bottom + right) * 3 + c] * fx;
+                shifted[(row * width + col) * 3 + c] = upper * (1 - fy) + lower * fy;
+            }
+        }
+    }
+
+    return shifted;
+}
+
+/**
+ * Search a small window around the predicted position for the best alignment
+ * A coarse pass tries every whole-pixel offset within the search radius, then
+ * a fine pass refines around the best one with sub-pixel shifts of the
+ * template. The returned position is always whole-pixel; any fractional part
+ * of the offset is baked into the returned (shifted) alpha map.
+ *
+ * Each pass only moves when it beats the alignment it starts from by at least
+ * minGain: on textured backgrounds a shifted (and bilinearly smoothed)
+ * template can score a hair higher than the correct one, and removing at the
+ * wrong offset leaves a ghost outline.
+ *
+ * @param {ImageData} imageData - Image data to inspect
+ * @param {Float32Array} alphaMap - Alpha channel data
+ * @param {Object} position - Predicted watermark position {x, y, width, height}
+ * @param {Object} options - Search options
+ * @param {number} options.radius - Whole-pixel search radius (default: 2)
+ * @param {number} options.subPixelStep - Sub-pixel step, 0 disables the fine pass (default: 0.25)
+ * @param {number} options.minGain - Score gain required to move away from the starting alignment (default: 0.004)
+ * @param {number[]|Float32Array} options.logoColor - Logo colour used for scoring (default: white)
+ * @returns {Object} Best alignment {position, offset: {x, y}, alphaMap, score}
+ */
+export function findBestAlignment(imageData, alphaMap, position, options = {}) {
+    const { radius = 2, subPixelStep = 0.25, minGain = 0.004, logoColor = null } = options;
+    const { width, height } = position;
+
+    const predicted = {
+        position,
+        offset: { x: 0, y: 0 },
+        alphaMap,
+        score: scoreWatermarkMatch(imageData, alphaMap, position, logoColor)
+    };
+    let best = predicted;
+
+    // Coarse pass: whole-pixel offsets
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            if (dx === 0 && dy === 0) continue;
+
+            const candidate = { x: position.x + dx, y: position.y + dy, width, height };
+            if (!isPositionInside(imageData, candidate)) continue;
+
+            const score = scoreWatermarkMatch(imageData, alphaMap, candidate, logoColor);
+            if (score > best.score) {
+                best = { position: candidate, offset: { x: dx, y: dy }, alphaMap, score };
+            }
+        }
+    }
+
+    if (best.score < predicted.score + minGain) {
+        best = predicted;
+    }
+
+    if (!(subPixelStep > 0 && subPixelStep < 1)) {
+        return best;
+    }
+
+    // Fine pass: sub-pixel shifts of the template around the best whole-pixel offset
+    const coarse = best;
+    for (let fy = -0.5; fy <= 0.5; fy += subPixelStep) {
+        for (let fx = -0.5; fx <= 0.5; fx += subPixelStep) {
+            if (fx === 0 && fy === 0) continue;
+
+            const shifted = shiftAlphaMap(alphaMap, width, height, fx, fy);
+            const score = scoreWatermarkMatch(imageData, shifted, coarse.position, logoColor);
+            if (score > best.score) {
+                best = {
+                    position: coarse.position,
+                    offset: { x: coarse.offset.x + fx, y: coarse.offset.y + fy },
+                    alphaMap: shifted,
+                    score
+                };
+            }
+        }
+    }
+
+    return best.score < coarse.score + minGain ? coarse : best;
+}
@@ -0,0 +1,189 @@
+/**
+ * Image container module
+ * Low-level reading and writing of PNG chunks, JPEG header segments and WebP chunks,
+ * shared by the colour profile and metadata modules.
+ * Works on raw file bytes without the DOM (browser, Web Worker and Node.js).
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 of PNG chunk type and data
+ * @param {Uint8Array} bytes - Bytes to check
+ * @returns {number} CRC
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ * @param {Uint8Array} bytes - Input
+ * @param {TransformStream} stream - zlib ('deflate') transform
+ * @returns {Promise<Uint8Array>} Output
+ */
+export async function transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Read a four-character code
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} offset - Offset of the code
+ * @returns {string} Code
+ */
+export function readTag(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * Detect the container format of an encoded image
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {string|null} 'image/png', 'image/jpeg', 'image/webp', or null
+ */
+export function detectImageFormat(bytes) {
+    if (bytes.length >= 8 && PNG_SIGNATURE.every((value, i) => bytes[i] === value)) return 'image/png';
+    if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+    if (bytes.length >= 12 && readTag(bytes, 0) === 'RIFF' && readTag(bytes, 8) === 'WEBP') return 'image/webp';
+    return null;
+}
+
+/**
+ * Split a PNG file into chunks
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {Array<{type: string, start: number, end: number, data: Uint8Array}>} Chunks (start/end cover length, type, data and CRC)
+ */
+export function readPngChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = readTag(bytes, offset + 4);
+        const end = offset + 12 + length;
+        if (end > bytes.length) break;
+
+        chunks.push({ type, start: offset, end, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset = end;
+        if (type === 'IEND') break;
+    }
+
+    return chunks;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Chunk with length and CRC
+ */
+export function createPngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * Split a JPEG file into its header segments (up to the start of scan)
+ * @param {Uint8Array} bytes - JPEG file
+ * @returns {Array<{marker: number, start: number, end: number}>} Segments after SOI
+ */
+export function readJpegSegments(bytes) {
+    const segments = [];
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+        const marker = bytes[offset + 1];
+        // Fill bytes before a marker
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (marker === 0xda) break;
+
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        segments.push({ marker, start: offset, end: offset + 2 + length });
+        offset += 2 + length;
+    }
+
+    return segments;
+}
+
+/**
+ * Split a WebP file into its RIFF chunks
+ * @param {Uint8Array} bytes - WebP file
+ * @returns {Array<{type: string, start: number, end: number, data: Uint8Array}>} Chunks (start/end cover header, data and padding)
+ */
+export function readWebpChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+
+    for (let offset = 12; offset + 8 <= bytes.length;) {
+        const size = view.getUint32(offset + 4, true);
+        // Chunks are padded to an even size
+        const end = Math.min(bytes.length, offset + 8 + size + (size & 1));
+        chunks.push({ type: readTag(bytes, offset), start: offset, end, data: bytes.subarray(offset + 8, offset + 8 + size) });
+        offset = end;
+    }
+
+    return chunks;
+}
+
+/**
+ * Build a WebP chunk
+ * @param {string} type - Chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Chunk with size, padded to an even length
+ */
+export function createWebpChunk(type, data) {
+    const chunk = new Uint8Array(8 + data.length + (data.length & 1));
+    for (let i = 0; i < 4; i++) chunk[i] = type.charCodeAt(i);
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+}
+
+/**
+ * Wrap WebP chunks in a RIFF header
+ * @param {Uint8Array[]} chunks - Chunks in file order (see createWebpChunk)
+ * @returns {Uint8Array} WebP file
+ */
+export function createWebpFile(chunks) {
+    const header = Uint8Array.from('RIFF\0\0\0\0WEBP', char => char.charCodeAt(0));
+    const file = concat([header, ...chunks]);
+    new DataView(file.buffer).setUint32(4, file.length - 8, true);
+    return file;
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {Uint8Array[]} parts - Parts
+ * @returns {Uint8Array} Joined bytes
+ */
+export function concat(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
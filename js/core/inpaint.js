@@ -0,0 +1,162 @@
+/**
+ * Inpainting module
+ * Fill pixels that reverse alpha blending cannot recover from their restored surroundings
+ */
+
+// 4-connected neighbourhood
+const NEIGHBOURS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+/**
+ * Grow a mask by the given radius (square structuring element)
+ * @param {Uint8Array} mask - Mask to grow (1 = flagged)
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @param {number} radius - Radius in pixels
+ * @returns {Uint8Array} Grown mask
+ */
+function dilateMask(mask, width, height, radius) {
+    const grown = new Uint8Array(mask.length);
+
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            if (!mask[row * width + col]) continue;
+
+            for (let dy = -radius; dy <= radius; dy++) {
+                const r = row + dy;
+                if (r < 0 || r >= height) continue;
+                for (let dx = -radius; dx <= radius; dx++) {
+                    const c = col + dx;
+                    if (c < 0 || c >= width) continue;
+                    grown[r * width + c] = 1;
+                }
+            }
+        }
+    }
+
+    return grown;
+}
+
+/**
+ * Fill masked pixels inside the watermark area by diffusion from their surroundings
+ *
+ * Principle:
+ * Where alpha is clamped or the restored value is clipped, the original pixel
+ * cannot be solved for. Those pixels are first filled from the outside in
+ * (each pass averages the already known 4-neighbours), then smoothed with a
+ * number of diffusion iterations so the fill blends with the restored area.
+ * Pixels just outside the watermark area are used as known neighbours too.
+ *
+ * @param {ImageData} imageData - Image data to process (will be modified in place)
+ * @param {Uint8Array} mask - Unrecoverable pixels in the watermark area (1 = flagged), one value per alpha map pixel
+ * @param {Object} position - Watermark position {x, y, width, height}
+ * @param {Object} options - Inpainting options
+ * @param {number} options.dilate - Grow the mask by this many pixels to cover fringe pixels (default: 1)
+ * @param {number} options.iterations - Diffusion iterations after the initial fill (default: 60)
+ * @returns {number} Number of inpainted pixels
+ */
+export function inpaintMask(imageData, mask, position, options = {}) {
+    const { dilate = 1, iterations = 60 } = options;
+    const { x, y, width, height } = position;
+    const region = dilate > 0 ? dilateMask(mask, width, height, dilate) : mask;
+
+    const masked = [];
+    for (let i = 0; i < region.length; i++) {
+        if (region[i]) masked.push(i);
+    }
+    if (masked.length === 0) {
+        return 0;
+    }
+
+    // Working values of masked pixels, kept in float to let the diffusion converge
+    const values = new Float32Array(width * height * 3);
+    const known = new Uint8Array(width * height);
+    for (let i = 0; i < known.length; i++) known[i] = region[i] ? 0 : 1;
+
+    // Read a neighbour: masked pixels come from the working values, others from the image
+    const readNeighbour = (col, row, sum) => {
+        const imgX = x + col, imgY = y + row;
+        if (imgX < 0 || imgY < 0 || imgX >= imageData.width || imgY >= imageData.height) return false;
+
+        const inside = col >= 0 && row >= 0 && col < width && row < height;
+        if (inside && !known[row * width + col]) return false;
+
+        if (inside && region[row * width + col]) {
+            const idx = (row * width + col) * 3;
+            sum[0] += values[idx];
+            sum[1] += values[idx + 1];
+            sum[2] += values[idx + 2];
+        } else {
+            const idx = (imgY * imageData.width + imgX) * 4;
+            sum[0] += imageData.data[idx];
+            sum[1] += imageData.data[idx + 1];
+            sum[2] += imageData.data[idx + 2];
+        }
+        return true;
+    };
+
+    const sum = [0, 0, 0];
+
+    // Initial fill: peel layers from the outside in
+    let remaining = masked;
+    while (remaining.length > 0) {
+        const filled = [];
+        const pending = [];
+
+        for (const i of remaining) {
+            const col = i % width, row = Math.floor(i / width);
+            sum[0] = sum[1] = sum[2] = 0;
+            let count = 0;
+            for (const [dx, dy] of NEIGHBOURS) {
+                if (readNeighbour(col + dx, row + dy, sum)) count++;
+            }
+
+            if (count > 0) {
+                values[i * 3] = sum[0] / count;
+                values[i * 3 + 1] = sum[1] / count;
+                values[i * 3 + 2] = sum[2] / count;
+                filled.push(i);
+            } else {
+                pending.push(i);
+            }
+        }
+
+        // Isolated region with no known neighbour at all: give up on the rest
+        if (filled.length === 0) break;
+
+        // Mark the layer known only after the pass, so the fill does not drift in scan order
+        filled.forEach(i => { known[i] = 1; });
+        remaining = pending;
+    }
+
+    // Diffusion: relax every masked pixel towards the average of its neighbours
+    for (let iter = 0; iter < iterations; iter++) {
+        for (const i of masked) {
+            if (!known[i]) continue;
+            const col = i % width, row = Math.floor(i / width);
+            sum[0] = sum[1] = sum[2] = 0;
+            let count = 0;
+            for (const [dx, dy] of NEIGHBOURS) {
+                if (readNeighbour(col + dx, row + dy, sum)) count++;
+            }
+            if (count > 0) {
+                values[i * 3] = sum[0] / count;
+                values[i * 3 + 1] = sum[1] / count;
+                values[i * 3 + 2] = sum[2] / count;
+            }
+        }
+    }
+
+    // Write the filled pixels back to the image
+    let inpainted = 0;
+    for (const i of masked) {
+        if (!known[i]) continue;
+        const col = i % width, row = Math.floor(i / width);
+        const imgIdx = ((y + row) * imageData.width + (x + col)) * 4;
+        for (let c = 0; c < 3; c++) {
+            imageData.data[imgIdx + c] = Math.max(0, Math.min(255, Math.round(values[i * 3 + c])));
+        }
+        inpainted++;
+    }
+
+    return inpainted;
+}
@@ -0,0 +1,119 @@
+/**
+ * LRU cache module
+ * Size-bounded least-recently-used cache for typed arrays (alpha maps, logo colour maps)
+ */
+
+/**
+ * Least-recently-used cache with a byte budget
+ * Entries are kept in a Map, whose insertion order doubles as the recency
+ * order: a hit moves the entry to the end, eviction starts from the front.
+ */
+export class LruCache {
+    /**
+     * @param {Object} options - Optional: cache options
+     * @param {number} options.maxBytes - Byte budget for all entries (default: 64 MiB)
+     * @param {Function} options.sizeOf - Byte size of a value (default: value.byteLength)
+     */
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes ?? 64 * 1024 * 1024;
+        this.sizeOf = options.sizeOf || ((value) => value.byteLength || 0);
+        this.entries = new Map();
+        this.bytes = 0;
+        this.resetStats();
+    }
+
+    /**
+     * Get a value and mark it as most recently used
+     * @param {string} key - Cache key
+     * @returns {*} Cached value, or undefined on a miss
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.misses++;
+            return undefined;
+        }
+
+        this.hits++;
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Store a value, evicting the least recently used entries beyond the budget
+     * Values larger than the whole budget are not cached.
+     * @param {string} key - Cache key
+     * @param {*} value - Value to cache
+     * @returns {*} The value
+     */
+    set(key, value) {
+        this.delete(key);
+
+        const size = this.sizeOf(value);
+        if (size > this.maxBytes) {
+            return value;
+        }
+
+        this.entries.set(key, { value, size });
+        this.bytes += size;
+
+        for (const [oldKey, entry] of this.entries) {
+            if (this.bytes <= this.maxBytes) break;
+            this.entries.delete(oldKey);
+            this.bytes -= entry.size;
+            this.evictions++;
+        }
+
+        return value;
+    }
+
+    /**
+     * Remove an entry
+     * @param {string} key - Cache key
+     * @returns {boolean} True if the entry existed
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+
+        this.entries.delete(key);
+        this.bytes -= entry.size;
+        return true;
+    }
+
+    /**
+     * Remove every entry and reset the statistics
+     */
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+        this.resetStats();
+    }
+
+    /**
+     * Reset the hit, miss and eviction counters
+     */
+    resetStats() {
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {{entries: number, bytes: number, maxBytes: number, hits: number, misses: number, evictions: number, hitRate: number|null}} Statistics
+     */
+    getStats() {
+        const lookups = this.hits + this.misses;
+        return {
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            hitRate: lookups > 0 ? this.hits / lookups : null
+        };
+    }
+}
@@ -0,0 +1,569 @@
+/**
+ * Metadata module
+ * Read the EXIF, XMP and PNG text metadata of PNG, JPEG and WebP files and
+ * write it into re-encoded PNG and JPEG files, filtered per field.
+ * Works on raw file bytes without the DOM (browser, Web Worker and Node.js).
+ *
+ * Fields are named after EXIF tags (as exifr names them, e.g. DateTimeOriginal,
+ * Copyright, GPSLatitude; unnamed tags as hex such as 0xA420), 'XMP' for the
+ * XMP packet, and PNG text keywords (e.g. Description, Author).
+ */
+
+import {
+    detectImageFormat,
+    readPngChunks,
+    createPngChunk,
+    readJpegSegments,
+    readWebpChunks,
+    concat,
+    transform
+} from './imageContainer.js';
+
+// Field name of the XMP packet in policies
+export const XMP_FIELD = 'XMP';
+
+/**
+ * Default metadata policy: keep every field except maker notes, whose
+ * internal offsets break when the EXIF block is rewritten
+ */
+export const DEFAULT_METADATA_POLICY = { keep: true, allow: [], deny: ['MakerNote'] };
+
+// Identifiers at the start of JPEG APP1 segments
+const JPEG_EXIF_HEADER = 'Exif\0\0';
+const JPEG_XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+// Largest payload of a JPEG segment: 65535 - 2 (length)
+const JPEG_SEGMENT_MAX = 65533;
+
+// PNG iTXt keyword of the XMP packet
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+const PNG_TEXT_CHUNKS = ['tEXt', 'zTXt', 'iTXt'];
+const PNG_METADATA_CHUNKS = ['eXIf', ...PNG_TEXT_CHUNKS];
+
+// Byte size of one value of each TIFF field type
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+const TIFF_LONG = 4;
+
+const ORIENTATION_TAG = 0x0112;
+const EXIF_IFD_TAG = 0x8769;
+const GPS_IFD_TAG = 0x8825;
+const INTEROP_IFD_TAG = 0xa005;
+
+// Pointers to sub-IFDs are rebuilt on write
+const POINTER_TAGS = [EXIF_IFD_TAG, GPS_IFD_TAG, INTEROP_IFD_TAG];
+
+// Tags locating image data or the thumbnail in the source file, meaningless in the output
+const STRUCTURE_TAGS = [0x0111, 0x0116, 0x0117, 0x0144, 0x0145, 0x014a, 0x0201, 0x0202];
+
+// Tag names per IFD, following exifr
+const TAG_NAMES = {
+    ifd0: {
+        0x0100: 'ImageWidth', 0x0101: 'ImageHeight', 0x0102: 'BitsPerSample', 0x0103: 'Compression',
+        0x0106: 'PhotometricInterpretation', 0x010e: 'ImageDescription', 0x010f: 'Make', 0x0110: 'Model',
+        0x0112: 'Orientation', 0x0115: 'SamplesPerPixel', 0x011a: 'XResolution', 0x011b: 'YResolution',
+        0x011c: 'PlanarConfiguration', 0x0128: 'ResolutionUnit', 0x012d: 'TransferFunction',
+        0x0131: 'Software', 0x0132: 'ModifyDate', 0x013b: 'Artist', 0x013c: 'HostComputer',
+        0x013e: 'WhitePoint', 0x013f: 'PrimaryChromaticities', 0x0211: 'YCbCrCoefficients',
+        0x0212: 'YCbCrSubSampling', 0x0213: 'YCbCrPositioning', 0x0214: 'ReferenceBlackWhite',
+        0x02bc: 'ApplicationNotes', 0x4746: 'Rating', 0x4749: 'RatingPercent', 0x8298: 'Copyright',
+        0x83bb: 'IPTC', 0x8773: 'ICC', 0x9c9b: 'XPTitle', 0x9c9c: 'XPComment', 0x9c9d: 'XPAuthor',
+        0x9c9e: 'XPKeywords', 0x9c9f: 'XPSubject', 0xc4a5: 'PrintIM'
+    },
+    exif: {
+        0x829a: 'ExposureTime', 0x829d: 'FNumber', 0x8822: 'ExposureProgram', 0x8824: 'SpectralSensitivity',
+        0x8827: 'ISO', 0x8830: 'SensitivityType', 0x9000: 'ExifVersion', 0x9003: 'DateTimeOriginal',
+        0x9004: 'CreateDate', 0x9010: 'OffsetTime', 0x9011: 'OffsetTimeOriginal', 0x9012: 'OffsetTimeDigitized',
+        0x9101: 'ComponentsConfiguration', 0x9102: 'CompressedBitsPerPixel', 0x9201: 'ShutterSpeedValue',
+        0x9202: 'ApertureValue', 0x9203: 'BrightnessValue', 0x9204: 'ExposureCompensation',
+        0x9205: 'MaxApertureValue', 0x9206: 'SubjectDistance', 0x9207: 'MeteringMode', 0x9208: 'LightSource',
+        0x9209: 'Flash', 0x920a: 'FocalLength', 0x9214: 'SubjectArea', 0x927c: 'MakerNote',
+        0x9286: 'UserComment', 0x9290: 'SubSecTime', 0x9291: 'SubSecTimeOriginal', 0x9292: 'SubSecTimeDigitized',
+        0xa000: 'FlashpixVersion', 0xa001: 'ColorSpace', 0xa002: 'ExifImageWidth', 0xa003: 'ExifImageHeight',
+        0xa004: 'RelatedSoundFile', 0xa20b: 'FlashEnergy', 0xa20e: 'FocalPlaneXResolution',
+        0xa20f: 'FocalPlaneYResolution', 0xa210: 'FocalPlaneResolutionUnit', 0xa214: 'SubjectLocation',
+        0xa215: 'ExposureIndex', 0xa217: 'SensingMethod', 0xa300: 'FileSource', 0xa301: 'SceneType',
+        0xa302: 'CFAPattern', 0xa401: 'CustomRendered', 0xa402: 'ExposureMode', 0xa403: 'WhiteBalance',
+        0xa404: 'DigitalZoomRatio', 0xa405: 'FocalLengthIn35mmFormat', 0xa406: 'SceneCaptureType',
+        0xa407: 'GainControl', 0xa408: 'Contrast', 0xa409: 'Saturation', 0xa40a: 'Sharpness',
+        0xa40c: 'SubjectDistanceRange', 0xa420: 'ImageUniqueID', 0xa430: 'OwnerName', 0xa431: 'SerialNumber',
+        0xa432: 'LensInfo', 0xa433: 'LensMake', 0xa434: 'LensModel', 0xa435: 'LensSerialNumber',
+        0xa460: 'CompositeImage', 0xa500: 'Gamma'
+    },
+    gps: {
+        0x00: 'GPSVersionID', 0x01: 'GPSLatitudeRef', 0x02: 'GPSLatitude', 0x03: 'GPSLongitudeRef',
+        0x04: 'GPSLongitude', 0x05: 'GPSAltitudeRef', 0x06: 'GPSAltitude', 0x07: 'GPSTimeStamp',
+        0x08: 'GPSSatellites', 0x09: 'GPSStatus', 0x0a: 'GPSMeasureMode', 0x0b: 'GPSDOP', 0x0c: 'GPSSpeedRef',
+        0x0d: 'GPSSpeed', 0x0e: 'GPSTrackRef', 0x0f: 'GPSTrack', 0x10: 'GPSImgDirectionRef',
+        0x11: 'GPSImgDirection', 0x12: 'GPSMapDatum', 0x13: 'GPSDestLatitudeRef', 0x14: 'GPSDestLatitude',
+        0x15: 'GPSDestLongitudeRef', 0x16: 'GPSDestLongitude', 0x17: 'GPSDestBearingRef', 0x18: 'GPSDestBearing',
+        0x19: 'GPSDestDistanceRef', 0x1a: 'GPSDestDistance', 0x1b: 'GPSProcessingMethod',
+        0x1c: 'GPSAreaInformation', 0x1d: 'GPSDateStamp', 0x1e: 'GPSDifferential', 0x1f: 'GPSHPositioningError'
+    },
+    interop: {
+        0x0001: 'InteropIndex', 0x0002: 'InteropVersion', 0x1000: 'RelatedImageFileFormat',
+        0x1001: 'RelatedImageWidth', 0x1002: 'RelatedImageHeight'
+    }
+};
+
+// IFDs in the order they are written
+const IFD_NAMES = ['ifd0', 'exif', 'interop', 'gps'];
+
+/**
+ * Get the policy field name of an EXIF tag
+ * @param {string} ifd - IFD the tag is in ('ifd0', 'exif', 'gps' or 'interop')
+ * @param {number} tag - Tag number
+ * @returns {string} Field name
+ */
+function getTagName(ifd, tag) {
+    return TAG_NAMES[ifd][tag] || `0x${tag.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/**
+ * Decode Latin-1 bytes
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Text
+ */
+function decodeLatin1(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+    return text;
+}
+
+/**
+ * Check whether text can be stored as Latin-1
+ * @param {string} text - Text
+ * @returns {boolean} True if every character is Latin-1
+ */
+function isLatin1(text) {
+    return /^[\x00-\xff]*$/.test(text);
+}
+
+/**
+ * Check whether bytes start with an ASCII identifier
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Offset of the identifier
+ * @param {string} identifier - Identifier
+ * @returns {boolean} True if it matches
+ */
+function startsWith(bytes, offset, identifier) {
+    if (offset + identifier.length > bytes.length) return false;
+    for (let i = 0; i < identifier.length; i++) {
+        if (bytes[offset + i] !== identifier.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+/**
+ * Parse an EXIF (TIFF) block into its IFD entries
+ * Values keep their raw bytes in the block's byte order. The thumbnail IFD
+ * is not read: it shows the image as it was before processing.
+ * @param {Uint8Array} bytes - TIFF header and IFDs
+ * @returns {{littleEndian: boolean, ifds: Object<string, Array<{tag: number, type: number, count: number, value: Uint8Array}>>}|null}
+ *          EXIF block, or null if it is not valid TIFF
+ */
+function readExif(bytes) {
+    if (bytes.length < 8) return null;
+    const littleEndian = bytes[0] === 0x49 && bytes[1] === 0x49;
+    if (!littleEndian && !(bytes[0] === 0x4d && bytes[1] === 0x4d)) return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint16(2, littleEndian) !== 42) return null;
+
+    const readIfd = (offset) => {
+        const entries = [];
+        if (!offset || offset + 2 > bytes.length) return entries;
+
+        const count = view.getUint16(offset, littleEndian);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > bytes.length) break;
+
+            const tag = view.getUint16(entry, littleEndian);
+            const type = view.getUint16(entry + 2, littleEndian);
+            const valueCount = view.getUint32(entry + 4, littleEndian);
+            if (!TIFF_TYPE_SIZES[type]) continue;
+
+            // Values up to four bytes are stored in the entry itself
+            const size = TIFF_TYPE_SIZES[type] * valueCount;
+            const valueOffset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+            if (valueOffset + size > bytes.length) continue;
+
+            entries.push({ tag, type, count: valueCount, value: bytes.slice(valueOffset, valueOffset + size) });
+        }
+        return entries;
+    };
+
+    const pointer = (entries, tag) => {
+        const entry = entries.find(e => e.tag === tag && e.value.length === 4);
+        return entry ? new DataView(entry.value.buffer, entry.value.byteOffset, 4).getUint32(0, littleEndian) : 0;
+    };
+
+    const ifd0 = readIfd(view.getUint32(4, littleEndian));
+    const exif = readIfd(pointer(ifd0, EXIF_IFD_TAG));
+    const content = entries => entries.filter(e => !POINTER_TAGS.includes(e.tag) && !STRUCTURE_TAGS.includes(e.tag));
+
+    return {
+        littleEndian,
+        ifds: {
+            ifd0: content(ifd0),
+            exif: content(exif),
+            interop: readIfd(pointer(exif, INTEROP_IFD_TAG)),
+            gps: readIfd(pointer(ifd0, GPS_IFD_TAG))
+        }
+    };
+}
+
+/**
+ * Write an EXIF block as TIFF, rebuilding the sub-IFD pointers
+ * @param {Object} exif - EXIF block (see readExif)
+ * @returns {Uint8Array|null} TIFF bytes, or null if no entries are left
+ */
+function writeExif(exif) {
+    const { littleEndian } = exif;
+    const ifds = Object.fromEntries(IFD_NAMES.map(name => [name, [...(exif.ifds[name] || [])]]));
+
+    // Pointer values are filled in once the IFD offsets are known
+    const pointerEntry = (tag, target) => ({ tag, type: TIFF_LONG, count: 1, value: new Uint8Array(4), target });
+    if (ifds.interop.length > 0) ifds.exif.push(pointerEntry(INTEROP_IFD_TAG, 'interop'));
+    if (ifds.exif.length > 0) ifds.ifd0.push(pointerEntry(EXIF_IFD_TAG, 'exif'));
+    if (ifds.gps.length > 0) ifds.ifd0.push(pointerEntry(GPS_IFD_TAG, 'gps'));
+    if (ifds.ifd0.length === 0) return null;
+
+    // Lay out the IFDs one after the other, each followed by its out-of-line values
+    const offsets = {};
+    let size = 8;
+    IFD_NAMES.forEach(name => {
+        const entries = ifds[name];
+        if (entries.length === 0) return;
+        entries.sort((a, b) => a.tag - b.tag);
+        offsets[name] = size;
+        size += 2 + entries.length * 12 + 4;
+        entries.forEach(entry => {
+            if (entry.value.length > 4) size += entry.value.length + (entry.value.length & 1);
+        });
+    });
+
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    bytes.set(littleEndian ? [0x49, 0x49] : [0x4d, 0x4d]);
+    view.setUint16(2, 42, littleEndian);
+    view.setUint32(4, offsets.ifd0, littleEndian);
+
+    IFD_NAMES.forEach(name => {
+        const entries = ifds[name];
+        if (entries.length === 0) return;
+
+        const start = offsets[name];
+        let dataOffset = start + 2 + entries.length * 12 + 4;
+        view.setUint16(start, entries.length, littleEndian);
+
+        entries.forEach((entry, i) => {
+            const position = start + 2 + i * 12;
+            view.setUint16(position, entry.tag, littleEndian);
+            view.setUint16(position + 2, entry.type, littleEndian);
+            view.setUint32(position + 4, entry.count, littleEndian);
+
+            if (entry.target) {
+                view.setUint32(position + 8, offsets[entry.target], littleEndian);
+            } else if (entry.value.length <= 4) {
+                bytes.set(entry.value, position + 8);
+            } else {
+                view.setUint32(position + 8, dataOffset, littleEndian);
+                bytes.set(entry.value, dataOffset);
+                dataOffset += entry.value.length + (entry.value.length & 1);
+            }
+        });
+        // Next IFD offset stays 0: no thumbnail IFD
+    });
+
+    return bytes;
+}
+
+/**
+ * Parse a PNG text chunk
+ * @param {{type: string, data: Uint8Array}} chunk - tEXt, zTXt or iTXt chunk
+ * @returns {Promise<{keyword: string, text: string, language?: string, translatedKeyword?: string}|null>} Text entry
+ */
+async function readPngText(chunk) {
+    const { type, data } = chunk;
+    const keywordEnd = data.indexOf(0);
+    if (keywordEnd < 1) return null;
+    const keyword = decodeLatin1(data.subarray(0, keywordEnd));
+
+    if (type === 'tEXt') {
+        return { keyword, text: decodeLatin1(data.subarray(keywordEnd + 1)) };
+    }
+
+    if (type === 'zTXt') {
+        // Compression method (0 = zlib), compressed Latin-1 text
+        const text = await transform(data.subarray(keywordEnd + 2), new DecompressionStream('deflate'));
+        return { keyword, text: decodeLatin1(text) };
+    }
+
+    // iTXt: compression flag, compression method, language tag, translated keyword, UTF-8 text
+    const compressed = data[keywordEnd + 1] === 1;
+    const languageEnd = data.indexOf(0, keywordEnd + 3);
+    const translatedEnd = languageEnd < 0 ? -1 : data.indexOf(0, languageEnd + 1);
+    if (translatedEnd < 0) return null;
+
+    let text = data.subarray(translatedEnd + 1);
+    if (compressed) text = await transform(text, new DecompressionStream('deflate'));
+
+    const entry = { keyword, text: new TextDecoder().decode(text) };
+    const language = decodeLatin1(data.subarray(keywordEnd + 3, languageEnd));
+    const translatedKeyword = new TextDecoder().decode(data.subarray(languageEnd + 1, translatedEnd));
+    if (language) entry.language = language;
+    if (translatedKeyword) entry.translatedKeyword = translatedKeyword;
+    return entry;
+}
+
+/**
+ * Build a PNG text chunk: tEXt for Latin-1 text, iTXt (uncompressed) otherwise
+ * @param {{keyword: string, text: string, language?: string, translatedKeyword?: string}} entry - Text entry
+ * @param {boolean} international - Always write iTXt (required for XMP)
+ * @returns {Uint8Array} Chunk
+ */
+function createPngText(entry, international = false) {
+    // Keywords are 1-79 Latin-1 characters
+    const keyword = Uint8Array.from(entry.keyword.slice(0, 79), char => char.charCodeAt(0) & 0xff);
+
+    if (!international && isLatin1(entry.text) && !entry.language && !entry.translatedKeyword) {
+        return createPngChunk('tEXt', concat([keyword, new Uint8Array([0]), Uint8Array.from(entry.text, char => char.charCodeAt(0))]));
+    }
+
+    const encoder = new TextEncoder();
+    return createPngChunk('iTXt', concat([
+        keyword,
+        new Uint8Array([0, 0, 0]),
+        encoder.encode((entry.language || '').replace(/[^\x20-\x7e]/g, '')),
+        new Uint8Array([0]),
+        encoder.encode(entry.translatedKeyword || ''),
+        new Uint8Array([0]),
+        encoder.encode(entry.text)
+    ]));
+}
+
+/**
+ * Build a JPEG APP1 segment
+ * @param {string} identifier - Identifier at the start of the payload
+ * @param {Uint8Array} data - Payload after the identifier
+ * @returns {Uint8Array|null} Segment, or null if it does not fit in one segment
+ */
+function createJpegApp1(identifier, data) {
+    const length = 2 + identifier.length + data.length;
+    if (length - 2 > JPEG_SEGMENT_MAX) return null;
+
+    return concat([
+        new Uint8Array([0xff, 0xe1, length >> 8, length & 0xff]),
+        Uint8Array.from(identifier, char => char.charCodeAt(0)),
+        data
+    ]);
+}
+
+/**
+ * Read the metadata of an image file
+ * @param {ArrayBuffer|Uint8Array} buffer - PNG, JPEG or WebP file
+ * @returns {Promise<{exif: Object|null, xmp: string|null, text: Object[]}>} EXIF block, XMP packet and PNG text entries
+ */
+export async function extractMetadata(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const format = detectImageFormat(bytes);
+    const metadata = { exif: null, xmp: null, text: [] };
+
+    if (format === 'image/png') {
+        for (const chunk of readPngChunks(bytes)) {
+            if (chunk.type === 'eXIf') {
+                metadata.exif = readExif(chunk.data);
+            } else if (PNG_TEXT_CHUNKS.includes(chunk.type)) {
+                // A corrupt text chunk is skipped rather than failing the whole file
+                const entry = await readPngText(chunk).catch(() => null);
+                if (!entry) continue;
+                if (entry.keyword === PNG_XMP_KEYWORD) metadata.xmp = entry.text;
+                else metadata.text.push(entry);
+            }
+        }
+    }
+
+    if (format === 'image/jpeg') {
+        readJpegSegments(bytes)
+            .filter(segment => segment.marker === 0xe1)
+            .forEach(segment => {
+                const payload = segment.start + 4;
+                if (startsWith(bytes, payload, JPEG_EXIF_HEADER)) {
+                    metadata.exif = readExif(bytes.subarray(payload + JPEG_EXIF_HEADER.length, segment.end));
+                } else if (startsWith(bytes, payload, JPEG_XMP_HEADER)) {
+                    metadata.xmp = new TextDecoder().decode(bytes.subarray(payload + JPEG_XMP_HEADER.length, segment.end));
+                }
+            });
+    }
+
+    if (format === 'image/webp') {
+        readWebpChunks(bytes).forEach(chunk => {
+            if (chunk.type === 'EXIF') {
+                // Some writers keep the JPEG identifier in front of the TIFF header
+                const offset = startsWith(chunk.data, 0, JPEG_EXIF_HEADER) ? JPEG_EXIF_HEADER.length : 0;
+                metadata.exif = readExif(chunk.data.subarray(offset));
+            } else if (chunk.type === 'XMP ') {
+                metadata.xmp = new TextDecoder().decode(chunk.data);
+            }
+        });
+    }
+
+    return metadata;
+}
+
+/**
+ * List the field names present in metadata
+ * @param {Object|null} metadata - Metadata (see extractMetadata)
+ * @returns {string[]} Field names
+ */
+export function listMetadataFields(metadata) {
+    if (!metadata) return [];
+
+    const fields = [];
+    if (metadata.exif) {
+        IFD_NAMES.forEach(name => (metadata.exif.ifds[name] || []).forEach(entry => fields.push(getTagName(name, entry.tag))));
+    }
+    if (metadata.xmp) fields.push(XMP_FIELD);
+    metadata.text.forEach(entry => fields.push(entry.keyword));
+    return fields;
+}
+
+/**
+ * Check whether a policy lets a field through
+ * Patterns match field names case-insensitively; a trailing * matches any
+ * suffix (e.g. GPS* for all GPS tags). An empty allow list allows every
+ * field, the deny list is applied after it.
+ * @param {string} field - Field name
+ * @param {{keep: boolean, allow: string[], deny: string[]}} policy - Metadata policy
+ * @returns {boolean} True if the field is kept
+ */
+export function isFieldAllowed(field, policy = DEFAULT_METADATA_POLICY) {
+    if (policy.keep === false) return false;
+
+    const name = field.toLowerCase();
+    const matches = (pattern) => {
+        const p = pattern.trim().toLowerCase();
+        return p.endsWith('*') ? name.startsWith(p.slice(0, -1)) : name === p;
+    };
+
+    const allow = (policy.allow || []).filter(pattern => pattern.trim());
+    if (allow.length > 0 && !allow.some(matches)) return false;
+    return !(policy.deny || []).filter(pattern => pattern.trim()).some(matches);
+}
+
+/**
+ * Keep only the fields a policy allows
+ * @param {Object|null} metadata - Metadata (see extractMetadata)
+ * @param {{keep: boolean, allow: string[], deny: string[]}} policy - Metadata policy (default: DEFAULT_METADATA_POLICY)
+ * @returns {{exif: Object|null, xmp: string|null, text: Object[]}} Filtered metadata
+ */
+export function filterMetadata(metadata, policy = DEFAULT_METADATA_POLICY) {
+    if (!metadata || policy.keep === false) {
+        return { exif: null, xmp: null, text: [] };
+    }
+
+    let exif = null;
+    if (metadata.exif) {
+        const ifds = Object.fromEntries(IFD_NAMES.map(name => [
+            name,
+            (metadata.exif.ifds[name] || []).filter(entry => isFieldAllowed(getTagName(name, entry.tag), policy))
+        ]));
+        if (IFD_NAMES.some(name => ifds[name].length > 0)) {
+            exif = { littleEndian: metadata.exif.littleEndian, ifds };
+        }
+    }
+
+    return {
+        exif,
+        xmp: metadata.xmp && isFieldAllowed(XMP_FIELD, policy) ? metadata.xmp : null,
+        text: metadata.text.filter(entry => isFieldAllowed(entry.keyword, policy))
+    };
+}
+
+/**
+ * Mark the pixels as upright
+ * For images decoded with their EXIF orientation already applied (browsers
+ * do), so viewers do not rotate the output a second time.
+ * @param {Object|null} metadata - Metadata (see extractMetadata)
+ * @returns {Object|null} Metadata with Orientation set to 1 (top-left)
+ */
+export function resetOrientation(metadata) {
+    if (!metadata || !metadata.exif) return metadata;
+
+    const { littleEndian, ifds } = metadata.exif;
+    const ifd0 = ifds.ifd0.map(entry => {
+        if (entry.tag !== ORIENTATION_TAG || entry.value.length !== 2) return entry;
+        const value = new Uint8Array(2);
+        new DataView(value.buffer).setUint16(0, 1, littleEndian);
+        return { ...entry, value };
+    });
+
+    return { ...metadata, exif: { littleEndian, ifds: { ...ifds, ifd0 } } };
+}
+
+/**
+ * Write metadata into an encoded PNG or JPEG file
+ * Metadata already in the file is replaced. JPEG has no place for PNG text
+ * entries, and EXIF or XMP blocks larger than one JPEG segment are left out;
+ * other formats are returned unchanged.
+ * @param {ArrayBuffer|Uint8Array} buffer - Encoded PNG or JPEG file
+ * @param {Object|null} metadata - Metadata to write (see extractMetadata and filterMetadata)
+ * @returns {Promise<Uint8Array>} File with the metadata embedded
+ */
+export async function embedMetadata(buffer, metadata) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const format = detectImageFormat(bytes);
+    const exif = metadata && metadata.exif ? writeExif(metadata.exif) : null;
+    const xmp = metadata && metadata.xmp ? metadata.xmp : null;
+    const text = metadata ? metadata.text : [];
+
+    if (format === 'image/png') {
+        const chunks = readPngChunks(bytes);
+        const firstData = chunks.find(chunk => chunk.type === 'IDAT');
+        if (!firstData) return bytes;
+
+        // eXIf must come before the image data; text chunks are placed with it
+        const added = [];
+        if (exif) added.push(createPngChunk('eXIf', exif));
+        if (xmp) added.push(createPngText({ keyword: PNG_XMP_KEYWORD, text: xmp }, true));
+        text.forEach(entry => added.push(createPngText(entry)));
+
+        const parts = [bytes.subarray(0, chunks[0].start)];
+        chunks.forEach(chunk => {
+            if (chunk === firstData) parts.push(...added);
+            if (!PNG_METADATA_CHUNKS.includes(chunk.type)) parts.push(bytes.subarray(chunk.start, chunk.end));
+        });
+        parts.push(bytes.subarray(chunks[chunks.length - 1].end));
+
+        return concat(parts);
+    }
+
+    if (format === 'image/jpeg') {
+        const segments = readJpegSegments(bytes);
+        const isMetadataSegment = (segment) => segment.marker === 0xe1 &&
+            (startsWith(bytes, segment.start + 4, JPEG_EXIF_HEADER) || startsWith(bytes, segment.start + 4, JPEG_XMP_HEADER));
+
+        const added = [
+            exif ? createJpegApp1(JPEG_EXIF_HEADER, exif) : null,
+            xmp ? createJpegApp1(JPEG_XMP_HEADER, new TextEncoder().encode(xmp)) : null
+        ].filter(Boolean);
+
+        // APP1 goes right after SOI, or after a leading JFIF APP0
+        const leading = segments.findIndex(segment => segment.marker !== 0xe0);
+        const insertAt = leading === -1 ? (segments.length > 0 ? segments[segments.length - 1].end : 2) : segments[leading].start;
+
+        const parts = [bytes.subarray(0, 2)];
+        let offset = 2;
+        segments.forEach(segment => {
+            if (segment.start === insertAt) parts.push(...added);
+            if (!isMetadataSegment(segment)) parts.push(bytes.subarray(segment.start, segment.end));
+            offset = segment.end;
+        });
+        if (insertAt >= offset) parts.push(...added);
+        parts.push(bytes.subarray(offset));
+
+        return concat(parts);
+    }
+
+    return bytes;
+}
@@ -0,0 +1,525 @@
+/**
+ * Watermark provider registry
+ * Providers are described by JSON manifests (see providers/); the engine,
+ * the EXIF source checks and the tab bar are all generated from this registry
+ *
+ * Manifest format:
+ * {
+ *   "id": "doubao",                        // Watermark type id
+ *   "label": "✦ DOUBAO",                   // Tab label (overridden by the tab.<id> translation)
+ *   "anchor": "bottom-right",              // Corner (or "center") the offsets are measured from
+ *   "blendMode": "srgb" | "linear",        // Optional: colour space the logo is blended in (default: srgb)
+ *   "templates": {                         // Captures or float templates, paths relative to the manifest
+ *     "1x1": { "path": "...", "format": "image" | "float", "size": 48, "logoColor": [r, g, b] | "path" }
+ *   },
+ *   "scaling": { "rule": "aspect-ratio" | "calibration", ... },
+ *   "placements": [{ "id": "logo", "anchor": "center", "template": "...",  // Optional: further marks,
+ *       "refWidth", "refHeight", "wmWidth", "wmHeight", "offsetX", "offsetY" }],  // scaled with the short edge
+ *   "source": { "exif": { "Credit": "..." } }  // Optional: EXIF fields a genuine image carries
+ * }
+ */
+
+// Default location of the provider index (relative path for subdirectory deployment)
+const DEFAULT_INDEX_PATH = './providers/index.json';
+
+// Points a watermark can be anchored to
+// Corner offsets are measured inwards from the two edges of the corner;
+// centre offsets move the mark right and down from the centred position
+export const ANCHORS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+// Colour spaces a provider can blend its logo in (see blendModes.js)
+const BLEND_MODES = ['srgb', 'linear'];
+
+// Template file formats
+const TEMPLATE_FORMATS = ['image', 'float'];
+
+// Reference measurements every aspect ratio category and extra placement needs
+const REFERENCE_KEYS = ['refWidth', 'refHeight', 'wmWidth', 'wmHeight', 'offsetX', 'offsetY'];
+
+// Registered providers by id, in registration order
+const providers = new Map();
+
+/**
+ * Scaling rules: turn a provider manifest and an image size into watermark configurations
+ * Each rule validates its own manifest section, computes the configuration
+ * for an image size, and lists every configuration auto detection should try.
+ */
+const SCALING_RULES = {
+    /**
+     * Reference measurements taken at several aspect ratios, matched on the exact ratio
+     * scaling: { rule, interpolate?, categories: [{id, template, anchor?, refWidth, refHeight, wmWidth, wmHeight, offsetX, offsetY, logoColor?}] }
+     * Each reference sits at its own ratio refWidth / refHeight. An image between
+     * two references gets its watermark width and offsets interpolated (on the
+     * log ratio) between them, drawn with the nearer reference's template at that
+     * template's own proportions. Ratios outside the measured range are clamped
+     * to it, so the nearest end reference is used as measured rather than
+     * extrapolated. With interpolate set to false the nearest is always used.
+     */
+    'aspect-ratio': {
+        validate(scaling, fail) {
+            if (!Array.isArray(scaling.categories) || scaling.categories.length === 0) {
+                fail('scaling.categories must be a non-empty array');
+            }
+            scaling.categories.forEach(category => validateReference(category, `scaling category "${category.id}"`, fail));
+            if (scaling.interpolate !== undefined && typeof scaling.interpolate !== 'boolean') {
+                fail('scaling.interpolate must be a boolean');
+            }
+            const ratios = scaling.categories.map(category => logAspectRatio(category));
+            if (new Set(ratios).size !== ratios.length) {
+                fail('scaling categories must be measured at different aspect ratios');
+            }
+        },
+
+        configure(provider, imageWidth, imageHeight, categoryId = null) {
+            const { categories, interpolate = true } = provider.scaling;
+
+            if (categoryId) {
+                return referenceConfig(provider, categories.find(c => c.id === categoryId), imageWidth, imageHeight);
+            }
+
+            const sorted = [...categories].sort((a, b) => logAspectRatio(a) - logAspectRatio(b));
+            const ratio = Math.min(Math.max(Math.log(imageWidth / imageHeight), logAspectRatio(sorted[0])),
+                logAspectRatio(sorted[sorted.length - 1]));
+            const lower = sorted.filter(c => logAspectRatio(c) <= ratio).pop();
+            const upper = sorted.find(c => logAspectRatio(c) >= ratio);
+
+            // On a measured ratio (or clamped to an end of the range), or between
+            // references anchored differently: use the nearest reference as measured
+            if (!interpolate || lower === upper ||
+                (lower.anchor || provider.anchor) !== (upper.anchor || provider.anchor)) {
+                const nearest = sorted.reduce((best, c) =>
+                    Math.abs(logAspectRatio(c) - ratio) < Math.abs(logAspectRatio(best) - ratio) ? c : best);
+                return referenceConfig(provider, nearest, imageWidth, imageHeight);
+            }
+
+            const weight = (ratio - logAspectRatio(lower)) / (logAspectRatio(upper) - logAspectRatio(lower));
+            const nearest = weight < 0.5 ? lower : upper;
+            const shortEdge = Math.min(imageWidth, imageHeight);
+            // Measurements relative to the reference short edge, blended between the two references
+            const blend = (key) => (1 - weight) * lower[key] / Math.min(lower.refWidth, lower.refHeight) +
+                weight * upper[key] / Math.min(upper.refWidth, upper.refHeight);
+            const width = blend('wmWidth') * shortEdge;
+
+            return {
+                type: provider.id,
+                aspectCategory: nearest.id,
+                aspectBlend: { from: lower.id, to: upper.id, weight: Math.round(weight * 1000) / 1000 },
+                template: nearest.template,
+                width: Math.round(width),
+                height: Math.round(width * nearest.wmHeight / nearest.wmWidth),
+                offsetX: Math.round(blend('offsetX') * shortEdge),
+                offsetY: Math.round(blend('offsetY') * shortEdge),
+                refConfig: nearest,
+                anchor: nearest.anchor || provider.anchor
+            };
+        },
+
+        candidates(provider, imageWidth, imageHeight) {
+            const config = this.configure(provider, imageWidth, imageHeight);
+            const candidates = [config];
+
+            // The image may have been cropped or padded, so also try every measured reference
+            provider.scaling.categories.forEach(category => {
+                if (config.aspectBlend || category.id !== config.aspectCategory) {
+                    candidates.push(this.configure(provider, imageWidth, imageHeight, category.id));
+                }
+            });
+
+            return candidates;
+        }
+    },
+
+    /**
+     * Square logo sized from a calibration table of measured samples
+     * scaling: { rule, samples: [{shortEdge, size, margin, category?}] }
+     * Samples are sorted by short edge. Logo size and margin are interpolated
+     * linearly between the two samples around the image's short edge, held at
+     * the first sample below the table and extrapolated along the last segment
+     * above it. Two samples at the same short edge mark a jump: the first one
+     * applies up to and including that edge, the second one beyond it.
+     */
+    calibration: {
+        validate(scaling, fail) {
+            const { samples } = scaling;
+            if (!Array.isArray(samples) || samples.length < 2) {
+                fail('scaling.samples needs at least two samples');
+            }
+            samples.forEach((sample, index) => {
+                ['shortEdge', 'size'].forEach(key => {
+                    if (!(sample[key] > 0)) fail(`scaling sample ${index} needs a positive ${key}`);
+                });
+                if (!(sample.margin >= 0)) fail(`scaling sample ${index} needs a non-negative margin`);
+                if (sample.category !== undefined && typeof sample.category !== 'string') {
+                    fail(`scaling sample ${index} category must be a string`);
+                }
+                if (index > 0 && sample.shortEdge < samples[index - 1].shortEdge) {
+                    fail('scaling.samples must be sorted by shortEdge');
+                }
+                if (index > 1 && sample.shortEdge === samples[index - 2].shortEdge) {
+                    fail(`scaling.samples has more than two samples at short edge ${sample.shortEdge}`);
+                }
+            });
+            if (samples[samples.length - 1].shortEdge === samples[samples.length - 2].shortEdge) {
+                fail('the last two scaling samples must differ in shortEdge (they set the growth beyond the table)');
+            }
+        },
+
+        configure(provider, imageWidth, imageHeight) {
+            const { samples } = provider.scaling;
+            const shortEdge = Math.min(imageWidth, imageHeight);
+
+            if (shortEdge <= samples[0].shortEdge) {
+                const first = samples[0];
+                return calibratedConfig(provider, first.category, first.size, first.margin, [first], 0);
+            }
+
+            // Segment (lower, upper] holding the short edge; beyond the table, the last segment
+            let index = samples.findIndex((sample, i) =>
+                i > 0 && shortEdge <= sample.shortEdge && sample.shortEdge > samples[i - 1].shortEdge);
+            if (index === -1) index = samples.length - 1;
+
+            const lower = samples[index - 1];
+            const upper = samples[index];
+            const weight = (shortEdge - lower.shortEdge) / (upper.shortEdge - lower.shortEdge);
+            const size = Math.round(lower.size + (upper.size - lower.size) * weight);
+            const margin = Math.round(lower.margin + (upper.margin - lower.margin) * weight);
+
+            return calibratedConfig(provider, lower.category, size, margin, [lower, upper], weight);
+        },
+
+        candidates(provider, imageWidth, imageHeight) {
+            const config = this.configure(provider, imageWidth, imageHeight);
+            const candidates = [config];
+            const seen = new Set([`${config.width}/${config.offsetX}`]);
+
+            // The image may have been resized, so also try every measured sample as is
+            provider.scaling.samples.forEach(sample => {
+                const key = `${sample.size}/${sample.margin}`;
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    candidates.push(calibratedConfig(provider, sample.category, sample.size, sample.margin, [sample], 0));
+                }
+            });
+
+            return candidates;
+        }
+    }
+};
+
+/**
+ * Build a square watermark configuration from the calibration table
+ * @param {Object} provider - Registered provider
+ * @param {string} category - Optional: size category of the sample the result starts from
+ * @param {number} size - Logo size in pixels
+ * @param {number} margin - Margin from the anchored edges
+ * @param {Object[]} samples - Samples the result was interpolated from (one if used as is)
+ * @param {number} weight - Interpolation weight of the second sample (above 1 when extrapolated)
+ * @returns {Object} Watermark configuration with its calibration source
+ */
+function calibratedConfig(provider, category, size, margin, samples, weight) {
+    return {
+        ...squareConfig(provider, category || null, size, margin),
+        calibration: {
+            samples: samples.map(({ shortEdge, size, margin }) => ({ shortEdge, size, margin })),
+            weight: Math.round(weight * 1000) / 1000
+        }
+    };
+}
+
+/**
+ * Build a square watermark configuration
+ * @param {Object} provider - Registered provider
+ * @param {string} category - Size category
+ * @param {number} size - Logo size in pixels
+ * @param {number} margin - Margin from the anchored edges
+ * @returns {Object} Watermark configuration
+ */
+function squareConfig(provider, category, size, margin) {
+    return {
+        type: provider.id,
+        template: selectTemplate(provider, size),
+        sizeCategory: category,
+        anchor: provider.anchor,
+        width: size,
+        height: size,
+        logoSize: size,
+        offsetX: margin,
+        offsetY: margin
+    };
+}
+
+/**
+ * Check the reference measurements of a category or placement
+ * @param {Object} reference - Reference measurements
+ * @param {string} name - Name used in error messages
+ * @param {Function} fail - Error reporter
+ */
+function validateReference(reference, name, fail) {
+    REFERENCE_KEYS.forEach(key => {
+        if (typeof reference[key] !== 'number') fail(`${name} needs a numeric ${key}`);
+    });
+    if (reference.anchor !== undefined && !ANCHORS.includes(reference.anchor)) {
+        fail(`${name} anchor must be one of ${ANCHORS.join(', ')}`);
+    }
+}
+
+/**
+ * Natural log of the aspect ratio a reference was measured at
+ * @param {Object} reference - Reference measurements
+ * @returns {number} log(refWidth / refHeight)
+ */
+function logAspectRatio(reference) {
+    return Math.log(reference.refWidth / reference.refHeight);
+}
+
+/**
+ * Build the watermark configuration of one aspect ratio reference
+ * @param {Object} provider - Registered provider
+ * @param {Object} category - Reference measurements of the category
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @returns {Object} Watermark configuration
+ */
+function referenceConfig(provider, category, imageWidth, imageHeight) {
+    return {
+        type: provider.id,
+        aspectCategory: category.id,
+        ...scaleReference(category, imageWidth, imageHeight),
+        anchor: category.anchor || provider.anchor
+    };
+}
+
+/**
+ * Scale reference measurements to the given image size
+ * The watermark scales proportionally based on the shorter edge ratio
+ * @param {Object} reference - Reference measurements {template, refWidth, refHeight, wmWidth, wmHeight, offsetX, offsetY}
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @param {number} extraScale - Optional: further scale factor (e.g. found by multi-scale matching)
+ * @returns {Object} Scaled configuration fields {template, width, height, offsetX, offsetY, refConfig}
+ */
+function scaleReference(reference, imageWidth, imageHeight, extraScale = 1) {
+    const scale = extraScale * Math.min(imageWidth, imageHeight) / Math.min(reference.refWidth, reference.refHeight);
+
+    return {
+        template: reference.template,
+        width: Math.round(reference.wmWidth * scale),
+        height: Math.round(reference.wmHeight * scale),
+        offsetX: Math.round(reference.offsetX * scale),
+        offsetY: Math.round(reference.offsetY * scale),
+        // Store reference info for alpha map retrieval
+        refConfig: reference
+    };
+}
+
+/**
+ * Pick the template to scale from for a logo size
+ * The smallest template at least as large as the logo is used (downscaling
+ * keeps more detail than upscaling); templates without a size come last.
+ * @param {Object} provider - Registered provider
+ * @param {number} size - Logo size in pixels
+ * @returns {string} Template id
+ */
+function selectTemplate(provider, size) {
+    const sized = Object.entries(provider.templates)
+        .filter(([, template]) => template.size > 0)
+        .sort(([, a], [, b]) => a.size - b.size);
+
+    if (sized.length === 0) {
+        return Object.keys(provider.templates)[0];
+    }
+
+    const match = sized.find(([, template]) => template.size >= size);
+    return (match || sized[sized.length - 1])[0];
+}
+
+/**
+ * Fetch a JSON file
+ * @param {string} url - File URL
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load provider manifest: ${url}`);
+    }
+    return response.json();
+}
+
+/**
+ * Validate a provider manifest and add it to the registry
+ * Template paths are resolved against baseUrl (the manifest's own URL when
+ * loaded with loadProviders). Registering an id again replaces the provider.
+ * @param {Object} manifest - Provider manifest
+ * @param {string} baseUrl - Optional: URL template paths are resolved against
+ * @returns {Object} Registered provider
+ */
+export function registerProvider(manifest, baseUrl = null) {
+    const id = manifest && manifest.id;
+    const fail = (message) => {
+        throw new Error(`Invalid provider manifest "${id || '?'}": ${message}`);
+    };
+
+    if (typeof id !== 'string' || !/^[a-z0-9_-]+$/.test(id)) fail('id must be a lowercase identifier');
+    if (id === 'auto' || id === 'unknown') fail(`id "${id}" is reserved`);
+
+    const anchor = manifest.anchor || 'bottom-right';
+    if (!ANCHORS.includes(anchor)) fail(`anchor must be one of ${ANCHORS.join(', ')}`);
+
+    const blendMode = manifest.blendMode || 'srgb';
+    if (!BLEND_MODES.includes(blendMode)) fail(`blendMode must be one of ${BLEND_MODES.join(', ')}`);
+
+    const templateIds = Object.keys(manifest.templates || {});
+    if (templateIds.length === 0) fail('at least one template is required');
+
+    const resolve = (path) => (baseUrl ? new URL(path, baseUrl).href : path);
+    const templates = {};
+    templateIds.forEach(templateId => {
+        const template = manifest.templates[templateId];
+        const entry = typeof template === 'string' ? { path: template } : template;
+        if (!entry || typeof entry.path !== 'string') fail(`template "${templateId}" needs a path`);
+        // "image": background capture (white logo over black); "float": float alpha template (templateFormat.js)
+        if (entry.format !== undefined && !TEMPLATE_FORMATS.includes(entry.format)) {
+            fail(`template "${templateId}" format must be one of ${TEMPLATE_FORMATS.join(', ')}`);
+        }
+
+        templates[templateId] = {
+            ...entry,
+            path: resolve(entry.path),
+            format: entry.format || 'image',
+            // A string logo colour is the path of a per-pixel colour image
+            logoColor: typeof entry.logoColor === 'string' ? resolve(entry.logoColor) : entry.logoColor || null
+        };
+    });
+
+    const scaling = manifest.scaling || {};
+    const rule = SCALING_RULES[scaling.rule];
+    if (!rule) fail(`unknown scaling rule "${scaling.rule}"`);
+    rule.validate(scaling, fail);
+
+    (scaling.categories || []).forEach(category => {
+        if (!templates[category.template]) fail(`category "${category.id}" uses unknown template "${category.template}"`);
+    });
+
+    const placements = manifest.placements || [];
+    if (!Array.isArray(placements)) fail('placements must be an array');
+    placements.forEach((placement, index) => {
+        const name = `placement "${placement.id || index}"`;
+        validateReference(placement, name, fail);
+        if (!templates[placement.template]) fail(`${name} uses unknown template "${placement.template}"`);
+    });
+
+    const provider = {
+        id,
+        label: manifest.label || id.toUpperCase(),
+        anchor,
+        blendMode,
+        templates,
+        scaling,
+        placements: placements.map((placement, index) => ({ id: `placement${index + 1}`, ...placement })),
+        source: manifest.source || null
+    };
+
+    providers.set(id, provider);
+    return provider;
+}
+
+/**
+ * Load the provider index and register every manifest it lists
+ * @param {Object} options - Optional: loading options
+ * @param {string} options.indexPath - Path of the provider index (default: './providers/index.json')
+ * @param {string} options.baseUrl - URL the index path is resolved against (needed inside a Web Worker)
+ * @param {Function} options.readJson - Optional: read a JSON file by URL (default: fetch; Node.js passes a file reader)
+ * @returns {Promise<Object[]>} Registered providers
+ */
+export async function loadProviders(options = {}) {
+    const { indexPath = DEFAULT_INDEX_PATH, baseUrl = null, readJson = fetchJson } = options;
+    const indexUrl = new URL(indexPath, baseUrl || globalThis.location.href).href;
+
+    const index = await readJson(indexUrl);
+    const manifests = await Promise.all(index.providers.map(async (path) => {
+        const url = new URL(path, indexUrl).href;
+        return { manifest: await readJson(url), url };
+    }));
+
+    return manifests.map(({ manifest, url }) => registerProvider(manifest, url));
+}
+
+/**
+ * Get a registered provider
+ * @param {string} id - Provider id (watermark type)
+ * @returns {Object|null} Provider, or null if not registered
+ */
+export function getProvider(id) {
+    return providers.get(id) || null;
+}
+
+/**
+ * Get all registered providers, in registration order
+ * @returns {Object[]} Providers
+ */
+export function getProviders() {
+    return [...providers.values()];
+}
+
+/**
+ * Calculate the watermark configuration a provider uses for an image size
+ * @param {string} id - Provider id (watermark type)
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @returns {Object} Watermark configuration {type, template, anchor, width, height, offsetX, offsetY, ...}
+ */
+export function getProviderConfig(id, imageWidth, imageHeight) {
+    const provider = providers.get(id);
+    if (!provider) {
+        throw new Error(`Unknown watermark provider: ${id}`);
+    }
+    return SCALING_RULES[provider.scaling.rule].configure(provider, imageWidth, imageHeight);
+}
+
+/**
+ * List every configuration of every provider for auto detection
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @returns {Object[]} Candidate watermark configurations
+ */
+export function getProviderCandidates(imageWidth, imageHeight) {
+    return getProviders().flatMap(provider =>
+        SCALING_RULES[provider.scaling.rule].candidates(provider, imageWidth, imageHeight));
+}
+
+/**
+ * Calculate the further placements (e.g. a centred logo) that go with a detected watermark
+ * They scale with the image's short edge like aspect ratio references, and
+ * follow the scale found for the main watermark by multi-scale matching.
+ * @param {Object} config - Configuration of the main watermark
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @returns {Object[]} Watermark configurations of the further placements
+ */
+export function getPlacementConfigs(config, imageWidth, imageHeight) {
+    const provider = providers.get(config.type);
+    if (!provider) return [];
+
+    return provider.placements.map(placement => ({
+        type: provider.id,
+        placement: placement.id,
+        ...scaleReference(placement, imageWidth, imageHeight, config.scale || 1),
+        anchor: placement.anchor || provider.anchor
+    }));
+}
+
+/**
+ * Get the template a configuration is scaled from
+ * Square (size-based) configurations pick the template closest to their
+ * current size, so rescaled configurations follow the logo size.
+ * @param {Object} config - Watermark configuration
+ * @returns {string} Template id
+ */
+export function getConfigTemplate(config) {
+    const provider = providers.get(config.type);
+    if (provider && config.logoSize) {
+        return selectTemplate(provider, config.logoSize);
+    }
+    return config.template;
+}
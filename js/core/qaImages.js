@@ -0,0 +1,74 @@
+/**
+ * QA images module
+ * Images that show reviewers what watermark removal changed: the alpha map
+ * as greyscale, an amplified difference between the original and the result,
+ * and crops of the watermark rectangle.
+ * Works on ImageData-like objects {data, width, height} without the DOM.
+ */
+
+// Differences are multiplied by this, so changes of a few levels stay visible
+export const DIFFERENCE_GAIN = 8;
+
+/**
+ * Render an alpha map as an opaque greyscale image
+ * @param {Float32Array} alphaMap - Alpha values (0.0-1.0)
+ * @param {number} width - Alpha map width
+ * @param {number} height - Alpha map height
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} RGBA image, white where alpha is 1
+ */
+export function alphaMapToImage(alphaMap, width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const value = Math.round(alphaMap[i] * 255);
+        data[i * 4] = value;
+        data[i * 4 + 1] = value;
+        data[i * 4 + 2] = value;
+        data[i * 4 + 3] = 255;
+    }
+    return { data, width, height };
+}
+
+/**
+ * Build an amplified per-channel difference image
+ * Unchanged pixels are black; each channel shows |original - processed| × gain.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} original - Original image
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} processed - Processed image of the same size
+ * @param {number} gain - Optional: amplification (default DIFFERENCE_GAIN)
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Opaque RGBA difference image
+ */
+export function differenceImage(original, processed, gain = DIFFERENCE_GAIN) {
+    const { width, height } = original;
+    if (processed.width !== width || processed.height !== height) {
+        throw new Error(`Image sizes differ: ${width}×${height} and ${processed.width}×${processed.height}`);
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+            data[i + c] = Math.abs(original.data[i + c] - processed.data[i + c]) * gain;
+        }
+        data[i + 3] = 255;
+    }
+    return { data, width, height };
+}
+
+/**
+ * Copy a rectangle out of an image
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - Image
+ * @param {{x: number, y: number, width: number, height: number}} rect - Rectangle, clipped to the image
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}|null} Cropped image, or null if the rectangle lies outside the image
+ */
+export function cropImage(image, rect) {
+    const left = Math.max(0, rect.x);
+    const top = Math.max(0, rect.y);
+    const width = Math.min(image.width, rect.x + rect.width) - left;
+    const height = Math.min(image.height, rect.y + rect.height) - top;
+    if (width <= 0 || height <= 0) return null;
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let row = 0; row < height; row++) {
+        const start = ((top + row) * image.width + left) * 4;
+        data.set(image.data.subarray(start, start + width * 4), row * width * 4);
+    }
+    return { data, width, height };
+}
@@ -0,0 +1,147 @@
+/**
+ * Quality module
+ * Measure how much of the watermark is left after removal
+ */
+
+import { scoreWatermarkMatch } from './detector.js';
+
+// Alpha gradient magnitude above which a pixel counts as part of the logo outline
+const OUTLINE_GRADIENT = 0.05;
+
+// Alpha below which a pixel counts as background
+const BACKGROUND_ALPHA = 0.01;
+
+// Alpha cap for the noise gain, the same cap reverse blending uses (blendModes.js)
+const MAX_ALPHA = 0.99;
+
+// Width in pixels of the background ring sampled around the watermark area
+const BACKGROUND_RING = 4;
+
+// Edge energy ratio (outline / background) at which the edge penalty is maximal
+const MAX_EDGE_RATIO = 3;
+
+/**
+ * Get the luminance of an RGBA pixel
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} idx - Index of the pixel's red channel
+ * @returns {number} Luminance (value range 0-255)
+ */
+function getLuminance(data, idx) {
+    return 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+}
+
+/**
+ * Get the factor by which reverse blending amplifies noise energy at a pixel
+ * @param {number} alpha - Alpha value
+ * @returns {number} Energy gain 1 / (1 - α)², capped for (almost) opaque pixels
+ */
+function getNoiseGain(alpha) {
+    const opacity = 1 - Math.min(alpha, MAX_ALPHA);
+    return 1 / (opacity * opacity);
+}
+
+/**
+ * Get the squared luminance gradient at a pixel (central differences)
+ * @param {ImageData} imageData - Image data
+ * @param {number} px - Pixel column (must have a neighbour on each side)
+ * @param {number} py - Pixel row (must have a neighbour on each side)
+ * @returns {number} Gradient energy
+ */
+function getGradientEnergy(imageData, px, py) {
+    const stride = imageData.width * 4;
+    const idx = (py * imageData.width + px) * 4;
+    const gx = (getLuminance(imageData.data, idx + 4) - getLuminance(imageData.data, idx - 4)) / 2;
+    const gy = (getLuminance(imageData.data, idx + stride) - getLuminance(imageData.data, idx - stride)) / 2;
+    return gx * gx + gy * gy;
+}
+
+/**
+ * Compare gradient energy along the logo outline with the surrounding background
+ * A leftover ghost shows up as edges exactly where the alpha map has edges.
+ *
+ * Reverse blending divides by (1 - α), which amplifies the background's own
+ * texture and quantisation noise by the same factor, so even a perfect
+ * removal has stronger edges under the logo. Each outline pixel's energy is
+ * divided by the mean noise gain of the four pixels its central differences
+ * read; a ghost left by a wrong alpha is amplified the same way. The
+ * background reference comes from the transparent template pixels plus a ring
+ * just outside the watermark area, since some templates (Doubao's backdrop
+ * box) have hardly any transparent pixels.
+ *
+ * @param {ImageData} imageData - Restored image data
+ * @param {Float32Array} alphaMap - Alpha channel data
+ * @param {Object} position - Watermark position {x, y, width, height}
+ * @returns {number} Edge energy ratio (about 1 when the outline is invisible), or 1 if undecidable
+ */
+function measureOutlineEdges(imageData, alphaMap, position) {
+    const { x, y, width, height } = position;
+    let outlineSum = 0, outlineCount = 0;
+    let backgroundSum = 0, backgroundCount = 0;
+
+    for (let row = 1; row < height - 1; row++) {
+        for (let col = 1; col < width - 1; col++) {
+            const i = row * width + col;
+            const alphaGx = (alphaMap[i + 1] - alphaMap[i - 1]) / 2;
+            const alphaGy = (alphaMap[i + width] - alphaMap[i - width]) / 2;
+            const alphaGradient = Math.hypot(alphaGx, alphaGy);
+
+            if (alphaGradient > OUTLINE_GRADIENT) {
+                const gain = (getNoiseGain(alphaMap[i - 1]) + getNoiseGain(alphaMap[i + 1]) +
+                    getNoiseGain(alphaMap[i - width]) + getNoiseGain(alphaMap[i + width])) / 4;
+                outlineSum += getGradientEnergy(imageData, x + col, y + row) / gain;
+                outlineCount++;
+            } else if (alphaMap[i] < BACKGROUND_ALPHA) {
+                backgroundSum += getGradientEnergy(imageData, x + col, y + row);
+                backgroundCount++;
+            }
+        }
+    }
+
+    // Untouched ring around the watermark area, clipped to the image
+    const top = Math.max(1, y - BACKGROUND_RING), bottom = Math.min(imageData.height - 1, y + height + BACKGROUND_RING);
+    const left = Math.max(1, x - BACKGROUND_RING), right = Math.min(imageData.width - 1, x + width + BACKGROUND_RING);
+    for (let py = top; py < bottom; py++) {
+        for (let px = left; px < right; px++) {
+            if (px >= x && px < x + width && py >= y && py < y + height) continue;
+            backgroundSum += getGradientEnergy(imageData, px, py);
+            backgroundCount++;
+        }
+    }
+
+    if (outlineCount === 0 || backgroundCount === 0) {
+        return 1;
+    }
+
+    // Small floor so perfectly flat backgrounds do not blow up the ratio
+    return (outlineSum / outlineCount + 1) / (backgroundSum / backgroundCount + 1);
+}
+
+/**
+ * Score how cleanly the watermark was removed
+ *
+ * Two residual measures are combined, and the worse one decides:
+ * - Correlation between the restored area and the expected watermark change:
+ *   a remaining logo correlates positively, an over-corrected (dark) ghost
+ *   negatively, a clean result is close to 0.
+ * - Edge energy along the logo outline relative to the surrounding background:
+ *   a ghost outline adds edges where the alpha map has edges.
+ *
+ * The score clamps both to 0-100, so it cannot tell a bad result from a
+ * worse one. The unclamped penalty can, and is what to compare when deciding
+ * whether a removal made the area better or worse.
+ *
+ * @param {ImageData} imageData - Restored image data
+ * @param {Float32Array} alphaMap - Alpha channel data used for the removal
+ * @param {Object} position - Watermark position {x, y, width, height}
+ * @param {number[]|Float32Array} logoColor - Optional: logo colour used for the removal
+ * @returns {{score: number, correlation: number, edgeRatio: number, penalty: number}} Score (0-100, higher is cleaner), its components and the unclamped penalty (0 is clean)
+ */
+export function scoreResidual(imageData, alphaMap, position, logoColor = null) {
+    const correlation = scoreWatermarkMatch(imageData, alphaMap, position, logoColor);
+    const edgeRatio = measureOutlineEdges(imageData, alphaMap, position);
+
+    const penalty = Math.max(Math.abs(correlation), (edgeRatio - 1) / (MAX_EDGE_RATIO - 1));
+    const score = Math.round(100 * (1 - Math.max(0, Math.min(1, penalty))));
+
+    return { score, correlation, edgeRatio, penalty };
+}
@@ -0,0 +1,144 @@
+/**
+ * Resample module
+ * Deterministic, DOM-free image scaling for watermark templates
+ * Results depend only on the input, never on the browser's canvas smoothing.
+ */
+
+/**
+ * Resampling kernels: weight function and support (in source pixels at scale 1)
+ */
+export const KERNELS = {
+    // Tent filter: linear interpolation when enlarging, area-like averaging when shrinking
+    triangle: {
+        support: 1,
+        weight(x) {
+            const t = Math.abs(x);
+            return t < 1 ? 1 - t : 0;
+        }
+    },
+
+    // Keys cubic convolution with a = -0.5 (Catmull-Rom)
+    bicubic: {
+        support: 2,
+        weight(x) {
+            const t = Math.abs(x);
+            if (t < 1) return 1.5 * t * t * t - 2.5 * t * t + 1;
+            if (t < 2) return -0.5 * t * t * t + 2.5 * t * t - 4 * t + 2;
+            return 0;
+        }
+    },
+
+    // Windowed sinc with three lobes
+    lanczos3: {
+        support: 3,
+        weight(x) {
+            const t = Math.abs(x);
+            if (t === 0) return 1;
+            if (t >= 3) return 0;
+            const px = Math.PI * t;
+            return 3 * Math.sin(px) * Math.sin(px / 3) / (px * px);
+        }
+    }
+};
+
+/**
+ * Precompute the source taps and weights of every output position along one axis
+ * When shrinking, the kernel is widened by the scale factor so every source
+ * pixel contributes (no aliasing); when enlarging it is plain interpolation.
+ * @param {number} srcSize - Source length
+ * @param {number} dstSize - Destination length
+ * @param {Object} kernel - Kernel from KERNELS
+ * @returns {Array<{start: number, weights: Float64Array}>} Taps per output position
+ */
+function computeTaps(srcSize, dstSize, kernel) {
+    const scale = dstSize / srcSize;
+    const filterScale = Math.max(1, 1 / scale);
+    // Kernel support in source pixels
+    const support = kernel.support * filterScale;
+    const taps = [];
+
+    for (let i = 0; i < dstSize; i++) {
+        // Pixel centres are at half-integer coordinates
+        const center = (i + 0.5) / scale - 0.5;
+        const start = Math.max(0, Math.ceil(center - support));
+        const end = Math.min(srcSize - 1, Math.floor(center + support));
+
+        const weights = new Float64Array(Math.max(0, end - start + 1));
+        let sum = 0;
+        for (let j = start; j <= end; j++) {
+            const weight = kernel.weight((j - center) / filterScale);
+            weights[j - start] = weight;
+            sum += weight;
+        }
+
+        if (sum > 0) {
+            // Taps cut off at the edges are compensated by normalizing the rest
+            for (let k = 0; k < weights.length; k++) weights[k] /= sum;
+            taps.push({ start, weights });
+        } else {
+            // Degenerate case (tiny source): take the nearest pixel
+            taps.push({ start: Math.max(0, Math.min(srcSize - 1, Math.round(center))), weights: new Float64Array([1]) });
+        }
+    }
+
+    return taps;
+}
+
+/**
+ * Resize an interleaved float plane (e.g. an alpha map or a per-pixel RGB map) with a separable filter
+ * Values are not clamped: kernels with negative lobes may overshoot near sharp edges.
+ * @param {Float32Array} data - Source values, `channels` per pixel
+ * @param {number} srcWidth - Source width
+ * @param {number} srcHeight - Source height
+ * @param {number} channels - Values per pixel
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {string} kernelName - Kernel name from KERNELS (default: 'lanczos3')
+ * @returns {Float32Array} Resized values
+ */
+export function resizePlane(data, srcWidth, srcHeight, channels, width, height, kernelName = 'lanczos3') {
+    const kernel = KERNELS[kernelName];
+    if (!kernel) {
+        throw new Error(`Unknown resampling kernel: ${kernelName}`);
+    }
+
+    if (srcWidth === width && srcHeight === height) {
+        return new Float32Array(data);
+    }
+
+    // Horizontal pass (double precision so results do not depend on summation rounding)
+    const xTaps = computeTaps(srcWidth, width, kernel);
+    const horizontal = new Float64Array(width * srcHeight * channels);
+    for (let row = 0; row < srcHeight; row++) {
+        for (let col = 0; col < width; col++) {
+            const { start, weights } = xTaps[col];
+            const out = (row * width + col) * channels;
+            for (let k = 0; k < weights.length; k++) {
+                const idx = (row * srcWidth + start + k) * channels;
+                const weight = weights[k];
+                for (let c = 0; c < channels; c++) {
+                    horizontal[out + c] += data[idx + c] * weight;
+                }
+            }
+        }
+    }
+
+    // Vertical pass into the result
+    const yTaps = computeTaps(srcHeight, height, kernel);
+    const result = new Float32Array(width * height * channels);
+    for (let row = 0; row < height; row++) {
+        const { start, weights } = yTaps[row];
+        for (let col = 0; col < width; col++) {
+            const out = (row * width + col) * channels;
+            for (let c = 0; c < channels; c++) {
+                let value = 0;
+                for (let k = 0; k < weights.length; k++) {
+                    value += horizontal[((start + k) * width + col) * channels + c] * weights[k];
+                }
+                result[out + c] = value;
+            }
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,101 @@
+/**
+ * Template format module
+ * Read and write high-precision watermark templates: float alpha and an
+ * optional per-pixel logo colour at the template's native resolution,
+ * free of the 8-bit quantisation of PNG background captures.
+ *
+ * Binary layout (little-endian):
+ *   0   4 bytes  magic "LSJT"
+ *   4   uint8    version (1)
+ *   5   uint8    flags (bit 0: per-pixel logo colour follows the alpha plane;
+ *                 bit 1: alpha was read from sRGB-encoded capture pixels)
+ *   6   uint16   reserved (0)
+ *   8   uint32   width
+ *   12  uint32   height
+ *   16  float32  alpha, width × height values in row order (0.0-1.0)
+ *   ..  float32  logo colour, width × height × 3 RGB values (0-255), if flagged
+ */
+
+const MAGIC = 'LSJT';
+const VERSION = 1;
+const HEADER_SIZE = 16;
+const FLAG_LOGO_COLOR = 1;
+const FLAG_ENCODED_ALPHA = 2;
+
+/**
+ * Encode a template
+ * @param {{width: number, height: number, alphaMap: Float32Array, logoColor: Float32Array|null, encodedAlpha: boolean}} template - Template
+ *        (an alpha estimate from alphaEstimator.js can be passed as is; set encodedAlpha for alpha read from a background capture)
+ * @returns {Uint8Array} Encoded template file
+ */
+export function encodeTemplate(template) {
+    const { width, height, alphaMap } = template;
+    const pixelCount = width * height;
+    const logoColor = template.logoColor && template.logoColor.length === pixelCount * 3 ? template.logoColor : null;
+
+    if (!alphaMap || alphaMap.length !== pixelCount) {
+        throw new Error('Template alpha map does not match its size');
+    }
+
+    const bytes = new Uint8Array(HEADER_SIZE + (pixelCount + (logoColor ? pixelCount * 3 : 0)) * 4);
+    const view = new DataView(bytes.buffer);
+
+    for (let i = 0; i < MAGIC.length; i++) bytes[i] = MAGIC.charCodeAt(i);
+    view.setUint8(4, VERSION);
+    view.setUint8(5, (logoColor ? FLAG_LOGO_COLOR : 0) | (template.encodedAlpha ? FLAG_ENCODED_ALPHA : 0));
+    view.setUint32(8, width, true);
+    view.setUint32(12, height, true);
+
+    let offset = HEADER_SIZE;
+    for (let i = 0; i < pixelCount; i++, offset += 4) view.setFloat32(offset, alphaMap[i], true);
+    if (logoColor) {
+        for (let i = 0; i < pixelCount * 3; i++, offset += 4) view.setFloat32(offset, logoColor[i], true);
+    }
+
+    return bytes;
+}
+
+/**
+ * Decode a template
+ * @param {ArrayBuffer|ArrayBufferView} buffer - Encoded template file
+ * @returns {{width: number, height: number, alphaMap: Float32Array, logoColor: Float32Array|null, encodedAlpha: boolean}} Template
+ */
+export function decodeTemplate(buffer) {
+    const view = ArrayBuffer.isView(buffer)
+        ? new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+        : new DataView(buffer);
+
+    const magic = view.byteLength >= HEADER_SIZE
+        ? String.fromCharCode(...[0, 1, 2, 3].map(i => view.getUint8(i)))
+        : '';
+    if (magic !== MAGIC) {
+        throw new Error('Not a watermark template file');
+    }
+
+    const version = view.getUint8(4);
+    if (version !== VERSION) {
+        throw new Error(`Unsupported watermark template version: ${version}`);
+    }
+
+    const flags = view.getUint8(5);
+    const hasLogoColor = (flags & FLAG_LOGO_COLOR) !== 0;
+    const width = view.getUint32(8, true);
+    const height = view.getUint32(12, true);
+    const pixelCount = width * height;
+
+    if (view.byteLength !== HEADER_SIZE + (pixelCount + (hasLogoColor ? pixelCount * 3 : 0)) * 4) {
+        throw new Error('Watermark template file is truncated or corrupt');
+    }
+
+    let offset = HEADER_SIZE;
+    const alphaMap = new Float32Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++, offset += 4) alphaMap[i] = view.getFloat32(offset, true);
+
+    let logoColor = null;
+    if (hasLogoColor) {
+        logoColor = new Float32Array(pixelCount * 3);
+        for (let i = 0; i < pixelCount * 3; i++, offset += 4) logoColor[i] = view.getFloat32(offset, true);
+    }
+
+    return { width, height, alphaMap, logoColor, encodedAlpha: (flags & FLAG_ENCODED_ALPHA) !== 0 };
+}
@@ -1,256 +1,350 @@
 /**
  * Watermark engine main module
  * Coordinate watermark detection, alpha map calculation, and removal operations
- * Supports multiple watermark types: Gemini, Doubao, Qwen
+ * Watermark types come from the provider registry (Gemini, Doubao and Qwen are bundled)
+ *
+ * The engine is DOM-free: it works on plain {width, height, data} RGBA pixel
+ * buffers and gets template pixels from an injected loader. Templates are
+ * held as float alpha (see templateFormat.js) and scaled with a deterministic
+ * resampler, so results do not depend on the browser. See
+ * js/canvasEngine.js for the browser adapter and cli/ for the Node.js one.
  */
 
 import { calculateAlphaMap } from './alphaMap.js';
-import { removeWatermark } from './blendModes.js';
+import { removeWatermark, srgbToLinear, BLEND_MODE } from './blendModes.js';
+import { isPositionInside, findBestAlignment, shiftColorMap, scoreMatchOverArea } from './detector.js';
+import { inpaintMask } from './inpaint.js';
+import { denoiseWatermarkArea } from './denoise.js';
+import { scoreResidual } from './quality.js';
+import { resizePlane } from './resample.js';
+import { decodeTemplate } from './templateFormat.js';
+import { LruCache } from './lruCache.js';
+import {
+    loadProviders,
+    getProviders,
+    getProvider,
+    getProviderConfig,
+    getProviderCandidates,
+    getPlacementConfigs,
+    getConfigTemplate
+} from './providerRegistry.js';
 
 // Watermark type constants
+// Concrete types are the ids of the registered providers (see providerRegistry.js)
 export const WATERMARK_TYPE = {
-    GEMINI: 'gemini',
-    DOUBAO: 'doubao',
-    QWEN: 'qwen',
+    AUTO: 'auto',
     UNKNOWN: 'unknown'
 };
 
-// PNG assets paths (relative paths for subdirectory deployment)
-const GEMINI_BG_48_PATH = './assets/bg_48.png';
-const GEMINI_BG_96_PATH = './assets/bg_96.png';
+// Loading state of a watermark template
+// Templates are loaded on first use; a template that fails to load stays in
+// the error state and disables only the provider it belongs to
+export const TEMPLATE_STATUS = {
+    IDLE: 'idle',
+    LOADING: 'loading',
+    READY: 'ready',
+    ERROR: 'error'
+};
+
+// Provider used when no watermark type is given
+const DEFAULT_WATERMARK_TYPE = 'gemini';
 
-// Doubao watermark templates for different aspect ratios
-// Each template was extracted from actual watermarked images
-const DOUBAO_BG_PATHS = {
-    '1x1': './assets/doubao_bg_1x1.png',  // For square images (ratio ~1.0)
-    '2x3': './assets/doubao_bg_2x3.png',  // For portrait images (ratio < 0.8)
-    '3x2': './assets/doubao_bg_3x2.png'   // For landscape images (ratio > 1.2)
+// Processing status reported for each image
+export const WATERMARK_STATUS = {
+    REMOVED: 'removed',
+    NO_WATERMARK: 'no_watermark'
 };
 
-// Qwen watermark template path
-// Qwen uses "千问AI生成" watermark in bottom-right corner
-const QWEN_BG_PATH = './assets/qwen_bg_1x1.png';
-
-// Doubao watermark reference configurations for each aspect ratio
-// All measurements are from actual Doubao-generated images
-const DOUBAO_CONFIGS = {
-    '1x1': {
-        refWidth: 2048,
-        refHeight: 2048,
-        wmWidth: 282,
-        wmHeight: 123,
-        marginRight: 57,
-        marginBottom: 54
-    },
-    '2x3': {
-        refWidth: 1672,
-        refHeight: 2508,
-        wmWidth: 225,
-        wmHeight: 43,
-        marginRight: 50,
-        marginBottom: 50
-    },
-    '3x2': {
-        refWidth: 2508,
-        refHeight: 1672,
-        wmWidth: 296,
-        wmHeight: 71,
-        marginRight: 53,
-        marginBottom: 53
-    }
+// Minimum match score for auto detection to accept a template, for a single comparison
+// Scores are normalized cross-correlations between image luminance and alpha map
+const DETECTION_THRESHOLD = 0.35;
+
+// Minimum match score for a fixed watermark type to be considered present, for a single comparison
+// Lower than the auto threshold because the user already chose the type;
+// clean or already processed corners score around 0 or below
+const PRESENCE_THRESHOLD = 0.2;
+
+// The best of many comparisons with a clean corner scores higher than any single
+// one: searching candidates, scales and offsets lets already processed corners
+// reach 0.4-0.5. Detection thresholds rise by this much per unit of the natural
+// logarithm of the number of comparisons, up to MAX_DETECTION_THRESHOLD.
+const TRIAL_PENALTY = 0.07;
+const MAX_DETECTION_THRESHOLD = 0.75;
+
+// Alignment search around the predicted watermark position
+// Rounded template sizes and margins can leave the watermark 1-2px away
+// from the computed position, which shows up as a ghost outline
+const ALIGNMENT_OPTIONS = {
+    radius: 2,          // Whole-pixel search radius
+    subPixelStep: 0.25, // Sub-pixel refinement step
+    minGain: 0.004      // Score gain required to move off the predicted (or whole-pixel) alignment
+};
+
+// Inpainting of pixels reverse blending cannot recover
+// (alpha clamped at the maximum, or restored value clipped)
+const INPAINT_OPTIONS = {
+    enabled: true,
+    dilate: 1,          // Grow the mask to cover fringe pixels
+    iterations: 60      // Diffusion iterations after the initial fill
 };
 
-// Qwen watermark reference configuration
-// Measured from actual Qwen-generated 1328x1328 image
-// Qwen watermark appears to scale proportionally with short edge
-const QWEN_CONFIG = {
-    refWidth: 1328,
-    refHeight: 1328,
-    wmWidth: 234,
-    wmHeight: 46,
-    marginRight: 28,
-    marginBottom: 30
+// Edge-preserving cleanup of JPEG artifacts amplified by reverse blending
+// Enabled automatically for JPEG inputs, see processImageData options
+const DENOISE_OPTIONS = {
+    sigmaRange: 2.5,    // Range sigma per unit of amplification α / (1 - α)
+    sigmaSpatial: 1.5,  // Spatial sigma in pixels
+    radius: 2,          // Filter radius in pixels
+    minAlpha: 0.02      // Leave pixels with fainter watermark untouched
 };
 
-// Gemini watermark scaling parameters
-// Based on empirical measurements from actual Gemini-generated images:
-// - At short edge 1024: 48×48 watermark, 32px margin
-// - At short edge 2048: 96×96 watermark, 64px margin
-// - At short edge 3058: 173×173 watermark, 104px margin (measured from 4096×3058 image)
-const GEMINI_SCALING = {
-    // Threshold for small images (use 48px template)
-    smallMaxEdge: 1024,
-    
-    // Reference points for linear interpolation (for short edge > 2048)
-    // Formula derived from two measured points:
-    // Point 1: shortEdge=2048, size=96, margin=64
-    // Point 2: shortEdge=3058, size=173, margin=104
-    sizeSlope: 0.0762376,     // (173-96)/(3058-2048) ≈ 0.0762
-    sizeIntercept: -60.15,    // 96 - 0.0762*2048 ≈ -60.15
-    marginSlope: 0.0396040,   // (104-64)/(3058-2048) ≈ 0.0396
-    marginIntercept: -17.11   // 64 - 0.0396*2048 ≈ -17.11
+// Kernel used to scale templates to the watermark size (see resample.js)
+// Lanczos keeps thin logo strokes sharp when shrinking the larger templates
+const RESAMPLE_KERNEL = 'lanczos3';
+
+// Engine diagnostics are dropped unless a logger (e.g. console) is passed in
+const SILENT_LOGGER = {
+    debug() {},
+    warn() {}
+};
+
+// Id reported for the watermark found by detection; further placements use their manifest ids
+const MAIN_PLACEMENT = 'main';
+
+// Residual quality scores (0-100) below this are flagged for manual review
+export const QUALITY_REVIEW_THRESHOLD = 70;
+
+// Multi-scale template matching
+// Images that were resized after generation carry a watermark whose size no
+// longer follows the configured size rules, so candidate scales relative to
+// the computed configuration are matched against the image
+const SCALE_SEARCH = {
+    minScale: 0.5,
+    maxScale: 1.5,
+    coarseStep: 0.05,   // Step of the coarse pass over [minScale, maxScale]
+    fineStep: 0.0125,   // Step of the refinement around the best coarse scale
+    radius: 1,          // Whole-pixel alignment radius used while scoring a scale
+    minGain: 0.05,      // Score gain required to prefer a scale other than 1
+    minSize: 8          // Skip scales that shrink the watermark below this size
 };
 
 /**
- * Determine the Doubao aspect ratio category based on image dimensions
+ * Detect watermark type and configuration based on image size
  * @param {number} imageWidth - Image width
  * @param {number} imageHeight - Image height
- * @returns {string} Aspect ratio category ('1x1', '2x3', or '3x2')
+ * @param {string} watermarkType - Watermark type (a registered provider id)
+ * @returns {Object} Watermark configuration {type, template, anchor, width, height, offsetX, offsetY}
  */
-function getDoubaoAspectCategory(imageWidth, imageHeight) {
-    const ratio = imageWidth / imageHeight;
-    
-    if (ratio < 0.8) {
-        return '2x3';  // Portrait (tall)
-    } else if (ratio > 1.2) {
-        return '3x2';  // Landscape (wide)
-    } else {
-        return '1x1';  // Square-ish
-    }
+export function detectWatermarkConfig(imageWidth, imageHeight, watermarkType = DEFAULT_WATERMARK_TYPE) {
+    return getProviderConfig(watermarkType, imageWidth, imageHeight);
 }
 
 /**
- * Calculate Gemini watermark configuration based on image dimensions
- * Uses different strategies based on image size:
- * - Small (short edge <= 1024): Fixed 48×48 watermark
- * - Medium (1024 < short edge <= 2048): Fixed 96×96 watermark  
- * - Large (short edge > 2048): Linear interpolation for continuous scaling
- * 
+ * List every known watermark template configuration for the given image size
+ * Used by auto detection, which scores each candidate against the image.
+ * Each provider's scaling rule decides its candidates (e.g. every aspect
+ * ratio template, or the size-based configuration plus every fixed size).
+ *
  * @param {number} imageWidth - Image width
  * @param {number} imageHeight - Image height
- * @returns {Object} Gemini watermark configuration
+ * @returns {Object[]} Candidate watermark configurations
  */
-function calculateGeminiConfig(imageWidth, imageHeight) {
-    const shortEdge = Math.min(imageWidth, imageHeight);
-    
-    // For small images (short edge <= 1024), use fixed 48px watermark
-    if (shortEdge <= GEMINI_SCALING.smallMaxEdge) {
+export function getCandidateConfigs(imageWidth, imageHeight) {
+    return getProviderCandidates(imageWidth, imageHeight);
+}
+
+/**
+ * Calculate watermark position in image based on image size and watermark configuration
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @param {Object} config - Watermark configuration
+ * @returns {Object} Watermark position {x, y, width, height}
+ */
+export function calculateWatermarkPosition(imageWidth, imageHeight, config) {
+    const { width, height, offsetX, offsetY, anchor = 'bottom-right' } = config;
+
+    if (anchor === 'center') {
+        // Offsets move the mark right and down from the centred position
         return {
-            type: WATERMARK_TYPE.GEMINI,
-            sizeCategory: 'small',
-            width: 48,
-            height: 48,
-            logoSize: 48,
-            marginRight: 32,
-            marginBottom: 32,
-            sourceTemplate: '48'
+            x: Math.round((imageWidth - width) / 2) + offsetX,
+            y: Math.round((imageHeight - height) / 2) + offsetY,
+            width: width,
+            height: height
         };
     }
-    
-    // For medium images (1024 < short edge <= 2048), use fixed 96px watermark
-    if (shortEdge <= 2048) {
-        return {
-            type: WATERMARK_TYPE.GEMINI,
-            sizeCategory: 'medium',
-            width: 96,
-            height: 96,
-            logoSize: 96,
-            marginRight: 64,
-            marginBottom: 64,
-            sourceTemplate: '96'
-        };
+
+    // Offsets are measured inwards from the edges of the anchor corner
+    return {
+        x: anchor.endsWith('left') ? offsetX : imageWidth - offsetX - width,
+        y: anchor.startsWith('top') ? offsetY : imageHeight - offsetY - height,
+        width: width,
+        height: height
+    };
+}
+
+/**
+ * Scale a watermark configuration by a factor
+ * Watermark size and offsets scale together, as they do when the whole image is resized
+ * @param {Object} config - Watermark configuration
+ * @param {number} scale - Scale factor relative to the configuration
+ * @returns {Object} Scaled watermark configuration
+ */
+export function scaleWatermarkConfig(config, scale) {
+    if (scale === 1) {
+        return config;
+    }
+
+    const scaled = {
+        ...config,
+        width: Math.round(config.width * scale),
+        height: Math.round(config.height * scale),
+        offsetX: Math.round(config.offsetX * scale),
+        offsetY: Math.round(config.offsetY * scale),
+        scale: (config.scale || 1) * scale
+    };
+
+    if (config.logoSize) {
+        scaled.logoSize = scaled.width;
+    }
+
+    return scaled;
+}
+
+/**
+ * Convert an RGBA logo colour image to an RGB float map at the template resolution
+ * @param {Object|number[]|Float32Array|null} logoColor - Logo colour image, RGB triple, RGB map, or null
+ * @param {number} width - Template width
+ * @param {number} height - Template height
+ * @returns {number[]|Float32Array|null} RGB triple, RGB map (0-255), or null for a white logo
+ */
+function toColorMap(logoColor, width, height) {
+    if (!logoColor || Array.isArray(logoColor) || ArrayBuffer.isView(logoColor)) {
+        return logoColor || null;
+    }
+
+    const { data } = logoColor;
+    const colorMap = new Float32Array(logoColor.width * logoColor.height * 3);
+    for (let i = 0; i < logoColor.width * logoColor.height; i++) {
+        colorMap[i * 3] = data[i * 4];
+        colorMap[i * 3 + 1] = data[i * 4 + 1];
+        colorMap[i * 3 + 2] = data[i * 4 + 2];
     }
-    
-    // For large images (short edge > 2048), use linear interpolation
-    // This formula was derived from measured data points
-    const logoSize = Math.round(GEMINI_SCALING.sizeSlope * shortEdge + GEMINI_SCALING.sizeIntercept);
-    const margin = Math.round(GEMINI_SCALING.marginSlope * shortEdge + GEMINI_SCALING.marginIntercept);
-    
+
+    return resizePlane(colorMap, logoColor.width, logoColor.height, 3, width, height, RESAMPLE_KERNEL);
+}
+
+/**
+ * Convert a background capture to the template form the engine scales from
+ * A capture is either the pixels of a white logo over black, or an object
+ * {image, logoColor} for logos that are not white, where logoColor is an
+ * RGB triple or pixels holding the per-pixel logo colour. Alpha is computed
+ * once at native resolution; float format templates already carry it.
+ *
+ * @param {Object} capture - Background capture, or template {width, height, alphaMap, logoColor}
+ * @returns {{width: number, height: number, alphaMap: Float32Array, encodedAlpha: boolean, logoColor: number[]|Float32Array|null}} Template
+ */
+function toTemplate(capture) {
+    const image = capture.image || capture;
+    const { width, height } = image;
+
     return {
-        type: WATERMARK_TYPE.GEMINI,
-        sizeCategory: 'large',
-        width: logoSize,
-        height: logoSize,
-        logoSize: logoSize,
-        marginRight: margin,
-        marginBottom: margin,
-        sourceTemplate: '96'  // Will be scaled from 96px template
+        width,
+        height,
+        alphaMap: image.alphaMap || calculateAlphaMap(image),
+        // Alpha read from sRGB-encoded capture pixels (float templates store alpha as is)
+        encodedAlpha: image.alphaMap ? Boolean(image.encodedAlpha) : true,
+        logoColor: toColorMap(capture.logoColor, width, height)
     };
 }
 
 /**
- * Detect watermark type and configuration based on image size
- * @param {number} imageWidth - Image width
- * @param {number} imageHeight - Image height
- * @param {string} watermarkType - Watermark type ('gemini', 'doubao', or 'auto')
- * @returns {Object} Watermark configuration {type, width, height, marginRight, marginBottom}
+ * Clamp values in place
+ * @param {Float32Array} values - Values
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {Float32Array} The same values
  */
-export function detectWatermarkConfig(imageWidth, imageHeight, watermarkType = 'gemini') {
-    if (watermarkType === WATERMARK_TYPE.DOUBAO) {
-        // Doubao watermark: uses different templates based on aspect ratio
-        // The watermark scales proportionally based on the reference image dimensions
-        const aspectCategory = getDoubaoAspectCategory(imageWidth, imageHeight);
-        const config = DOUBAO_CONFIGS[aspectCategory];
-        
-        // Calculate scale factor based on the shorter edge ratio
-        const refShortEdge = Math.min(config.refWidth, config.refHeight);
-        const imgShortEdge = Math.min(imageWidth, imageHeight);
-        const scale = imgShortEdge / refShortEdge;
-        
-        // Scale watermark dimensions and margins
-        const wmWidth = Math.round(config.wmWidth * scale);
-        const wmHeight = Math.round(config.wmHeight * scale);
-        const marginRight = Math.round(config.marginRight * scale);
-        const marginBottom = Math.round(config.marginBottom * scale);
-        
-        return {
-            type: WATERMARK_TYPE.DOUBAO,
-            aspectCategory: aspectCategory,
-            width: wmWidth,
-            height: wmHeight,
-            marginRight: marginRight,
-            marginBottom: marginBottom,
-            // Store reference info for alpha map retrieval
-            refConfig: config
-        };
+function clampValues(values, min, max) {
+    for (let i = 0; i < values.length; i++) {
+        values[i] = Math.max(min, Math.min(max, values[i]));
     }
-    
-    if (watermarkType === WATERMARK_TYPE.QWEN) {
-        // Qwen watermark: "千问AI生成" text in bottom-right corner
-        // Scales proportionally based on the shorter edge
-        const config = QWEN_CONFIG;
-        
-        // Calculate scale factor based on the shorter edge ratio
-        const refShortEdge = Math.min(config.refWidth, config.refHeight);
-        const imgShortEdge = Math.min(imageWidth, imageHeight);
-        const scale = imgShortEdge / refShortEdge;
-        
-        // Scale watermark dimensions and margins
-        const wmWidth = Math.round(config.wmWidth * scale);
-        const wmHeight = Math.round(config.wmHeight * scale);
-        const marginRight = Math.round(config.marginRight * scale);
-        const marginBottom = Math.round(config.marginBottom * scale);
-        
-        return {
-            type: WATERMARK_TYPE.QWEN,
-            width: wmWidth,
-            height: wmHeight,
-            marginRight: marginRight,
-            marginBottom: marginBottom,
-            // Store reference info for alpha map retrieval
-            refConfig: config
-        };
+    return values;
+}
+
+/**
+ * Fetch a binary file
+ * @param {string} url - File URL
+ * @returns {Promise<ArrayBuffer>} File contents
+ */
+async function fetchBuffer(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load template: ${url}`);
     }
-    
-    // Default: Gemini watermark with size-based scaling
-    return calculateGeminiConfig(imageWidth, imageHeight);
+    return response.arrayBuffer();
 }
 
 /**
- * Calculate watermark position in image based on image size and watermark configuration
- * @param {number} imageWidth - Image width
- * @param {number} imageHeight - Image height
- * @param {Object} config - Watermark configuration
- * @returns {Object} Watermark position {x, y, width, height}
+ * Get the score a detection must reach after a search
+ * @param {number} threshold - Threshold for a single comparison
+ * @param {number} trials - Number of template comparisons the best match was chosen from
+ * @returns {number} Threshold for the best match
  */
-export function calculateWatermarkPosition(imageWidth, imageHeight, config) {
-    const { width, height, marginRight, marginBottom } = config;
+export function getSearchThreshold(threshold, trials) {
+    return Math.min(MAX_DETECTION_THRESHOLD, threshold + TRIAL_PENALTY * Math.log(Math.max(1, trials)));
+}
+
+/**
+ * Copy the pixels of a rectangle
+ * @param {ImageData} imageData - Image data
+ * @param {Object} position - Rectangle {x, y, width, height} inside the image
+ * @returns {Uint8ClampedArray} RGBA pixels of the rectangle, row by row
+ */
+function copyRegion(imageData, position) {
+    const { x, y, width, height } = position;
+    const region = new Uint8ClampedArray(width * height * 4);
+    for (let row = 0; row < height; row++) {
+        const start = ((y + row) * imageData.width + x) * 4;
+        region.set(imageData.data.subarray(start, start + width * 4), row * width * 4);
+    }
+    return region;
+}
+
+/**
+ * Write back pixels saved with copyRegion
+ * @param {ImageData} imageData - Image data
+ * @param {Object} position - Rectangle the pixels were copied from
+ * @param {Uint8ClampedArray} region - Saved pixels
+ */
+function restoreRegion(imageData, position, region) {
+    const { x, y, width, height } = position;
+    for (let row = 0; row < height; row++) {
+        imageData.data.set(region.subarray(row * width * 4, (row + 1) * width * 4), ((y + row) * imageData.width + x) * 4);
+    }
+}
+
+/**
+ * Summarize one watermark placement for display
+ * @param {Object} placement - Placement result of removePlacement, or {config, predictedPosition} before processing
+ * @returns {Object} Placement information {id, anchor, sizeDisplay, position, offset, config, confidence, inpaintedPixels, residual, qualityScore, needsReview, status}
+ */
+function describePlacement(placement) {
+    const { config, residual } = placement;
 
     return {
-        x: imageWidth - marginRight - width,
-        y: imageHeight - marginBottom - height,
-        width: width,
-        height: height
+        id: placement.id || config.placement || MAIN_PLACEMENT,
+        anchor: config.anchor,
+        sizeDisplay: `${config.width}×${config.height}`,
+        position: placement.position || placement.predictedPosition,
+        offset: placement.offset || { x: 0, y: 0 },
+        // Configuration the placement was removed with, for looking up its alpha map
+        config,
+        confidence: placement.confidence ?? null,
+        inpaintedPixels: placement.inpaintedPixels || 0,
+        // Residual measurement {score, correlation, edgeRatio} (see scoreResidual), null before processing
+        residual: residual || null,
+        qualityScore: residual ? residual.score : null,
+        needsReview: Boolean(residual && residual.score < QUALITY_REVIEW_THRESHOLD),
+        status: placement.status || null
     };
 }
 
@@ -259,71 +353,177 @@ export function calculateWatermarkPosition(imageWidth, imageHeight, config) {
  * Coordinate watermark detection, alpha map calculation, and removal operations
  */
 export class WatermarkEngine {
-    constructor(bgCaptures) {
-        this.bgCaptures = bgCaptures;
-        this.alphaMaps = {};
-        this.currentWatermarkType = WATERMARK_TYPE.GEMINI;
+    /**
+     * @param {Object} options - Engine options
+     * @param {Function} options.loadPixels - Decode an image URL to pixels: (url) => Promise<{width, height, data}>
+     * @param {Function} options.loadBuffer - Optional: read a binary (float format) template URL: (url) => Promise<ArrayBuffer> (default: fetch)
+     * @param {string} options.resampleKernel - Optional: kernel used to scale templates, see resample.js KERNELS (default: 'lanczos3')
+     * @param {Object} options.bgCaptures - Optional: preloaded background captures by provider id and template id
+     * @param {number} options.cacheBytes - Optional: byte budget of the alpha map and logo colour map cache (default: 64 MiB)
+     * @param {{debug: Function, warn: Function}} options.logger - Optional: receives detection details and
+     *        template warnings, e.g. console (default: silent)
+     */
+    constructor(options = {}) {
+        this.loadPixels = options.loadPixels || (() => Promise.reject(new Error('No template loader configured')));
+        this.loadBuffer = options.loadBuffer || fetchBuffer;
+        this.resampleKernel = options.resampleKernel || RESAMPLE_KERNEL;
+        this.logger = options.logger || SILENT_LOGGER;
+        // Templates (converted background captures) by provider id and template id, filled on first use
+        this.bgCaptures = options.bgCaptures || {};
+        // Loading state of each template, keyed by 'providerId/templateId'
+        this.templateStates = {};
+        // Alpha maps and per-pixel logo colour maps by scaled size, least recently used evicted first
+        this.mapCache = new LruCache({ maxBytes: options.cacheBytes });
+        // Detection result of the last processed run, keyed by processed pixels (or source image)
+        this.detections = new WeakMap();
+        this.currentWatermarkType = WATERMARK_TYPE.AUTO;
     }
 
-    static async create() {
-        const bg48 = new Image();
-        const bg96 = new Image();
-        const doubao1x1 = new Image();
-        const doubao2x3 = new Image();
-        const doubao3x2 = new Image();
-        const qwen = new Image();
-
-        await Promise.all([
-            new Promise((resolve, reject) => {
-                bg48.onload = resolve;
-                bg48.onerror = reject;
-                bg48.src = GEMINI_BG_48_PATH;
-            }),
-            new Promise((resolve, reject) => {
-                bg96.onload = resolve;
-                bg96.onerror = reject;
-                bg96.src = GEMINI_BG_96_PATH;
-            }),
-            new Promise((resolve, reject) => {
-                doubao1x1.onload = resolve;
-                doubao1x1.onerror = reject;
-                doubao1x1.src = DOUBAO_BG_PATHS['1x1'];
-            }),
-            new Promise((resolve, reject) => {
-                doubao2x3.onload = resolve;
-                doubao2x3.onerror = reject;
-                doubao2x3.src = DOUBAO_BG_PATHS['2x3'];
-            }),
-            new Promise((resolve, reject) => {
-                doubao3x2.onload = resolve;
-                doubao3x2.onerror = reject;
-                doubao3x2.src = DOUBAO_BG_PATHS['3x2'];
-            }),
-            new Promise((resolve, reject) => {
-                qwen.onload = resolve;
-                qwen.onerror = reject;
-                qwen.src = QWEN_BG_PATH;
-            })
-        ]);
-
-        return new WatermarkEngine({
-            bg48,
-            bg96,
-            doubao: {
-                '1x1': doubao1x1,
-                '2x3': doubao2x3,
-                '3x2': doubao3x2
-            },
-            qwen: qwen
+    /**
+     * Load the provider manifests and create an engine
+     * Template assets are not loaded here but on first use (see loadTemplate).
+     * Providers already in the registry are kept (e.g. registered by hand).
+     * @param {Object} options - Creation options
+     * @param {Function} options.loadPixels - Decode an image URL to pixels: (url) => Promise<{width, height, data}>
+     * @param {Function} options.loadBuffer - Optional: read a binary template URL (see constructor)
+     * @param {Function} options.readJson - Optional: read a manifest URL (default: fetch)
+     * @param {string} options.resampleKernel - Optional: template resampling kernel (see constructor)
+     * @param {number} options.cacheBytes - Optional: byte budget of the map cache (see constructor)
+     * @param {Object} options.logger - Optional: diagnostics logger (see constructor)
+     * @param {string} options.baseUrl - URL the provider index is resolved against
+     *        (needed inside a Web Worker, whose own URL points to the script)
+     * @returns {Promise<WatermarkEngine>} Engine instance
+     */
+    static async create(options = {}) {
+        const { baseUrl = null, readJson, loadPixels, loadBuffer, resampleKernel, cacheBytes, logger } = options;
+
+        if (getProviders().length === 0) {
+            await loadProviders({ baseUrl, readJson });
+        }
+
+        return new this({ loadPixels, loadBuffer, resampleKernel, cacheBytes, logger });
+    }
+
+    /**
+     * Load a template of a provider, once
+     * Concurrent calls share the same request; a failed load is remembered
+     * and rejected again with the same error instead of being retried.
+     * @param {string} providerId - Provider id (watermark type)
+     * @param {string} templateId - Template id within the provider manifest
+     * @returns {Promise<Object>} Template {width, height, alphaMap, logoColor} (see toTemplate)
+     */
+    loadTemplate(providerId, templateId) {
+        const captures = this.bgCaptures[providerId] || (this.bgCaptures[providerId] = {});
+        if (captures[templateId]) {
+            // Preloaded captures are converted on first use
+            captures[templateId] = toTemplate(captures[templateId]);
+            return Promise.resolve(captures[templateId]);
+        }
+
+        const key = `${providerId}/${templateId}`;
+        if (this.templateStates[key]) {
+            return this.templateStates[key].promise;
+        }
+
+        const provider = getProvider(providerId);
+        const template = provider && provider.templates[templateId];
+        if (!template) {
+            return Promise.reject(new Error(`Unknown watermark template: ${key}`));
+        }
+
+        const state = { status: TEMPLATE_STATUS.LOADING, error: null, promise: null };
+        state.promise = (async () => {
+            // Per-pixel logo colours given in the manifest are stored as a second image
+            const logoColor = typeof template.logoColor === 'string'
+                ? await this.loadPixels(template.logoColor)
+                : template.logoColor;
+
+            if (template.format === 'float') {
+                const decoded = decodeTemplate(await this.loadBuffer(template.path));
+                return toTemplate({ ...decoded, logoColor: decoded.logoColor || logoColor });
+            }
+
+            const image = await this.loadPixels(template.path);
+            return toTemplate(logoColor ? { image, logoColor } : image);
+        })().then(capture => {
+            captures[templateId] = capture;
+            state.status = TEMPLATE_STATUS.READY;
+            return capture;
+        }, () => {
+            state.status = TEMPLATE_STATUS.ERROR;
+            state.error = new Error(`Failed to load ${providerId} watermark template "${templateId}" (${template.path})`);
+            throw state.error;
         });
+
+        this.templateStates[key] = state;
+        return state.promise;
+    }
+
+    /**
+     * Load every template of a provider
+     * @param {string} providerId - Provider id (watermark type)
+     * @returns {Promise<void>} Rejects with the first template error
+     */
+    async loadProvider(providerId) {
+        const provider = getProvider(providerId);
+        if (!provider) {
+            throw new Error(`Unknown watermark provider: ${providerId}`);
+        }
+
+        const results = await Promise.allSettled(
+            Object.keys(provider.templates).map(templateId => this.loadTemplate(providerId, templateId))
+        );
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) {
+            throw failed.reason;
+        }
+    }
+
+    /**
+     * Get the loading state of a template
+     * @param {string} providerId - Provider id (watermark type)
+     * @param {string} templateId - Template id within the provider manifest
+     * @returns {{status: string, error: Error|null}} Loading state (see TEMPLATE_STATUS)
+     */
+    getTemplateState(providerId, templateId) {
+        if (this.bgCaptures[providerId] && this.bgCaptures[providerId][templateId]) {
+            return { status: TEMPLATE_STATUS.READY, error: null };
+        }
+
+        const state = this.templateStates[`${providerId}/${templateId}`];
+        return state
+            ? { status: state.status, error: state.error }
+            : { status: TEMPLATE_STATUS.IDLE, error: null };
+    }
+
+    /**
+     * Get the combined loading state of all templates of a provider
+     * Any failed template puts the whole provider in the error state.
+     * @param {string} providerId - Provider id (watermark type)
+     * @returns {{status: string, error: Error|null}} Loading state (see TEMPLATE_STATUS)
+     */
+    getProviderState(providerId) {
+        const provider = getProvider(providerId);
+        if (!provider) {
+            return { status: TEMPLATE_STATUS.ERROR, error: new Error(`Unknown watermark provider: ${providerId}`) };
+        }
+
+        const states = Object.keys(provider.templates).map(templateId => this.getTemplateState(providerId, templateId));
+        const failed = states.find(state => state.status === TEMPLATE_STATUS.ERROR);
+        if (failed) return failed;
+
+        for (const status of [TEMPLATE_STATUS.LOADING, TEMPLATE_STATUS.IDLE]) {
+            if (states.some(state => state.status === status)) return { status, error: null };
+        }
+        return { status: TEMPLATE_STATUS.READY, error: null };
     }
 
     /**
      * Set the current watermark type to process
-     * @param {string} type - Watermark type ('gemini' or 'doubao')
+     * @param {string} type - Watermark type ('auto' or a registered provider id)
      */
     setWatermarkType(type) {
-        if (Object.values(WATERMARK_TYPE).includes(type)) {
+        if (type === WATERMARK_TYPE.AUTO || getProvider(type)) {
             this.currentWatermarkType = type;
         }
     }
@@ -337,137 +537,551 @@ export class WatermarkEngine {
     }
 
     /**
-     * Get alpha map from background captured image based on watermark config
+     * Get the colour space a watermark config is blended in
+     * @param {Object} config - Watermark configuration
+     * @returns {string} Blend mode (see BLEND_MODE)
+     */
+    getBlendMode(config) {
+        const provider = getProvider(config.type);
+        return config.blendMode || (provider && provider.blendMode) || BLEND_MODE.SRGB;
+    }
+
+    /**
+     * Get the template a watermark config is scaled from
      * @param {Object} config - Watermark configuration
+     * @returns {Promise<Object>} Template {width, height, alphaMap, logoColor} at native resolution
+     */
+    getTemplate(config) {
+        return this.loadTemplate(config.type, getConfigTemplate(config));
+    }
+
+    /**
+     * Get the alpha map of a watermark config, scaled from the float template alpha
+     * A logo blended in linear light over black is captured as the sRGB encoding
+     * of its alpha, so in linear mode alpha read from captures is decoded first.
+     * @param {Object} config - Watermark configuration
+     * @param {string} blendMode - Optional: colour space of the blend (default: the provider's, see BLEND_MODE)
+     * @param {Object} options - Optional: {cache: false} skips storing the map, for sizes only tried once
      * @returns {Promise<Float32Array>} Alpha map
      */
-    async getAlphaMap(config) {
-        const { type, width, height, aspectCategory, sizeCategory, sourceTemplate } = config;
-        const cacheKey = `${type}_${aspectCategory || sizeCategory || 'default'}_${width}x${height}`;
+    async getAlphaMap(config, blendMode = this.getBlendMode(config), options = {}) {
+        const { type, width, height } = config;
+        const cacheKey = `alpha_${type}_${getConfigTemplate(config)}_${width}x${height}_${blendMode}`;
 
         // If cached, return directly
-        if (this.alphaMaps[cacheKey]) {
-            return this.alphaMaps[cacheKey];
-        }
-
-        let bgImage;
-        let srcWidth, srcHeight;
-
-        if (type === WATERMARK_TYPE.DOUBAO) {
-            // Get the appropriate Doubao template based on aspect category
-            const category = aspectCategory || '1x1';
-            bgImage = this.bgCaptures.doubao[category];
-            srcWidth = bgImage.width;
-            srcHeight = bgImage.height;
-        } else if (type === WATERMARK_TYPE.QWEN) {
-            // Get Qwen template
-            bgImage = this.bgCaptures.qwen;
-            srcWidth = bgImage.width;
-            srcHeight = bgImage.height;
-        } else {
-            // Gemini watermark - select source template
-            if (sourceTemplate === '48' || config.logoSize <= 48) {
-                bgImage = this.bgCaptures.bg48;
-                srcWidth = 48;
-                srcHeight = 48;
-            } else {
-                // Use 96px template as source for all larger sizes
-                bgImage = this.bgCaptures.bg96;
-                srcWidth = 96;
-                srcHeight = 96;
+        const cached = this.mapCache.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const template = await this.getTemplate(config);
+        const nativeAlpha = blendMode === BLEND_MODE.LINEAR && template.encodedAlpha
+            ? template.alphaMap.map(alpha => srgbToLinear(alpha * 255))
+            : template.alphaMap;
+
+        // Kernels with negative lobes overshoot at the logo edges, keep alpha in range
+        const alphaMap = clampValues(
+            resizePlane(nativeAlpha, template.width, template.height, 1, width, height, this.resampleKernel),
+            0, 1
+        );
+
+        // Cache result
+        return options.cache === false ? alphaMap : this.mapCache.set(cacheKey, alphaMap);
+    }
+
+    /**
+     * Get the logo colour for a watermark config
+     * The configuration may set logoColor itself (RGB triple); otherwise the
+     * template's own logo colour is used. Per-pixel colour maps are scaled
+     * to the watermark size like the alpha map.
+     *
+     * @param {Object} config - Watermark configuration
+     * @param {Object} options - Optional: {cache: false} skips storing a per-pixel map, for sizes only tried once
+     * @returns {Promise<number[]|Float32Array|null>} RGB triple, per-pixel RGB map, or null for a white logo
+     */
+    async getLogoColor(config, options = {}) {
+        const configColor = config.logoColor || (config.refConfig && config.refConfig.logoColor);
+        if (configColor) {
+            return configColor;
+        }
+
+        const template = await this.getTemplate(config);
+        if (!template.logoColor || Array.isArray(template.logoColor)) {
+            return template.logoColor;
+        }
+
+        const { type, width, height } = config;
+        const cacheKey = `color_${type}_${getConfigTemplate(config)}_${width}x${height}`;
+
+        const cached = this.mapCache.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const colorMap = clampValues(
+            resizePlane(template.logoColor, template.width, template.height, 3, width, height, this.resampleKernel),
+            0, 255
+        );
+
+        return options.cache === false ? colorMap : this.mapCache.set(cacheKey, colorMap);
+    }
+
+    /**
+     * Drop every cached alpha map and logo colour map
+     * Loaded templates are kept; only the maps scaled from them are released.
+     */
+    clearCache() {
+        this.mapCache.clear();
+    }
+
+    /**
+     * Get statistics of the alpha map and logo colour map cache
+     * @returns {Object} Cache statistics {entries, bytes, maxBytes, hits, misses, evictions, hitRate}
+     */
+    getCacheStats() {
+        return this.mapCache.getStats();
+    }
+
+    /**
+     * Match a watermark template against the image at several candidate scales
+     * A coarse pass covers the whole scale range, then the best scale is
+     * refined with a finer step. The unscaled configuration is kept unless
+     * another scale scores clearly better.
+     *
+     * @param {ImageData} imageData - Image data to inspect
+     * @param {Object} config - Watermark configuration derived from the image size
+     * @returns {Promise<Object|null>} Best match {type, config, position, offset, confidence, scale, trials}, or null if no
+     *          scale fits inside the image; offset is the whole-pixel alignment found around position, and
+     *          trials counts the template comparisons made (scales × offsets)
+     */
+    async matchTemplate(imageData, config) {
+        const { width, height } = imageData;
+        const scores = new Map();
+
+        const scoreScale = async (scale) => {
+            if (scores.has(scale)) return scores.get(scale);
+
+            let match = null;
+            const scaled = scaleWatermarkConfig(config, scale);
+            const position = calculateWatermarkPosition(width, height, scaled);
+
+            if (scaled.width >= SCALE_SEARCH.minSize &&
+                scaled.height >= SCALE_SEARCH.minSize &&
+                isPositionInside(imageData, position)) {
+                // Only the chosen scale is removed later; the others would just churn the cache
+                const alphaMap = await this.getAlphaMap(scaled, undefined, { cache: false });
+                const alignment = findBestAlignment(imageData, alphaMap, position, {
+                    radius: SCALE_SEARCH.radius,
+                    subPixelStep: 0,
+                    logoColor: await this.getLogoColor(scaled, { cache: false })
+                });
+                match = { type: scaled.type, config: scaled, position, offset: alignment.offset, confidence: alignment.score, scale };
             }
+
+            scores.set(scale, match);
+            return match;
+        };
+
+        const roundScale = (scale) => Math.round(scale * 10000) / 10000;
+        const nominal = await scoreScale(1);
+        let best = nominal;
+
+        const coarseCount = Math.round((SCALE_SEARCH.maxScale - SCALE_SEARCH.minScale) / SCALE_SEARCH.coarseStep);
+        for (let i = 0; i <= coarseCount; i++) {
+            const match = await scoreScale(roundScale(SCALE_SEARCH.minScale + i * SCALE_SEARCH.coarseStep));
+            if (match && (!best || match.confidence > best.confidence)) best = match;
         }
 
-        // Create temporary canvas to extract and scale ImageData
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
-        const ctx = canvas.getContext('2d');
-        
-        // Use high-quality image scaling for better results
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
-        
-        // Draw and scale the background image
-        ctx.drawImage(bgImage, 0, 0, srcWidth, srcHeight, 0, 0, width, height);
+        if (best) {
+            const center = best.scale;
+            const fineCount = Math.floor(SCALE_SEARCH.coarseStep / SCALE_SEARCH.fineStep / 2);
+            for (let i = -fineCount; i <= fineCount; i++) {
+                const match = await scoreScale(roundScale(center + i * SCALE_SEARCH.fineStep));
+                if (match && match.confidence > best.confidence) best = match;
+            }
+        }
 
-        const imageData = ctx.getImageData(0, 0, width, height);
+        // Prefer the size rules unless another scale is clearly better
+        if (nominal && best !== nominal && best.confidence < nominal.confidence + SCALE_SEARCH.minGain) {
+            best = nominal;
+        }
 
-        // Calculate alpha map
-        const alphaMap = calculateAlphaMap(imageData);
+        const offsets = (2 * SCALE_SEARCH.radius + 1) ** 2;
+        const scored = [...scores.values()].filter(Boolean).length;
+        return best && { ...best, trials: scored * offsets };
+    }
 
-        // Cache result
-        this.alphaMaps[cacheKey] = alphaMap;
+    /**
+     * Detect which watermark is present in the image
+     * In auto mode every known template is scored against its expected corner
+     * region and the best match wins; if no template scores above the
+     * detection threshold the type is reported as unknown.
+     * For a fixed type only the configuration derived from the image size is
+     * matched, and it is reported as absent when the corner does not match.
+     * Each template is matched at several scales to handle resized images;
+     * the thresholds rise with the number of comparisons made (see getSearchThreshold).
+     *
+     * @param {ImageData} imageData - Image data to inspect
+     * @param {string} watermarkType - Watermark type ('auto' or a registered provider id)
+     * @returns {Promise<Object>} Detection result {type, config, position, confidence, status}
+     */
+    async detectWatermark(imageData, watermarkType) {
+        const { width, height } = imageData;
+        const isAuto = watermarkType === WATERMARK_TYPE.AUTO;
+        const candidates = isAuto
+            ? getCandidateConfigs(width, height)
+            : [detectWatermarkConfig(width, height, watermarkType)];
+
+        const matches = [];
+        let best = null;
+        let trials = 0;
+
+        for (const config of candidates) {
+            let match;
+            try {
+                match = await this.matchTemplate(imageData, config);
+            } catch (error) {
+                // In auto mode a broken template only takes its own provider out of the running
+                const { status } = this.getProviderState(config.type);
+                if (!isAuto || status !== TEMPLATE_STATUS.ERROR) throw error;
+                this.logger.warn(`Skipping ${config.type} in auto detection:`, error.message);
+                continue;
+            }
+            if (!match) continue;
+            matches.push(match);
+            trials += match.trials;
+            if (!best || match.confidence > best.confidence) {
+                best = match;
+            }
+        }
+
+        const threshold = getSearchThreshold(isAuto ? DETECTION_THRESHOLD : PRESENCE_THRESHOLD, trials);
+        if (best) {
+            best = await this.compareOverSharedArea(imageData,
+                matches.filter(match => match.type === best.type && match.confidence >= threshold), best);
+        }
+
+        if (!isAuto) {
+            if (best && best.confidence >= threshold) {
+                return { ...best, status: WATERMARK_STATUS.REMOVED };
+            }
+
+            // Corner does not match the template (or it does not fit inside the image)
+            const config = best ? best.config : candidates[0];
+            return {
+                type: config.type,
+                config,
+                position: best ? best.position : calculateWatermarkPosition(width, height, config),
+                confidence: best ? best.confidence : 0,
+                status: WATERMARK_STATUS.NO_WATERMARK
+            };
+        }
+
+        if (!best || best.confidence < threshold) {
+            return {
+                type: WATERMARK_TYPE.UNKNOWN,
+                config: null,
+                position: null,
+                confidence: best ? best.confidence : 0,
+                status: WATERMARK_STATUS.NO_WATERMARK
+            };
+        }
 
-        return alphaMap;
+        return { ...best, status: WATERMARK_STATUS.REMOVED };
     }
 
     /**
-     * Remove watermark from image
-     * @param {HTMLImageElement|HTMLCanvasElement} image - Input image
+     * Choose between detected candidates of one provider by scoring them on the same pixels
+     * A provider's candidates (aspect ratio references, calibration sizes) overlap
+     * in the corner, and one covering only part of the logo (e.g. the text
+     * without its backdrop) can outscore the full template on its own area.
+     * Scored over the area all of them cover, the template that explains the
+     * whole change wins, whether the image was cropped or not.
+     *
+     * @param {ImageData} imageData - Image data to inspect
+     * @param {Object[]} matches - Detected matches of one provider (see matchTemplate)
+     * @param {Object} fallback - Match to keep when there is nothing to compare
+     * @returns {Promise<Object>} The chosen match
+     */
+    async compareOverSharedArea(imageData, matches, fallback) {
+        if (matches.length < 2) {
+            return fallback;
+        }
+
+        const aligned = matches.map(({ position, offset }) => ({
+            ...position, x: position.x + offset.x, y: position.y + offset.y
+        }));
+        const x = Math.min(...aligned.map(p => p.x));
+        const y = Math.min(...aligned.map(p => p.y));
+        const area = {
+            x,
+            y,
+            width: Math.max(...aligned.map(p => p.x + p.width)) - x,
+            height: Math.max(...aligned.map(p => p.y + p.height)) - y
+        };
+
+        let best = fallback, bestScore = -Infinity;
+        for (let i = 0; i < matches.length; i++) {
+            const { config } = matches[i];
+            const score = scoreMatchOverArea(imageData, await this.getAlphaMap(config, undefined, { cache: false }),
+                aligned[i], area, await this.getLogoColor(config, { cache: false }));
+            if (score > bestScore) {
+                best = matches[i];
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Remove watermark from raw image data
+     * Runs detection, alignment, reverse blending, inpainting, denoising and
+     * residual scoring without touching the DOM, so it runs in a Web Worker or Node.js.
+     * @param {ImageData} imageData - Image data or plain {width, height, data} RGBA pixels (will be modified in place)
      * @param {string} watermarkType - Optional: override the current watermark type
-     * @returns {Promise<HTMLCanvasElement>} Processed canvas
+     * @param {Object} options - Optional: processing options
+     * @param {string} options.mimeType - MIME type of the input
+     * @param {boolean} options.denoise - Clean up compression artifacts in the restored area
+     *        (default: enabled for 'image/jpeg' inputs)
+     * @param {string} options.blendMode - Optional: invert the blend in this colour space instead of
+     *        the provider's (see BLEND_MODE), e.g. to compare both modes
+     * @returns {Promise<Object>} Watermark information (see getWatermarkInfo)
      */
-    async removeWatermarkFromImage(image, watermarkType = null) {
+    async processImageData(imageData, watermarkType = null, options = {}) {
         const type = watermarkType || this.currentWatermarkType;
+        const { width, height } = imageData;
+        const denoise = options.denoise ?? options.mimeType === 'image/jpeg';
 
-        // Create canvas to process image
-        const canvas = document.createElement('canvas');
-        canvas.width = image.width;
-        canvas.height = image.height;
-        const ctx = canvas.getContext('2d');
-
-        // Draw original image onto canvas
-        ctx.drawImage(image, 0, 0);
-
-        // Get image data
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-
-        // Detect watermark configuration
-        const config = detectWatermarkConfig(canvas.width, canvas.height, type);
-        const position = calculateWatermarkPosition(canvas.width, canvas.height, config);
-        
-        // Debug logging for troubleshooting
-        console.log('Watermark config:', {
-            imageSize: `${canvas.width}×${canvas.height}`,
-            shortEdge: Math.min(canvas.width, canvas.height),
+        // Detect watermark configuration (scores all templates in auto mode)
+        const detection = await this.detectWatermark(imageData, type);
+        this.detections.set(imageData, detection);
+
+        // Leave images without a watermark untouched instead of darkening the corner
+        if (detection.status === WATERMARK_STATUS.NO_WATERMARK) {
+            return this.getWatermarkInfo(width, height, type, imageData);
+        }
+
+        const { config, position } = detection;
+        this.logger.debug('Watermark config:', {
+            imageSize: `${width}×${height}`,
+            shortEdge: Math.min(width, height),
+            type: detection.type,
+            confidence: detection.confidence,
             watermarkSize: `${config.width}×${config.height}`,
-            margin: `R:${config.marginRight} B:${config.marginBottom}`,
+            anchor: `${config.anchor} X:${config.offsetX} Y:${config.offsetY}`,
+            scale: config.scale || 1,
             position: position,
-            sizeCategory: config.sizeCategory
+            sizeCategory: config.sizeCategory,
+            calibration: config.calibration
         });
 
-        // Get alpha map for watermark
-        const alphaMap = await this.getAlphaMap(config);
+        // Remove the detected watermark, then every further placement the provider declares
+        const removal = { denoise, blendMode: options.blendMode };
+        const main = await this.removePlacement(imageData, config, position, removal);
 
-        // Remove watermark from image data
-        removeWatermark(imageData, alphaMap, position);
+        // Reverse blending made the residual worse: the match was not a watermark
+        if (main.status !== WATERMARK_STATUS.REMOVED) {
+            detection.status = WATERMARK_STATUS.NO_WATERMARK;
+            return this.getWatermarkInfo(width, height, type, imageData);
+        }
 
-        // Write processed image data back to canvas
-        ctx.putImageData(imageData, 0, 0);
+        const placements = [main];
+        for (const extra of getPlacementConfigs(config, width, height)) {
+            const extraPosition = calculateWatermarkPosition(width, height, extra);
+            placements.push(await this.removePlacement(imageData, extra, extraPosition,
+                { ...removal, minScore: PRESENCE_THRESHOLD }));
+        }
+
+        // The main placement also describes the detection as a whole
+        detection.predictedPosition = main.predictedPosition;
+        detection.position = main.position;
+        detection.offset = main.offset;
+        detection.confidence = main.confidence;
+        detection.denoised = denoise;
+        detection.blendMode = main.blendMode;
+        detection.placements = placements;
+
+        return this.getWatermarkInfo(width, height, type, imageData);
+    }
+
+    /**
+     * Align and remove a single watermark placement
+     * @param {ImageData} imageData - Image data to process (will be modified in place)
+     * @param {Object} config - Watermark configuration of the placement
+     * @param {Object} position - Predicted position {x, y, width, height}
+     * @param {Object} options - Removal options
+     * @param {boolean} options.denoise - Clean up compression artifacts in the restored area
+     * @param {string} options.blendMode - Optional: colour space of the blend (default: the provider's)
+     * @param {number} options.minScore - Optional: leave the placement untouched if the aligned
+     *        template scores below this (for marks that not every image carries)
+     * The placement is also left untouched, and reported as absent, when removal
+     * makes the residual of the area strictly worse (see scoreResidual's penalty).
+     * @returns {Promise<Object>} Placement result {id, config, blendMode, predictedPosition, position, offset, confidence, inpaintedPixels, residual, status}
+     */
+    async removePlacement(imageData, config, position, options = {}) {
+        const { denoise = false, minScore = null } = options;
+        const blendMode = options.blendMode || this.getBlendMode(config);
+        const result = {
+            id: config.placement || MAIN_PLACEMENT,
+            config,
+            blendMode,
+            predictedPosition: position,
+            position,
+            offset: { x: 0, y: 0 },
+            confidence: 0,
+            inpaintedPixels: 0,
+            residual: null,
+            status: WATERMARK_STATUS.NO_WATERMARK
+        };
+
+        if (!isPositionInside(imageData, position)) {
+            return result;
+        }
+
+        // Get alpha map and logo colour for watermark
+        const alphaMap = await this.getAlphaMap(config, blendMode);
+        let logoColor = await this.getLogoColor(config);
+
+        // Refine the position to where the template correlates best
+        const alignment = findBestAlignment(imageData, alphaMap, position, { ...ALIGNMENT_OPTIONS, logoColor });
+        result.position = alignment.position;
+        result.offset = alignment.offset;
+        result.confidence = alignment.score;
+
+        if (minScore !== null && alignment.score < minScore) {
+            return result;
+        }
+
+        // A per-pixel logo colour map follows the sub-pixel part of the shift
+        if (logoColor && logoColor.length === config.width * config.height * 3) {
+            const subPixelX = alignment.offset.x - (alignment.position.x - position.x);
+            const subPixelY = alignment.offset.y - (alignment.position.y - position.y);
+            logoColor = shiftColorMap(logoColor, config.width, config.height, subPixelX, subPixelY);
+        }
+
+        // Keep the area to put back if removal does not reduce the residual
+        const before = scoreResidual(imageData, alignment.alphaMap, alignment.position, logoColor);
+        const original = copyRegion(imageData, alignment.position);
+
+        // Remove watermark from image data (alpha map carries any sub-pixel shift)
+        const unrecoverable = removeWatermark(imageData, alignment.alphaMap, alignment.position, logoColor, { mode: blendMode });
+
+        // Fill speckles left where the original pixel could not be solved for
+        result.inpaintedPixels = INPAINT_OPTIONS.enabled
+            ? inpaintMask(imageData, unrecoverable, alignment.position, INPAINT_OPTIONS)
+            : 0;
+
+        // JPEG block artifacts are amplified by 1 / (1 - α), smooth them out under the logo
+        if (denoise) {
+            denoiseWatermarkArea(imageData, alignment.alphaMap, alignment.position, DENOISE_OPTIONS);
+        }
+
+        // Measure what is left of the watermark so poor results can be reviewed
+        // Only a strict regression rolls back: clamped scores tie at 0 on busy backgrounds
+        const residual = scoreResidual(imageData, alignment.alphaMap, alignment.position, logoColor);
+        if (residual.penalty > before.penalty) {
+            restoreRegion(imageData, alignment.position, original);
+            result.inpaintedPixels = 0;
+            return result;
+        }
 
-        return canvas;
+        result.residual = residual;
+        result.status = WATERMARK_STATUS.REMOVED;
+
+        return result;
     }
 
     /**
      * Get watermark information (for display)
+     * When the image has been processed, the detection result of that run is
+     * reported (auto mode needs it to know the chosen type); otherwise the
+     * configuration is derived from the image size.
+     *
      * @param {number} imageWidth - Image width
      * @param {number} imageHeight - Image height
      * @param {string} watermarkType - Optional: watermark type
-     * @returns {Object} Watermark information {type, size, position, config}
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageData} image - Optional: processed image or image data to report on
+     * @returns {Object} Watermark information {type, size, sizeCategory, calibration, scale, position, offset, config, confidence, inpaintedPixels, denoised, blendMode, qualityScore, needsReview, placements, status}
      */
-    getWatermarkInfo(imageWidth, imageHeight, watermarkType = null) {
+    getWatermarkInfo(imageWidth, imageHeight, watermarkType = null, image = null) {
         const type = watermarkType || this.currentWatermarkType;
-        const config = detectWatermarkConfig(imageWidth, imageHeight, type);
-        const position = calculateWatermarkPosition(imageWidth, imageHeight, config);
+        const detection = image ? this.detections.get(image) : null;
+
+        if (detection && detection.status === WATERMARK_STATUS.NO_WATERMARK) {
+            return {
+                type: detection.type,
+                size: 0,
+                sizeDisplay: '-',
+                sizeCategory: null,
+                calibration: null,
+                position: null,
+                offset: null,
+                config: null,
+                confidence: detection.confidence,
+                qualityScore: null,
+                needsReview: false,
+                placements: [],
+                status: detection.status
+            };
+        }
+
+        if (!detection && type === WATERMARK_TYPE.AUTO) {
+            // Auto mode cannot know the type before the image has been inspected
+            return {
+                type: WATERMARK_TYPE.AUTO,
+                size: 0,
+                sizeDisplay: '-',
+                sizeCategory: null,
+                calibration: null,
+                position: null,
+                offset: null,
+                config: null,
+                confidence: null,
+                qualityScore: null,
+                needsReview: false,
+                placements: [],
+                status: null
+            };
+        }
+
+        const config = detection ? detection.config : detectWatermarkConfig(imageWidth, imageHeight, type);
+        const position = detection ? detection.position : calculateWatermarkPosition(imageWidth, imageHeight, config);
+        const placements = detection && detection.placements
+            ? detection.placements.map(describePlacement)
+            : [{ config, predictedPosition: position }]
+                .concat(getPlacementConfigs(config, imageWidth, imageHeight).map(extra => ({
+                    config: extra,
+                    predictedPosition: calculateWatermarkPosition(imageWidth, imageHeight, extra)
+                })))
+                .map(describePlacement);
+        const removed = placements.filter(placement => placement.status === WATERMARK_STATUS.REMOVED);
 
         return {
             type: config.type,
             size: config.width,  // For display, show the width
             sizeDisplay: `${config.width}×${config.height}`,
             sizeCategory: config.sizeCategory,
+            // Calibration samples the size was interpolated from ({samples, weight}), for table-driven providers
+            calibration: config.calibration || null,
+            // Scale found by multi-scale matching, relative to the size rules
+            scale: config.scale || 1,
             position: position,
-            config: config
+            // Offset from the predicted position found by the alignment search
+            offset: detection && detection.offset ? detection.offset : { x: 0, y: 0 },
+            config: config,
+            confidence: detection ? detection.confidence : null,
+            // Pixels filled by inpainting because they could not be unblended (all placements)
+            inpaintedPixels: removed.reduce((sum, placement) => sum + placement.inpaintedPixels, 0),
+            denoised: Boolean(detection && detection.denoised),
+            // Colour space the blend was inverted in (see BLEND_MODE), null before processing
+            blendMode: detection && detection.blendMode ? detection.blendMode : null,
+            // Residual quality score (0-100, higher is cleaner) of the worst placement, null before processing
+            qualityScore: removed.length > 0 ? Math.min(...removed.map(placement => placement.qualityScore)) : null,
+            needsReview: removed.some(placement => placement.needsReview),
+            // Every watermark placement of the provider, the detected one first
+            placements,
+            status: detection ? detection.status : null
         };
     }
-}
\ No newline at end of file
+}
@@ -5,42 +5,263 @@
 
 // Import JSZip from vendor (with ES module export)
 import JSZip from 'jszip';
+import { getExtension } from './outputFormat.js';
+import { getFilenameTemplate, renderFilename, createUniqueNamer, formatDate } from './filenameTemplate.js';
+import { describeImages, toCsv } from './batchManifest.js';
+
+// ZIP folder holding the QA files, with one subfolder per output image
+const QA_FOLDER = 'qa';
+
+// Share of the batch progress taken by creating QA files, before the ZIP is written
+const QA_PROGRESS_SHARE = 50;
 
 /**
- * Download a single image
- * @param {Object} item - Image item with processedUrl and name
+ * Get the template fields of a processed image
+ * @param {Object} item - Image item with name, originalImg and info
+ * @param {number} index - Position in the upload, from 1
+ * @param {Date} date - Download date
+ * @returns {Object<string, string|number>} Template fields (see renderFilename)
  */
-export function downloadSingle(item) {
-    if (!item.processedUrl) return;
-    
-    const a = document.createElement('a');
-    a.href = item.processedUrl;
-    a.download = `unwatermarked_${item.name.replace(/\.[^.]+$/, '')}.png`;
-    a.click();
+function getTemplateFields(item, index, date) {
+    const width = item.originalImg ? item.originalImg.width : '';
+    const height = item.originalImg ? item.originalImg.height : '';
+    return {
+        name: item.name.replace(/\.[^.]+$/, ''),
+        provider: item.info && item.info.type ? item.info.type : 'unknown',
+        width,
+        height,
+        size: `${width}x${height}`,
+        index,
+        date: formatDate(date)
+    };
 }
 
 /**
- * Download all processed images as a ZIP file
+ * Get the file names processed images are saved as
+ * Names come from the filename template; images whose names clash get a
+ * counter in upload order, so an image keeps the same name whether it is
+ * downloaded alone or in the ZIP. The extension follows the encoded output,
+ * not the uploaded file.
  * @param {Array} imageQueue - Array of image items
- * @returns {Promise<void>}
+ * @param {string} [template] - Filename template (defaults to the saved one)
+ * @param {Date} [date] - Download date
+ * @returns {Map<Object, string>} File name of every item with an output
  */
-export async function downloadAll(imageQueue) {
-    const completed = imageQueue.filter(item => item.status === 'completed');
-    if (completed.length === 0) return;
+export function getOutputFilenames(imageQueue, template = getFilenameTemplate(), date = new Date()) {
+    const uniqueName = createUniqueNamer();
+    const filenames = new Map();
 
-    const zip = new JSZip();
-    
-    completed.forEach(item => {
-        const filename = `unwatermarked_${item.name.replace(/\.[^.]+$/, '')}.png`;
-        zip.file(filename, item.processedBlob);
+    imageQueue.forEach((item, i) => {
+        if (!item.outputBlob) return;
+        const name = renderFilename(template, getTemplateFields(item, i + 1, date));
+        filenames.set(item, uniqueName(name, getExtension(item.outputBlob.type)));
     });
 
-    const blob = await zip.generateAsync({ type: 'blob' });
+    return filenames;
+}
+
+/**
+ * Save a file through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - File name
+ */
+function saveBlob(blob, filename) {
     const a = document.createElement('a');
     a.href = URL.createObjectURL(blob);
-    a.download = `unwatermarked_${Date.now()}.zip`;
+    a.download = filename;
     a.click();
-    
+
     // Clean up
     URL.revokeObjectURL(a.href);
-}
\ No newline at end of file
+}
+
+/**
+ * Get the ZIP folder the QA files of an output are stored in
+ * Folders are named after the full output file name, which is unique in the batch.
+ * @param {string} filename - Output file name
+ * @returns {string} Folder path
+ */
+function getQaFolder(filename) {
+    return `${QA_FOLDER}/${filename}`;
+}
+
+/**
+ * Download a single image in the output format
+ * With QA files, the image and its QA folder are saved together as a ZIP
+ * laid out like the batch ZIP.
+ * @param {Object} item - Image item with outputBlob and name
+ * @param {Array} [imageQueue] - All image items, for the index token and name clashes
+ * @param {Object} [options] - Download options
+ * @param {function(Object): Promise<Array<{name: string, blob: Blob}>>} [options.qaFiles] - Creates the QA files of an item (see createQaFiles)
+ * @returns {Promise<void>}
+ */
+export async function downloadSingle(item, imageQueue = [item], { qaFiles = null } = {}) {
+    if (!item.outputBlob) return;
+
+    const filename = getOutputFilenames(imageQueue).get(item);
+    const files = qaFiles ? await qaFiles(item) : [];
+    if (files.length === 0) {
+        saveBlob(item.outputBlob, filename);
+        return;
+    }
+
+    const zip = new JSZip();
+    zip.file(filename, item.outputBlob);
+    files.forEach(file => zip.file(`${getQaFolder(filename)}/${file.name}`, file.blob));
+    saveBlob(await zip.generateAsync({ type: 'blob' }), `${filename.replace(/\.[^.]+$/, '')}.zip`);
+}
+
+/**
+ * Open the file a ZIP is written to
+ * Where the File System Access API is available the user picks the file and
+ * the archive goes to disk chunk by chunk, so memory use does not grow with
+ * the batch. Elsewhere the chunks are collected and saved as one Blob at the end.
+ * Call this straight from the click handler: the file picker needs the user gesture.
+ * @param {string} filename - Suggested file name
+ * @returns {Promise<{write: function(Uint8Array): Promise<void>, close: function(): Promise<void>, abort: function(): Promise<void>}>}
+ *          Sink; rejects with an AbortError when the user closes the file picker
+ */
+async function openZipSink(filename) {
+    if (typeof globalThis.showSaveFilePicker === 'function') {
+        const handle = await globalThis.showSaveFilePicker({
+            suggestedName: filename,
+            types: [{ description: 'ZIP', accept: { 'application/zip': ['.zip'] } }]
+        });
+        const writable = await handle.createWritable();
+        return {
+            write: chunk => writable.write(chunk),
+            close: () => writable.close(),
+            // Discards the partly written file
+            abort: () => writable.abort().catch(() => {})
+        };
+    }
+
+    let chunks = [];
+    return {
+        write: async chunk => {
+            chunks.push(chunk);
+        },
+        close: async () => {
+            saveBlob(new Blob(chunks, { type: 'application/zip' }), filename);
+            chunks = null;
+        },
+        abort: async () => {
+            chunks = null;
+        }
+    };
+}
+
+/**
+ * Write a ZIP file into a sink chunk by chunk
+ * Generation waits for each chunk to be written before compressing more, so
+ * progress follows the data actually written and the export can be cancelled
+ * part way. The sink is closed when the archive is complete; on error or
+ * cancel the caller aborts it.
+ * @param {JSZip} zip - Archive to generate
+ * @param {Object} sink - Destination (see openZipSink)
+ * @param {function(number, string|null): void} onProgress - Called with the percentage done and the file being written
+ * @param {AbortSignal} [signal] - Cancels the export
+ * @returns {Promise<void>} Resolves once the sink is closed; rejects with the abort reason when cancelled
+ */
+function writeZip(zip, sink, onProgress, signal) {
+    return new Promise((resolve, reject) => {
+        const stream = zip.generateInternalStream({ type: 'uint8array', streamFiles: true });
+        let writing = Promise.resolve();
+        let settled = false;
+
+        const finish = (error) => {
+            if (settled) return;
+            settled = true;
+            if (signal) signal.removeEventListener('abort', abort);
+            if (error) {
+                // Stop generating; nothing else holds on to the stream
+                stream.pause();
+                reject(error);
+            } else {
+                resolve();
+            }
+        };
+        const abort = () => finish(signal.reason);
+        if (signal) signal.addEventListener('abort', abort, { once: true });
+
+        stream
+            .on('data', (chunk, metadata) => {
+                stream.pause();
+                writing = writing.then(() => sink.write(chunk)).then(() => {
+                    if (settled) return;
+                    onProgress(metadata.percent, metadata.currentFile);
+                    stream.resume();
+                });
+                writing.catch(finish);
+            })
+            .on('error', finish)
+            .on('end', () => {
+                writing.then(() => settled || sink.close()).then(() => finish(), finish);
+            })
+            .resume();
+    });
+}
+
+/**
+ * Download all processed images as a ZIP file
+ * Besides the images the archive holds manifest.json and manifest.csv,
+ * which list every input with its output name, detected provider,
+ * watermark rectangle, quality score and status, and optionally a qa/
+ * folder with the QA files of every image. The archive is written to a file
+ * the user picks where the browser supports it (see openZipSink).
+ * @param {Array} imageQueue - Array of image items
+ * @param {Object} [options] - Export options
+ * @param {function(number, string|null): void} [options.onProgress] - Progress callback (percentage, current file)
+ * @param {AbortSignal} [options.signal] - Cancels the export; the returned promise then rejects with the abort reason
+ * @param {function(Object): Promise<Array<{name: string, blob: Blob}>>} [options.qaFiles] - Creates the QA files of an item (see createQaFiles)
+ * @returns {Promise<void>}
+ */
+export async function downloadAll(imageQueue, { onProgress = () => {}, signal, qaFiles = null } = {}) {
+    const completed = imageQueue.filter(item => item.status === 'completed');
+    if (completed.length === 0) return;
+
+    const date = new Date();
+    const sink = await openZipSink(`unwatermarked_${date.getTime()}.zip`);
+
+    try {
+        const template = getFilenameTemplate();
+        const filenames = getOutputFilenames(imageQueue, template, date);
+
+        const zip = new JSZip();
+
+        completed.forEach(item => {
+            zip.file(filenames.get(item), item.outputBlob);
+        });
+
+        // QA files are created one image at a time to keep only one pair of decoded images in memory
+        const qaFolders = new Map();
+        const qaShare = qaFiles ? QA_PROGRESS_SHARE : 0;
+        if (qaFiles) {
+            for (const [index, item] of completed.entries()) {
+                if (signal) signal.throwIfAborted();
+                onProgress(index / completed.length * qaShare, item.name);
+
+                try {
+                    const files = await qaFiles(item);
+                    if (files.length === 0) continue;
+
+                    const folder = getQaFolder(filenames.get(item));
+                    files.forEach(file => zip.file(`${folder}/${file.name}`, file.blob));
+                    qaFolders.set(item, folder);
+                } catch (error) {
+                    console.warn(`Could not create the QA files of ${item.name}:`, error);
+                }
+            }
+        }
+
+        const images = describeImages(imageQueue, filenames, qaFolders);
+        zip.file('manifest.json', JSON.stringify({ createdAt: date.toISOString(), template, images }, null, 2));
+        zip.file('manifest.csv', toCsv(images));
+
+        if (signal) signal.throwIfAborted();
+        await writeZip(zip, sink, (percent, file) => onProgress(qaShare + percent * (100 - qaShare) / 100, file), signal);
+    } catch (error) {
+        await sink.abort();
+        throw error;
+    }
+}
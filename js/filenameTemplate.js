@@ -0,0 +1,115 @@
+/**
+ * Filename Template Module
+ * Builds download file names from the user's template and keeps them unique
+ *
+ * Tokens:
+ *   {name}      original file name without its extension
+ *   {provider}  detected watermark provider id (e.g. gemini)
+ *   {width}, {height}, {size}  image size; {size} is WIDTHxHEIGHT
+ *   {index}     position in the upload, from 1; {index:3} pads to three digits
+ *   {date}      download date as YYYY-MM-DD
+ * Unknown tokens are kept as written. The extension of the output format is appended.
+ */
+
+export const DEFAULT_FILENAME_TEMPLATE = 'unwatermarked_{name}';
+
+const STORAGE_KEY = 'filenameTemplate';
+
+// Characters not allowed in file names on common file systems
+const INVALID_CHARACTERS = /[\\/:*?"<>|\x00-\x1f]/g;
+const MAX_NAME_LENGTH = 200;
+
+// Template set in this session; kept here too so it applies when localStorage
+// is unavailable (blocked storage, private browsing or a full quota)
+let currentTemplate = null;
+
+/**
+ * Get the saved filename template
+ * @returns {string} Template (the default if none was saved or storage cannot be read)
+ */
+export function getFilenameTemplate() {
+    if (currentTemplate !== null) return currentTemplate;
+
+    try {
+        return localStorage.getItem(STORAGE_KEY) || DEFAULT_FILENAME_TEMPLATE;
+    } catch {
+        return DEFAULT_FILENAME_TEMPLATE;
+    }
+}
+
+/**
+ * Save the filename template for later sessions
+ * The template applies to this session even if it cannot be stored.
+ * @param {string} template - Template; empty resets to the default
+ */
+export function setFilenameTemplate(template) {
+    const value = template.trim();
+    currentTemplate = value || DEFAULT_FILENAME_TEMPLATE;
+
+    try {
+        if (value && value !== DEFAULT_FILENAME_TEMPLATE) {
+            localStorage.setItem(STORAGE_KEY, value);
+        } else {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+    } catch (error) {
+        console.warn('Could not save the filename template:', error);
+    }
+}
+
+/**
+ * Make a string safe to use as a file name
+ * @param {string} name - Name
+ * @returns {string} Name without path separators, reserved characters or leading/trailing dots and spaces
+ */
+function sanitizeFilename(name) {
+    return name
+        .replace(INVALID_CHARACTERS, '_')
+        .slice(0, MAX_NAME_LENGTH)
+        .replace(/^[\s.]+|[\s.]+$/g, '');
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+export function formatDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Fill in a filename template
+ * @param {string} template - Template with {token} placeholders
+ * @param {Object<string, string|number>} fields - Token values {name, provider, width, height, size, index, date}
+ * @returns {string} File name without extension; falls back to the original name if the result is empty
+ */
+export function renderFilename(template, fields) {
+    const name = template.replace(/\{(\w+)(?::(\d+))?\}/g, (match, token, width) => {
+        if (!(token in fields)) return match;
+        const value = String(fields[token]);
+        return width ? value.padStart(Number(width), '0') : value;
+    });
+
+    return sanitizeFilename(name) || sanitizeFilename(String(fields.name || '')) || 'image';
+}
+
+/**
+ * Create a namer that hands out each file name only once
+ * Clashes get a counter before the extension: "a.png", "a (2).png", "a (3).png".
+ * Names are compared case-insensitively, as on Windows and macOS file systems.
+ * @returns {function(string, string): string} Function (name without extension, extension) → unique file name
+ */
+export function createUniqueNamer() {
+    const used = new Set();
+
+    return (name, extension) => {
+        let filename = `${name}.${extension}`;
+        for (let n = 2; used.has(filename.toLowerCase()); n++) {
+            filename = `${name} (${n}).${extension}`;
+        }
+        used.add(filename.toLowerCase());
+        return filename;
+    };
+}
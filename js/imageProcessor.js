@@ -3,24 +3,188 @@
  * Handles image processing queue and watermark removal operations
  */
 
-import { WatermarkEngine, WATERMARK_TYPE } from './core/watermarkEngine.js';
+import { WATERMARK_TYPE, WATERMARK_STATUS } from './core/watermarkEngine.js';
+import { CanvasWatermarkEngine, decodeImageFile, encodeResult, transcodeImage } from './canvasEngine.js';
+import { WorkerPool, isWorkerSupported } from './workerPool.js';
+import { getProviders } from './core/providerRegistry.js';
+import { DEFAULT_METADATA_POLICY } from './core/metadata.js';
+import { OUTPUT_FORMAT, DEFAULT_QUALITY, getOutputOptions } from './outputFormat.js';
+import { downloadSingle } from './download.js';
+import { createQaFiles } from './qaExport.js';
 import { loadImage, checkOriginal, getOriginalStatus, setStatusMessage } from './utils.js';
 import i18n from './i18n.js';
 import * as ui from './ui.js';
 
 // Global state
 let engine = null;
+let pool = null;
 let imageQueue = [];
 let processedCount = 0;
+let summary = { completed: 0, skipped: 0, failed: 0, review: 0 };
 let zoom = null;
-let currentWatermarkType = WATERMARK_TYPE.GEMINI;
+let currentWatermarkType = WATERMARK_TYPE.AUTO;
+let outputSettings = { format: OUTPUT_FORMAT.KEEP, quality: DEFAULT_QUALITY, metadata: DEFAULT_METADATA_POLICY, qa: false };
 
 /**
  * Initialize the watermark engine
+ * Processing runs in a Web Worker pool where supported; the main-thread
+ * engine is kept as a fallback. Only the provider manifests are loaded here,
+ * watermark templates are loaded on first use of each type.
  * @returns {Promise<void>}
  */
 export async function initEngine() {
-    engine = await WatermarkEngine.create();
+    engine = await CanvasWatermarkEngine.create();
+    engine.setWatermarkType(currentWatermarkType);
+
+    if (isWorkerSupported()) {
+        try {
+            pool = await WorkerPool.create();
+        } catch (error) {
+            console.warn('Worker pool unavailable, processing on the main thread:', error);
+            pool = null;
+        }
+    }
+}
+
+/**
+ * Load the templates a watermark type needs, on first use
+ * Templates are loaded where images are processed: in every worker when the
+ * pool is used, otherwise in the main-thread engine. Providers whose
+ * templates fail to load are disabled in the tab bar; auto mode carries on
+ * without them, a fixed type rejects with the load error.
+ * @param {string} type - Watermark type ('auto' or a registered provider id)
+ * @returns {Promise<void>}
+ */
+async function prepareProviders(type) {
+    const ids = type === WATERMARK_TYPE.AUTO ? getProviders().map(provider => provider.id) : [type];
+    const results = await Promise.allSettled(ids.map(id => (pool || engine).loadProvider(id)));
+
+    let failure = null;
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.error('Watermark template error:', result.reason);
+            ui.disableTab(ids[index], result.reason.message);
+            failure = failure || result.reason;
+        }
+    });
+
+    if (failure && type !== WATERMARK_TYPE.AUTO) {
+        throw failure;
+    }
+}
+
+/**
+ * Show a template loading error in the status line
+ * @param {Error} error - Template loading error
+ */
+function showTemplateError(error) {
+    setStatusMessage(`${i18n.t('status.template_error')} ${error.message}`, 'warn');
+}
+
+/**
+ * Remove the watermark from a queue item, in a worker when available
+ * The file is decoded in its own colour space and the result keeps its ICC profile and metadata.
+ * @param {Object} item - Image queue item
+ * @param {{mimeType: string, quality: number, metadataPolicy: Object}} output - Output encoding (see getOutputOptions)
+ * @returns {Promise<{blob: Blob, output: Blob, info: Object}>} Processed PNG (for previews and
+ *          re-encoding), the result in the output format and watermark information
+ */
+async function removeWatermark(item, output) {
+    const options = { mimeType: item.file.type };
+
+    if (pool) {
+        const { blob, output: outputBlob, info } = await pool.process(item.file, currentWatermarkType, options, output);
+        return { blob, output: outputBlob, info };
+    }
+
+    // Browsers without createImageBitmap process the loaded <img> in sRGB
+    if (typeof createImageBitmap !== 'function') {
+        const { canvas, info } = await engine.removeWatermarkFromImage(item.originalImg, currentWatermarkType, options);
+        return { ...await encodeResult(canvas, output), info };
+    }
+
+    const { bitmap, colorSpace, iccProfile, metadata } = await decodeImageFile(item.file);
+    const { canvas, info } = await engine.removeWatermarkFromImage(bitmap, currentWatermarkType, { ...options, colorSpace });
+    bitmap.close();
+
+    return { ...await encodeResult(canvas, output, { iccProfile, metadata }), info };
+}
+
+/**
+ * Check whether two output encodings are the same
+ * @param {Object|null} a - Output encoding
+ * @param {Object|null} b - Output encoding
+ * @returns {boolean} True if equal
+ */
+function isSameOutput(a, b) {
+    return Boolean(a && b) && a.mimeType === b.mimeType && a.quality === b.quality &&
+        JSON.stringify(a.metadataPolicy) === JSON.stringify(b.metadataPolicy);
+}
+
+/**
+ * Show the output format and size of a queue item
+ * @param {Object} item - Image queue item
+ * @param {Blob|null} blob - Output image, or null while it is being encoded
+ */
+function showOutputInfo(item, blob) {
+    ui.updateOutputInfo(imageQueue.length === 1 ? null : item.id, blob);
+}
+
+/**
+ * Re-encode a processed item when the output settings have changed since it was encoded
+ * The processed PNG is the source, so switching formats never compounds lossy encoding,
+ * and it carries all of the source's metadata for the policy to filter.
+ * @param {Object} item - Image queue item with a processed PNG
+ * @returns {Promise<void>}
+ */
+async function updateOutput(item) {
+    const output = getOutputOptions(outputSettings, item.file.type);
+    if (isSameOutput(item.outputOptions, output)) return;
+
+    item.outputOptions = output;
+    showOutputInfo(item, null);
+
+    try {
+        const blob = pool
+            ? await pool.encode(item.processedBlob, output)
+            : await transcodeImage(item.processedBlob, output.mimeType, output.quality, output.metadataPolicy);
+
+        // The settings may have changed again while encoding
+        if (item.outputOptions !== output) return;
+        item.outputBlob = blob;
+    } catch (error) {
+        console.error('Encode output error:', error);
+    }
+
+    showOutputInfo(item, item.outputBlob);
+}
+
+/**
+ * Set the output format, quality and metadata policy of downloads, and whether QA files are included
+ * Images already processed are re-encoded with the new settings.
+ * @param {{format: string, quality: number, metadata: Object, qa: boolean}} settings - Output format (see OUTPUT_FORMAT),
+ *        quality (0-1), metadata policy (see filterMetadata) and QA export (see createQaFiles)
+ * @returns {Promise<void>}
+ */
+export async function setOutputSettings(settings) {
+    outputSettings = { ...outputSettings, ...settings };
+    await Promise.all(imageQueue.filter(item => item.processedBlob).map(updateOutput));
+}
+
+/**
+ * Get the output format, quality and metadata policy of downloads, and whether QA files are included
+ * @returns {{format: string, quality: number, metadata: Object, qa: boolean}} Output settings
+ */
+export function getOutputSettings() {
+    return outputSettings;
+}
+
+/**
+ * Get the function creating the QA files of downloads
+ * @returns {function(Object): Promise<Array<{name: string, blob: Blob}>>|null} QA file creator, or null when QA export is off
+ */
+export function getQaExporter() {
+    return outputSettings.qa ? item => createQaFiles(engine, item) : null;
 }
 
 /**
@@ -33,7 +197,7 @@ export function setZoom(zoomInstance) {
 
 /**
  * Set the current watermark type to process
- * @param {string} type - Watermark type ('gemini' or 'doubao')
+ * @param {string} type - Watermark type ('auto' or a registered provider id)
  */
 export function setWatermarkType(type) {
     if (engine) {
@@ -41,6 +205,11 @@ export function setWatermarkType(type) {
     }
     currentWatermarkType = type;
     console.log(`Watermark type set to: ${type}`);
+
+    // Start loading the templates of the selected type in the background
+    if (engine && type !== WATERMARK_TYPE.AUTO) {
+        prepareProviders(type).catch(showTemplateError);
+    }
 }
 
 /**
@@ -67,6 +236,15 @@ export function getProcessedCount() {
     return processedCount;
 }
 
+/**
+ * Get the batch summary, counting images without a watermark separately
+ * and completed images whose residual quality score needs review
+ * @returns {{completed: number, skipped: number, failed: number, review: number}} Batch summary
+ */
+export function getSummary() {
+    return summary;
+}
+
 /**
  * Reset the processor state
  */
@@ -79,6 +257,11 @@ export function reset() {
     
     imageQueue = [];
     processedCount = 0;
+    summary = { completed: 0, skipped: 0, failed: 0, review: 0 };
+
+    // Release the alpha maps scaled for the previous batch
+    if (engine) engine.clearCache();
+    if (pool) pool.clearCache();
 }
 
 /**
@@ -113,11 +296,15 @@ export function createImageQueue(files) {
         status: 'pending',
         originalImg: null,
         processedBlob: null,
+        outputBlob: null,
+        outputOptions: null,
+        info: null,
         originalUrl: null,
         processedUrl: null
     }));
 
     processedCount = 0;
+    summary = { completed: 0, skipped: 0, failed: 0, review: 0 };
     return imageQueue;
 }
 
@@ -128,19 +315,33 @@ export function createImageQueue(files) {
  */
 export async function processSingle(item) {
     try {
+        await prepareProviders(currentWatermarkType).catch(error => {
+            showTemplateError(error);
+            throw error;
+        });
+
         const img = await loadImage(item.file);
         item.originalImg = img;
 
-        const { is_valid_source, is_original, watermarkType } = await checkOriginal(item.file, currentWatermarkType);
-        const status = getOriginalStatus({ is_valid_source, is_original, watermarkType });
-        setStatusMessage(status, is_valid_source && is_original ? 'success' : 'warn');
-
-        const watermarkInfo = engine.getWatermarkInfo(img.width, img.height, currentWatermarkType);
+        // In auto mode the watermark type is only known after detection
+        const outputOptions = getOutputOptions(outputSettings, item.file.type);
+        const { blob, output, info: watermarkInfo } = await removeWatermark(item, outputOptions);
+        const removed = watermarkInfo.status !== WATERMARK_STATUS.NO_WATERMARK;
         ui.updateOriginalPreview(img, watermarkInfo);
 
-        const result = await engine.removeWatermarkFromImage(img, currentWatermarkType);
-        const blob = await new Promise(resolve => result.toBlob(resolve, 'image/png'));
+        if (removed) {
+            const { is_valid_source, is_original, watermarkType } = await checkOriginal(item.file, watermarkInfo.type);
+            const status = getOriginalStatus({ is_valid_source, is_original, watermarkType });
+            setStatusMessage(status, is_valid_source && is_original ? 'success' : 'warn');
+        } else {
+            // Image was returned untouched
+            setStatusMessage(i18n.t('status.no_watermark'), 'warn');
+        }
+
         item.processedBlob = blob;
+        item.outputBlob = output;
+        item.outputOptions = outputOptions;
+        item.info = watermarkInfo;
 
         item.processedUrl = URL.createObjectURL(blob);
         
@@ -148,8 +349,13 @@ export async function processSingle(item) {
             item.processedUrl,
             img.width,
             img.height,
-            () => downloadImage(item)
+            () => downloadImage(item),
+            watermarkInfo
         );
+        showOutputInfo(item, output);
+
+        // Output settings changed while processing
+        await updateOutput(item);
 
         if (zoom) {
             zoom.detach();
@@ -166,6 +372,9 @@ export async function processSingle(item) {
  * @returns {Promise<void>}
  */
 export async function processQueue() {
+    // A broken fixed type is reported once up front; its tab is disabled and auto mode takes over
+    await prepareProviders(currentWatermarkType).catch(showTemplateError);
+
     // First, load all images and show previews
     await Promise.all(imageQueue.map(async item => {
         const img = await loadImage(item.file);
@@ -179,8 +388,8 @@ export async function processQueue() {
         }
     }));
 
-    // Process in batches with concurrency limit
-    const concurrency = 3;
+    // Process in batches with concurrency limit (one image per worker when the pool is used)
+    const concurrency = pool ? pool.workers.length : 3;
     for (let i = 0; i < imageQueue.length; i += concurrency) {
         await Promise.all(imageQueue.slice(i, i + concurrency).map(async item => {
             if (item.status !== 'pending') return;
@@ -189,9 +398,26 @@ export async function processQueue() {
             ui.updateStatus(item.id, i18n.t('status.processing'));
 
             try {
-                const result = await engine.removeWatermarkFromImage(item.originalImg, currentWatermarkType);
-                const blob = await new Promise(resolve => result.toBlob(resolve, 'image/png'));
+                const outputOptions = getOutputOptions(outputSettings, item.file.type);
+                const { blob, output, info: watermarkInfo } = await removeWatermark(item, outputOptions);
+
+                // Images without a watermark are left untouched and listed separately
+                if (watermarkInfo.status === WATERMARK_STATUS.NO_WATERMARK) {
+                    item.status = 'skipped';
+                    ui.updateStatus(item.id, ui.formatWatermarkInfo(item.originalImg, watermarkInfo), true);
+                    ui.markSkipped(item.id);
+
+                    summary.skipped++;
+                    processedCount++;
+                    ui.updateProgress(processedCount, imageQueue.length);
+                    ui.updateSummary(summary);
+                    return;
+                }
+
                 item.processedBlob = blob;
+                item.outputBlob = output;
+                item.outputOptions = outputOptions;
+                item.info = watermarkInfo;
 
                 item.processedUrl = URL.createObjectURL(blob);
                 
@@ -199,21 +425,21 @@ export async function processQueue() {
                 if (resultImg) resultImg.src = item.processedUrl;
 
                 item.status = 'completed';
-                const watermarkInfo = engine.getWatermarkInfo(item.originalImg.width, item.originalImg.height, currentWatermarkType);
 
-                ui.updateStatus(item.id, `
-                    <p>${i18n.t('info.size')}: ${item.originalImg.width}×${item.originalImg.height}</p>
-                    <p>${i18n.t('info.watermark')}: ${watermarkInfo.size}×${watermarkInfo.size}</p>
-                    <p>${i18n.t('info.position')}: (${watermarkInfo.position.x},${watermarkInfo.position.y})</p>
-                `, true);
+                ui.updateStatus(item.id, ui.formatWatermarkInfo(item.originalImg, watermarkInfo), true);
 
                 ui.showDownloadBtn(item.id, () => downloadImage(item));
+                showOutputInfo(item, output);
+                updateOutput(item);
 
+                summary.completed++;
+                if (watermarkInfo.needsReview) summary.review++;
                 processedCount++;
                 ui.updateProgress(processedCount, imageQueue.length);
+                ui.updateSummary(summary);
 
                 // Check if original asynchronously
-                checkOriginal(item.file, currentWatermarkType).then(({ is_valid_source, is_original, watermarkType }) => {
+                checkOriginal(item.file, watermarkInfo.type).then(({ is_valid_source, is_original, watermarkType }) => {
                     if (!is_valid_source || !is_original) {
                         const status = getOriginalStatus({ is_valid_source, is_original, watermarkType });
                         ui.addStatusWarning(item.id, status);
@@ -222,25 +448,27 @@ export async function processQueue() {
             } catch (error) {
                 item.status = 'error';
                 ui.updateStatus(item.id, i18n.t('status.failed'));
+                summary.failed++;
+                ui.updateSummary(summary);
                 console.error('Process queue item error:', error);
             }
         }));
     }
 
-    if (processedCount > 0) {
+    if (summary.completed > 0) {
         ui.showDownloadAllBtn();
     }
 }
 
 /**
- * Download a single processed image
+ * Download a single processed image in the output format, with its QA files when enabled
  * @param {Object} item - Image queue item
+ * @returns {Promise<void>}
  */
-export function downloadImage(item) {
-    if (!item.processedUrl) return;
-    
-    const a = document.createElement('a');
-    a.href = item.processedUrl;
-    a.download = `unwatermarked_${item.name.replace(/\.[^.]+$/, '')}.png`;
-    a.click();
-}
\ No newline at end of file
+export async function downloadImage(item) {
+    try {
+        await downloadSingle(item, imageQueue, { qaFiles: getQaExporter() });
+    } catch (error) {
+        console.error('Download error:', error);
+    }
+}
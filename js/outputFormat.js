@@ -0,0 +1,76 @@
+/**
+ * Output Format Module
+ * Resolves the output format setting to the MIME type, quality and file
+ * extension processed images are encoded and saved with
+ */
+
+export const OUTPUT_FORMAT = {
+    KEEP: 'keep',
+    PNG: 'png',
+    JPEG: 'jpeg',
+    WEBP: 'webp'
+};
+
+// Quality used for JPEG and WebP output unless the user changes it
+export const DEFAULT_QUALITY = 0.92;
+
+const FORMAT_MIME_TYPES = {
+    [OUTPUT_FORMAT.PNG]: 'image/png',
+    [OUTPUT_FORMAT.JPEG]: 'image/jpeg',
+    [OUTPUT_FORMAT.WEBP]: 'image/webp'
+};
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp'
+};
+
+/**
+ * Get the MIME type an image is encoded as
+ * @param {string} format - Output format (see OUTPUT_FORMAT)
+ * @param {string} sourceType - MIME type of the uploaded file
+ * @returns {string} Output MIME type; 'keep' falls back to PNG for unknown source types
+ */
+export function getOutputMimeType(format, sourceType) {
+    if (format === OUTPUT_FORMAT.KEEP) {
+        return EXTENSIONS[sourceType] ? sourceType : FORMAT_MIME_TYPES[OUTPUT_FORMAT.PNG];
+    }
+    return FORMAT_MIME_TYPES[format] || FORMAT_MIME_TYPES[OUTPUT_FORMAT.PNG];
+}
+
+/**
+ * Check whether an output MIME type is lossy (uses the quality setting)
+ * @param {string} mimeType - Output MIME type
+ * @returns {boolean} True for JPEG and WebP
+ */
+export function isLossy(mimeType) {
+    return mimeType === 'image/jpeg' || mimeType === 'image/webp';
+}
+
+/**
+ * Get the encoding options for an image
+ * @param {{format: string, quality: number, metadata: Object}} settings - Output settings
+ * @param {string} sourceType - MIME type of the uploaded file
+ * @returns {{mimeType: string, quality: number|undefined, metadataPolicy: Object}} Encoding options
+ *          (see encodeResult); metadataPolicy decides which metadata fields are carried over
+ */
+export function getOutputOptions(settings, sourceType) {
+    const mimeType = getOutputMimeType(settings.format, sourceType);
+    return {
+        mimeType,
+        quality: isLossy(mimeType) ? settings.quality : undefined,
+        metadataPolicy: settings.metadata
+    };
+}
+
+/**
+ * Get the file extension of an encoded image
+ * Browsers that cannot encode a format fall back to PNG, so the extension
+ * is taken from the type of the encoded blob rather than from the setting.
+ * @param {string} mimeType - MIME type of the encoded image
+ * @returns {string} Extension without the dot
+ */
+export function getExtension(mimeType) {
+    return EXTENSIONS[mimeType] || 'png';
+}
@@ -0,0 +1,63 @@
+/**
+ * QA Export Module
+ * Creates the review files of a processed image: an amplified difference
+ * image, and the alpha map and before/after crops of every removed watermark
+ */
+
+import { WATERMARK_STATUS } from './core/watermarkEngine.js';
+import { alphaMapToImage, differenceImage, cropImage } from './core/qaImages.js';
+import { createCanvas, decodeImagePixels, encodeCanvas } from './canvasEngine.js';
+
+/**
+ * Encode pixels as a PNG
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - RGBA image
+ * @param {string} colorSpace - Optional: colour space of the pixel values (default sRGB)
+ * @returns {Promise<Blob>} PNG file
+ */
+function encodePng({ data, width, height }, colorSpace = 'srgb') {
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d', { colorSpace }).putImageData(new ImageData(data, width, height, { colorSpace }), 0, 0);
+    return encodeCanvas(canvas, 'image/png');
+}
+
+/**
+ * Create the QA files of a processed image
+ * Files: difference.png (see differenceImage), and per removed placement
+ * alpha_<placement>.png (the alpha map the blend was inverted with),
+ * before_<placement>.png and after_<placement>.png (the watermark rectangle
+ * in the original and the result).
+ * @param {WatermarkEngine} engine - Engine with the image's provider loaded, for the alpha maps
+ * @param {Object} item - Image queue item with file, processedBlob and info
+ * @returns {Promise<Array<{name: string, blob: Blob}>>} QA files; none if no watermark was removed
+ */
+export async function createQaFiles(engine, item) {
+    const info = item.info;
+    const placements = info && info.status === WATERMARK_STATUS.REMOVED
+        ? info.placements.filter(placement => placement.status === WATERMARK_STATUS.REMOVED)
+        : [];
+    if (placements.length === 0 || !item.processedBlob) return [];
+
+    const original = await decodeImagePixels(item.file);
+    const processed = await decodeImagePixels(item.processedBlob);
+    // Crops are shown as colours, so they keep the colour space the image was processed in
+    const colorSpace = original.colorSpace || 'srgb';
+
+    const files = [{ name: 'difference.png', blob: await encodePng(differenceImage(original, processed)) }];
+
+    for (const placement of placements) {
+        const { config, position } = placement;
+        // Placement ids come from provider manifests
+        const id = String(placement.id).replace(/[^\w-]/g, '_');
+        const alphaMap = await engine.getAlphaMap(config, info.blendMode || undefined);
+        files.push({ name: `alpha_${id}.png`, blob: await encodePng(alphaMapToImage(alphaMap, config.width, config.height)) });
+
+        const before = cropImage(original, position);
+        const after = cropImage(processed, position);
+        if (before && after) {
+            files.push({ name: `before_${id}.png`, blob: await encodePng(before, colorSpace) });
+            files.push({ name: `after_${id}.png`, blob: await encodePng(after, colorSpace) });
+        }
+    }
+
+    return files;
+}
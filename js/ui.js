@@ -7,6 +7,7 @@
  */
 
 import i18n from './i18n.js';
+import { OUTPUT_FORMAT, getExtension } from './outputFormat.js';
 
 // DOM 元素引用
 export const elements = {
@@ -17,7 +18,10 @@ export const elements = {
     imageList: null,
     progressText: null,
     progressBar: null,
+    progressSummary: null,
     downloadAllBtn: null,
+    cancelZipBtn: null,
+    zipProgress: null,
     originalImage: null,
     processedSection: null,
     processedImage: null,
@@ -26,7 +30,16 @@ export const elements = {
     downloadBtn: null,
     resetBtn: null,
     langSwitch: null,
-    tabButtons: null
+    tabButtons: null,
+    outputFormat: null,
+    outputQuality: null,
+    outputQualityValue: null,
+    outputInfo: null,
+    keepMetadata: null,
+    metadataAllow: null,
+    metadataDeny: null,
+    filenameTemplate: null,
+    exportQa: null
 };
 
 /**
@@ -40,7 +53,10 @@ export function initElements() {
     elements.imageList = document.getElementById('imageList');
     elements.progressText = document.getElementById('progressText');
     elements.progressBar = document.getElementById('progressBar');
+    elements.progressSummary = document.getElementById('progressSummary');
     elements.downloadAllBtn = document.getElementById('downloadAllBtn');
+    elements.cancelZipBtn = document.getElementById('cancelZipBtn');
+    elements.zipProgress = document.getElementById('zipProgress');
     elements.originalImage = document.getElementById('originalImage');
     elements.processedSection = document.getElementById('processedSection');
     elements.processedImage = document.getElementById('processedImage');
@@ -50,11 +66,50 @@ export function initElements() {
     elements.resetBtn = document.getElementById('resetBtn');
     elements.langSwitch = document.getElementById('langSwitch');
     elements.tabButtons = document.querySelectorAll('[data-tab]');
+    elements.outputFormat = document.getElementById('outputFormat');
+    elements.outputQuality = document.getElementById('outputQuality');
+    elements.outputQualityValue = document.getElementById('outputQualityValue');
+    elements.outputInfo = document.getElementById('outputInfo');
+    elements.keepMetadata = document.getElementById('keepMetadata');
+    elements.metadataAllow = document.getElementById('metadataAllow');
+    elements.metadataDeny = document.getElementById('metadataDeny');
+    elements.filenameTemplate = document.getElementById('filenameTemplate');
+    elements.exportQa = document.getElementById('exportQa');
 
     // 注意：装饰效果初始化已移至 decorations.js 模块
     // 通过 app.js 中的 initDecorations() 调用
 }
 
+/**
+ * 根据水印提供方注册表生成 AI 模型选项卡
+ * 标签文字优先使用 tab.<id> 翻译，没有翻译时使用清单中的 label
+ * @param {Object[]} providers - 已注册的水印提供方
+ */
+export function renderProviderTabs(providers) {
+    const container = document.getElementById('providerTabs');
+    if (!container) return;
+
+    const template = container.querySelector('[data-tab="auto"]');
+
+    providers.forEach(provider => {
+        if (container.querySelector(`[data-tab="${provider.id}"]`)) return;
+
+        const btn = document.createElement('button');
+        btn.className = template.className.replace(/\s*\bactive\b/, '');
+        btn.setAttribute('data-tab', provider.id);
+
+        const key = `tab.${provider.id}`;
+        if (i18n.t(key) !== key) {
+            btn.setAttribute('data-i18n', key);
+            btn.textContent = i18n.t(key);
+        } else {
+            btn.textContent = provider.label;
+        }
+
+        container.appendChild(btn);
+    });
+}
+
 /**
  * 设置 AI 模型选项卡，带有切换回调
  * @param {Function} onTabSwitch - 标签页切换时的回调函数，参数为引擎名称
@@ -89,13 +144,33 @@ export function setupTabs(onTabSwitch) {
     });
 }
 
+/**
+ * 禁用某个水印提供方的选项卡（例如模板加载失败）
+ * 若该选项卡当前处于选中状态，则切回自动模式
+ * @param {string} tabName - 选项卡名称（水印提供方 id）
+ * @param {string} message - 鼠标悬停时显示的原因
+ */
+export function disableTab(tabName, message = '') {
+    const btn = document.querySelector(`[data-tab="${tabName}"]`);
+    if (!btn || btn.disabled) return;
+
+    btn.disabled = true;
+    btn.title = message;
+    btn.classList.add('disabled');
+
+    if (btn.classList.contains('active')) {
+        const autoTab = document.querySelector('[data-tab="auto"]');
+        if (autoTab) autoTab.click();
+    }
+}
+
 /**
  * 获取当前激活的标签页/引擎
- * @returns {string} 当前引擎名称 (gemini, qwen, doubao)
+ * @returns {string} 当前引擎名称 (auto 或已注册的水印提供方 id)
  */
 export function getCurrentEngine() {
     const activeTab = document.querySelector('[data-tab].active');
-    return activeTab ? activeTab.getAttribute('data-tab') : 'gemini';
+    return activeTab ? activeTab.getAttribute('data-tab') : 'auto';
 }
 
 /**
@@ -153,6 +228,118 @@ export function setupFileUpload(onFilesSelected) {
     });
 }
 
+/**
+ * 解析逗号分隔的元数据字段列表
+ * @param {string} value - 输入框内容
+ * @returns {string[]} 字段名（PNG 文本关键字可能含空格，因此只按逗号分隔）
+ */
+function parseFieldList(value) {
+    return value.split(/[,，]/).map(field => field.trim()).filter(Boolean);
+}
+
+/**
+ * 设置输出格式、质量和元数据保留选项
+ * 拖动质量滑块时只更新数值显示，松开后才触发回调（避免反复重新编码）
+ * @param {{format: string, quality: number, metadata: Object}} settings - 当前输出设置
+ * @param {Function} onChange - 设置变化时的回调函数，参数为新的 {format, quality, metadata}
+ */
+export function setupOutputSettings(settings, onChange) {
+    const { outputFormat, outputQuality, outputQualityValue, keepMetadata, metadataAllow, metadataDeny, exportQa } = elements;
+    if (!outputFormat || !outputQuality) return;
+
+    const percent = Math.round(settings.quality * 100);
+    outputFormat.value = settings.format;
+    outputQuality.value = percent;
+    if (outputQualityValue) outputQualityValue.textContent = percent;
+
+    // PNG 为无损格式，质量设置无效
+    const updateQualityState = () => {
+        outputQuality.disabled = outputFormat.value === OUTPUT_FORMAT.PNG;
+    };
+    updateQualityState();
+
+    // 元数据保留策略：不保留时字段列表无效
+    if (keepMetadata) keepMetadata.checked = settings.metadata.keep;
+    if (metadataAllow) metadataAllow.value = settings.metadata.allow.join(', ');
+    if (metadataDeny) metadataDeny.value = settings.metadata.deny.join(', ');
+    const updateMetadataState = () => {
+        const disabled = keepMetadata ? !keepMetadata.checked : false;
+        if (metadataAllow) metadataAllow.disabled = disabled;
+        if (metadataDeny) metadataDeny.disabled = disabled;
+    };
+    updateMetadataState();
+
+    if (exportQa) exportQa.checked = settings.qa;
+
+    const emit = () => onChange({
+        format: outputFormat.value,
+        quality: Number(outputQuality.value) / 100,
+        metadata: {
+            keep: keepMetadata ? keepMetadata.checked : settings.metadata.keep,
+            allow: metadataAllow ? parseFieldList(metadataAllow.value) : settings.metadata.allow,
+            deny: metadataDeny ? parseFieldList(metadataDeny.value) : settings.metadata.deny
+        },
+        qa: exportQa ? exportQa.checked : settings.qa
+    });
+
+    outputFormat.addEventListener('change', () => {
+        updateQualityState();
+        emit();
+    });
+    outputQuality.addEventListener('input', () => {
+        if (outputQualityValue) outputQualityValue.textContent = outputQuality.value;
+    });
+    outputQuality.addEventListener('change', emit);
+
+    if (keepMetadata) {
+        keepMetadata.addEventListener('change', () => {
+            updateMetadataState();
+            emit();
+        });
+    }
+    [metadataAllow, metadataDeny, exportQa].forEach(input => {
+        if (input) input.addEventListener('change', emit);
+    });
+}
+
+/**
+ * 设置下载文件名模板输入框
+ * @param {string} template - 当前模板
+ * @param {Function} onChange - 模板修改后的回调，参数为新模板
+ */
+export function setupFilenameTemplate(template, onChange) {
+    const input = elements.filenameTemplate;
+    if (!input) return;
+
+    input.value = template;
+    input.addEventListener('change', () => onChange(input.value));
+}
+
+/**
+ * 格式化文件大小
+ * @param {number} bytes - 字节数
+ * @returns {string} 显示文本，例如 "412 KB"、"5.8 MB"
+ */
+export function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * 显示输出文件的格式和大小
+ * @param {number|null} id - 图片 ID，单图模式传 null
+ * @param {Blob|null} blob - 按当前输出设置编码的图片，传 null 表示正在重新编码
+ */
+export function updateOutputInfo(id, blob) {
+    const el = id === null ? elements.outputInfo : document.getElementById(`output-${id}`);
+    if (!el) return;
+
+    el.textContent = blob
+        ? `${i18n.t('output.size')}: ${getExtension(blob.type).toUpperCase()} · ${formatFileSize(blob.size)}`
+        : `${i18n.t('output.size')}: …`;
+}
+
 /**
  * 重置 UI 到初始状态
  */
@@ -162,6 +349,7 @@ export function resetUI() {
     if (multiPreview) multiPreview.style.display = 'none';
     if (fileInput) fileInput.value = '';
     if (progressBar) progressBar.style.width = '0%';
+    if (elements.outputInfo) elements.outputInfo.textContent = '';
 }
 
 /**
@@ -227,6 +415,21 @@ export function updateProgress(processed, total) {
     }
 }
 
+/**
+ * 更新批量处理汇总（成功 / 无水印 / 失败 分开显示）
+ * @param {{completed: number, skipped: number, failed: number, review: number}} summary - 批量处理汇总
+ */
+export function updateSummary(summary) {
+    const { progressSummary } = elements;
+    if (!progressSummary) return;
+
+    const parts = [`${i18n.t('status.success')} ${summary.completed}`];
+    if (summary.review > 0) parts.push(`${i18n.t('info.review')} ${summary.review}`);
+    if (summary.skipped > 0) parts.push(`${i18n.t('status.no_watermark')} ${summary.skipped}`);
+    if (summary.failed > 0) parts.push(`${i18n.t('status.failed')} ${summary.failed}`);
+    progressSummary.textContent = `(${parts.join(' / ')})`;
+}
+
 /**
  * 更新图片卡片的状态
  * @param {number} id - 图片 ID
@@ -283,6 +486,7 @@ export function createImageCard(item, onDownload) {
                         <span class="inline-block w-2 h-2 bg-pixel-accent animate-pulse"></span>
                         ${i18n.t('status.pending')}
                     </div>
+                    <div class="text-[8px] md:text-[9px] text-pixel-text-dim mt-1" id="output-${item.id}"></div>
                 </div>
             </div>
             <div class="w-full md:w-auto ml-auto flex-shrink-0 p-2 md:p-3 flex items-center justify-center bg-[#f0f0f0]">
@@ -324,6 +528,39 @@ export function showDownloadAllBtn() {
     }
 }
 
+/**
+ * 显示 ZIP 打包进度（打包期间禁用全部下载按钮并显示取消按钮）
+ * @param {number} percent - 已完成的百分比 (0-100)
+ */
+export function updateZipProgress(percent) {
+    const { downloadAllBtn, cancelZipBtn, zipProgress } = elements;
+    if (downloadAllBtn) {
+        downloadAllBtn.disabled = true;
+        downloadAllBtn.classList.add('pixel-btn-disabled');
+    }
+    if (cancelZipBtn) cancelZipBtn.style.display = 'block';
+    if (zipProgress) {
+        zipProgress.style.display = 'inline';
+        zipProgress.textContent = `${i18n.t('zip.progress')} ${Math.floor(percent)}%`;
+    }
+}
+
+/**
+ * 结束 ZIP 打包（完成或取消后恢复按钮）
+ */
+export function hideZipProgress() {
+    const { downloadAllBtn, cancelZipBtn, zipProgress } = elements;
+    if (downloadAllBtn) {
+        downloadAllBtn.disabled = false;
+        downloadAllBtn.classList.remove('pixel-btn-disabled');
+    }
+    if (cancelZipBtn) cancelZipBtn.style.display = 'none';
+    if (zipProgress) {
+        zipProgress.style.display = 'none';
+        zipProgress.textContent = '';
+    }
+}
+
 /**
  * 更新单图预览的原始图片信息
  * @param {HTMLImageElement} img - 原始图片
@@ -342,19 +579,98 @@ export function updateOriginalPreview(img, watermarkInfo) {
                 ${i18n.t('info.size')}: ${img.width}×${img.height}
             </span>
             <span class="mx-1 md:mx-2">|</span>
-            <span>${i18n.t('info.watermark')}: ${sizeDisplay}</span>
+            <span>${i18n.t('info.watermark')}: ${sizeDisplay}${formatScale(watermarkInfo.scale)}</span>
+            <span class="mx-1 md:mx-2">|</span>
+            <span>${i18n.t('info.detected')}: ${formatDetection(watermarkInfo)}</span>
         `;
     }
 }
 
+/**
+ * 格式化检测到的水印类型和置信度
+ * @param {Object} watermarkInfo - 水印信息 {type, confidence, status}
+ * @returns {string} 显示文本，例如 "GEMINI (92%)"
+ */
+export function formatDetection(watermarkInfo) {
+    if (watermarkInfo.status === 'no_watermark' || watermarkInfo.type === 'unknown') {
+        return i18n.t('info.no_watermark');
+    }
+    const typeName = watermarkInfo.type.toUpperCase();
+    if (typeof watermarkInfo.confidence !== 'number') {
+        return typeName;
+    }
+    const percent = Math.round(Math.max(0, watermarkInfo.confidence) * 100);
+    return `${typeName} (${i18n.t('info.confidence')} ${percent}%)`;
+}
+
+/**
+ * 格式化对齐搜索得到的偏移量
+ * @param {Object|null} offset - 相对预测位置的偏移 {x, y}
+ * @returns {string} 显示文本，无偏移时为空字符串
+ */
+function formatOffset(offset) {
+    if (!offset || (offset.x === 0 && offset.y === 0)) return '';
+    const sign = (v) => (v > 0 ? `+${v}` : `${v}`);
+    return ` Δ${sign(offset.x)},${sign(offset.y)}`;
+}
+
+/**
+ * 格式化多尺度匹配得到的水印缩放比例
+ * @param {number|undefined} scale - 相对尺寸规则的缩放比例
+ * @returns {string} 显示文本，比例为 1 时为空字符串
+ */
+function formatScale(scale) {
+    if (!scale || scale === 1) return '';
+    return ` ×${scale.toFixed(2)}`;
+}
+
+/**
+ * 格式化残留水印质量评分，低分（需人工复查）时高亮显示
+ * @param {Object} watermarkInfo - 水印信息 {qualityScore, needsReview}
+ * @returns {string} 质量评分 HTML，无评分时为空字符串
+ */
+export function formatQuality(watermarkInfo) {
+    if (watermarkInfo.qualityScore === null || watermarkInfo.qualityScore === undefined) return '';
+    const colorClass = watermarkInfo.needsReview ? 'text-pixel-accent' : 'text-pixel-primary';
+    const reviewTag = watermarkInfo.needsReview ? ` ⚠ ${i18n.t('info.review')}` : '';
+    return `<span class="${colorClass}">${i18n.t('info.quality')}: ${watermarkInfo.qualityScore}${reviewTag}</span>`;
+}
+
+/**
+ * 生成多图模式下图片卡片的水印信息 HTML
+ * @param {HTMLImageElement} img - 原始图片
+ * @param {Object} watermarkInfo - 水印信息 {type, sizeDisplay, position, confidence, qualityScore}
+ * @returns {string} 状态 HTML
+ */
+export function formatWatermarkInfo(img, watermarkInfo) {
+    // 多处水印逐个列出位置（未找到的附加位置不显示）
+    const placements = (watermarkInfo.placements || [])
+        .filter(placement => placement.position && placement.status !== 'no_watermark');
+    const position = placements.length > 0
+        ? placements.map(placement =>
+            `(${placement.position.x},${placement.position.y})${formatOffset(placement.offset)}`).join(' / ')
+        : '-';
+    const quality = formatQuality(watermarkInfo);
+    return `
+        <p>${i18n.t('info.size')}: ${img.width}×${img.height}</p>
+        <p>${i18n.t('info.detected')}: ${formatDetection(watermarkInfo)}</p>
+        <p>${i18n.t('info.watermark')}: ${watermarkInfo.sizeDisplay}${formatScale(watermarkInfo.scale)}</p>
+        <p>${i18n.t('info.position')}: ${position}</p>
+        ${quality ? `<p>${quality}</p>` : ''}
+    `;
+}
+
 /**
  * 更新单图预览的处理后图片
  * @param {string} url - 处理后图片的 URL
  * @param {number} width - 图片宽度
  * @param {number} height - 图片高度
  * @param {Function} onDownload - 下载回调函数
+ * @param {Object|null} watermarkInfo - 水印信息 {status, qualityScore, needsReview}
  */
-export function updateProcessedPreview(url, width, height, onDownload) {
+export function updateProcessedPreview(url, width, height, onDownload, watermarkInfo = null) {
+    const removed = !watermarkInfo || watermarkInfo.status !== 'no_watermark';
+    const quality = watermarkInfo ? formatQuality(watermarkInfo) : '';
     const { processedSection, processedImage, processedInfo, downloadBtn } = elements;
 
     if (processedImage) processedImage.src = url;
@@ -388,8 +704,9 @@ export function updateProcessedPreview(url, width, height, onDownload) {
                     <rect x="3" y="5" width="2" height="2"/>
                     <rect x="5" y="2" width="2" height="2"/>
                 </svg>
-                ${i18n.t('info.removed')}
+                ${removed ? i18n.t('info.removed') : i18n.t('status.no_watermark')}
             </span>
+            ${quality ? `<span class="mx-1 md:mx-2">|</span>${quality}` : ''}
         `;
     }
 }
@@ -422,6 +739,27 @@ export function showDownloadBtn(id, onClick) {
     }
 }
 
+/**
+ * 将图片卡片标记为未检测到水印（原图未改动）
+ * @param {number} id - 图片 ID
+ */
+export function markSkipped(id) {
+    const statusEl = document.getElementById(`status-${id}`);
+    if (statusEl) {
+        statusEl.innerHTML += `
+            <p class="mt-1 text-[8px] md:text-[9px] text-pixel-text-dim flex items-center gap-1">
+                <svg class="w-2 h-2 flex-shrink-0" viewBox="0 0 8 8" fill="currentColor">
+                    <rect x="1" y="3" width="6" height="2"/>
+                </svg>
+                ${i18n.t('status.no_watermark')}
+            </p>
+        `;
+    }
+
+    const card = document.getElementById(`card-${id}`);
+    if (card) card.classList.add('opacity-75');
+}
+
 /**
  * 为图片状态添加警告信息
  * @param {number} id - 图片 ID
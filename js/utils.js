@@ -6,14 +6,7 @@
 // Import exifr from CDN (will be imported in HTML via importmap)
 import exifr from 'exifr';
 import i18n from './i18n.js';
-
-// Watermark type constants (should match watermarkEngine.js)
-const WATERMARK_TYPE = {
-    GEMINI: 'gemini',
-    DOUBAO: 'doubao',
-    QWEN: 'qwen',
-    UNKNOWN: 'unknown'
-};
+import { getProvider } from './core/providerRegistry.js';
 
 /**
  * Load image from file
@@ -34,47 +27,45 @@ export function loadImage(file) {
     });
 }
 
+/**
+ * Check whether EXIF/XMP data matches a provider's source rule
+ * Providers without a source rule have no reliable marker to check, so any
+ * image is accepted for them; unknown types are never a valid source.
+ * @param {Object|null} provider - Registered provider
+ * @param {Object|undefined} exifData - Parsed EXIF/XMP data
+ * @returns {boolean} True if the image comes from the provider
+ */
+function matchesSourceRule(provider, exifData) {
+    if (!provider) return false;
+
+    const fields = provider.source && provider.source.exif;
+    if (!fields) return true;
+
+    return Object.entries(fields).every(([key, value]) => exifData?.[key] === value);
+}
+
 /**
  * Check if image is from the expected AI source based on watermark type
+ * The EXIF fields to check come from the provider manifest (source.exif)
  * @param {File} file - Image file
- * @param {string} watermarkType - The expected watermark type ('gemini', 'doubao', etc.)
+ * @param {string} watermarkType - The expected or detected watermark type ('gemini', 'doubao', etc.)
  * @returns {Promise<{is_valid_source: boolean, is_original: boolean, watermarkType: string}>} Check result
  */
-export async function checkOriginal(file, watermarkType = WATERMARK_TYPE.GEMINI) {
+export async function checkOriginal(file, watermarkType = 'gemini') {
+    const provider = getProvider(watermarkType);
+
     try {
         const exifData = await exifr.parse(file, { xmp: true });
-        
-        let is_valid_source = false;
-        
-        switch (watermarkType) {
-            case WATERMARK_TYPE.GEMINI:
-                // Gemini images have Credit = 'Made with Google AI'
-                is_valid_source = exifData?.Credit === 'Made with Google AI';
-                break;
-            case WATERMARK_TYPE.DOUBAO:
-                // Doubao images: we don't have a reliable EXIF marker to check
-                // So we assume the image is valid if it has standard image dimensions
-                // This allows Doubao processing without false warnings
-                is_valid_source = true;
-                break;
-            case WATERMARK_TYPE.QWEN:
-                // Qwen (千问) images: no reliable EXIF marker to check
-                // Assume valid for all Qwen processing
-                is_valid_source = true;
-                break;
-            default:
-                is_valid_source = false;
-        }
-        
+
         return {
-            is_valid_source,
+            is_valid_source: matchesSourceRule(provider, exifData),
             is_original: ['ImageWidth', 'ImageHeight'].every(key => exifData?.[key]),
             watermarkType
         };
     } catch {
-        // For Doubao and Qwen, we still consider it valid even if EXIF parsing fails
+        // Providers without an EXIF marker are still considered valid if parsing fails
         return {
-            is_valid_source: watermarkType === WATERMARK_TYPE.DOUBAO || watermarkType === WATERMARK_TYPE.QWEN,
+            is_valid_source: Boolean(provider && !(provider.source && provider.source.exif)),
             is_original: false,
             watermarkType
         };
@@ -0,0 +1,91 @@
+/**
+ * Watermark Worker Module
+ * Runs decode → alpha map → reverse blending → encode off the main thread
+ * Loaded as a module worker by the worker pool
+ */
+
+import { CanvasWatermarkEngine, decodeImageFile, encodeResult, transcodeImage } from './canvasEngine.js';
+
+let engine = null;
+
+/**
+ * Decode an encoded image and remove its watermark
+ * The result is always encoded as a lossless PNG with all of the source's
+ * metadata, kept for previews and for re-encoding; the output is encoded
+ * from the same canvas with the metadata its policy allows.
+ * @param {Object} message - Process message {buffer, mimeType, watermarkType, options, output}
+ * @param {{mimeType: string, quality: number, metadataPolicy: Object}} message.output - Optional: output encoding (default: PNG)
+ * @returns {Promise<{buffer: ArrayBuffer, mimeType: string, output: {buffer: ArrayBuffer, mimeType: string}|null,
+ *          width: number, height: number, info: Object}>} Encoded PNG and output (both carrying the
+ *          source's ICC profile; output is null when it is the PNG) and watermark information
+ */
+async function processEncoded({ buffer, mimeType, watermarkType, options, output }) {
+    const { bitmap, colorSpace, iccProfile, metadata } = await decodeImageFile(new Blob([buffer], { type: mimeType }));
+    const { canvas, info } = await engine.removeWatermarkFromImage(bitmap, watermarkType, { ...options, mimeType, colorSpace });
+    bitmap.close();
+
+    const result = await encodeResult(canvas, output || { mimeType: 'image/png' }, { iccProfile, metadata });
+    const encoded = result.output === result.blob
+        ? null
+        : { buffer: await result.output.arrayBuffer(), mimeType: result.output.type };
+
+    return {
+        buffer: await result.blob.arrayBuffer(),
+        mimeType: result.blob.type,
+        output: encoded,
+        width: canvas.width,
+        height: canvas.height,
+        info
+    };
+}
+
+/**
+ * Re-encode an image in another format or under another metadata policy
+ * @param {Object} message - Encode message {buffer, mimeType, output: {mimeType, quality, metadataPolicy}}
+ * @returns {Promise<{buffer: ArrayBuffer, mimeType: string}>} Encoded image
+ */
+async function encodeImage({ buffer, mimeType, output }) {
+    const blob = await transcodeImage(new Blob([buffer], { type: mimeType }), output.mimeType, output.quality, output.metadataPolicy);
+    return { buffer: await blob.arrayBuffer(), mimeType: blob.type };
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    try {
+        switch (message.type) {
+            case 'init':
+                engine = await CanvasWatermarkEngine.create({ baseUrl: message.baseUrl });
+                self.postMessage({ type: 'ready' });
+                break;
+
+            case 'process': {
+                const result = await processEncoded(message);
+                // Hand the encoded output back without copying it
+                const transfer = result.output ? [result.buffer, result.output.buffer] : [result.buffer];
+                self.postMessage({ type: 'result', id: message.id, ...result }, transfer);
+                break;
+            }
+
+            case 'encode': {
+                const result = await encodeImage(message);
+                self.postMessage({ type: 'result', id: message.id, ...result }, [result.buffer]);
+                break;
+            }
+
+            case 'loadProvider':
+                await engine.loadProvider(message.providerId);
+                self.postMessage({ type: 'result', id: message.id });
+                break;
+
+            case 'clearCache':
+                if (engine) engine.clearCache();
+                break;
+
+            default:
+                throw new Error(`Unknown worker message: ${message.type}`);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message || String(error) });
+    }
+};
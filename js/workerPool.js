@@ -0,0 +1,221 @@
+/**
+ * Worker Pool Module
+ * Distributes watermark removal over a fixed number of Web Workers
+ */
+
+const WORKER_URL = new URL('./watermarkWorker.js', import.meta.url);
+
+/**
+ * Check whether watermark removal can run in a Web Worker
+ * Needs module workers, OffscreenCanvas with a 2D context and createImageBitmap.
+ * @returns {boolean} True if supported
+ */
+export function isWorkerSupported() {
+    if (typeof Worker === 'undefined' ||
+        typeof OffscreenCanvas === 'undefined' ||
+        typeof createImageBitmap !== 'function') {
+        return false;
+    }
+
+    try {
+        return Boolean(new OffscreenCanvas(1, 1).getContext('2d'));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get the default pool size: leave one core for the UI, at most 4 workers
+ * @returns {number} Pool size
+ */
+export function getDefaultPoolSize() {
+    const cores = navigator.hardwareConcurrency || 2;
+    return Math.max(1, Math.min(cores - 1, 4));
+}
+
+/**
+ * Worker pool class
+ * Each worker holds its own engine; tasks are queued until a worker is idle
+ */
+export class WorkerPool {
+    constructor(workers) {
+        this.workers = workers;
+        this.idle = [...workers];
+        this.queue = [];
+        this.tasks = new Map();
+        this.nextId = 1;
+
+        workers.forEach(worker => {
+            worker.onmessage = (event) => this.handleMessage(worker, event.data);
+            worker.onerror = (event) => this.handleCrash(worker, event);
+        });
+    }
+
+    /**
+     * Start the workers and wait until every engine has loaded the provider manifests
+     * @param {number} size - Number of workers
+     * @param {string} baseUrl - URL the template asset paths are resolved against
+     * @returns {Promise<WorkerPool>} Ready pool
+     */
+    static async create(size = getDefaultPoolSize(), baseUrl = document.baseURI) {
+        const workers = Array.from({ length: size }, () => new Worker(WORKER_URL, { type: 'module' }));
+
+        try {
+            await Promise.all(workers.map(worker => new Promise((resolve, reject) => {
+                worker.onmessage = (event) => {
+                    if (event.data.type === 'ready') resolve();
+                    else reject(new Error(event.data.message));
+                };
+                worker.onerror = reject;
+                worker.postMessage({ type: 'init', baseUrl });
+            })));
+        } catch (error) {
+            workers.forEach(worker => worker.terminate());
+            throw error;
+        }
+
+        return new WorkerPool(workers);
+    }
+
+    /**
+     * Remove the watermark from an encoded image file
+     * @param {Blob} file - Image file (PNG, JPEG or WebP)
+     * @param {string} watermarkType - Watermark type to process
+     * @param {Object} options - Processing options passed to the engine
+     * @param {{mimeType: string, quality: number, metadataPolicy: Object}} output - Optional: output encoding (default: PNG)
+     * @returns {Promise<{blob: Blob, output: Blob, width: number, height: number, info: Object}>} Processed PNG,
+     *          the same result in the output format (the PNG itself when they match) and watermark information
+     */
+    async process(file, watermarkType, options = {}, output = null) {
+        const buffer = await file.arrayBuffer();
+        const result = await this.run({
+            type: 'process',
+            buffer,
+            mimeType: file.type,
+            watermarkType,
+            options,
+            output
+        }, [buffer]);
+
+        const blob = new Blob([result.buffer], { type: result.mimeType });
+        return {
+            blob,
+            output: result.output ? new Blob([result.output.buffer], { type: result.output.mimeType }) : blob,
+            width: result.width,
+            height: result.height,
+            info: result.info
+        };
+    }
+
+    /**
+     * Re-encode an image in another format or under another metadata policy, keeping its colours and ICC profile
+     * @param {Blob} blob - Encoded image
+     * @param {{mimeType: string, quality: number, metadataPolicy: Object}} output - Output encoding
+     * @returns {Promise<Blob>} Encoded image
+     */
+    async encode(blob, output) {
+        const buffer = await blob.arrayBuffer();
+        const result = await this.run({ type: 'encode', buffer, mimeType: blob.type, output }, [buffer]);
+        return new Blob([result.buffer], { type: result.mimeType });
+    }
+
+    /**
+     * Load the templates of a provider in every worker
+     * Workers also load templates on first use; loading them up front lets
+     * template errors be reported before any image is processed.
+     * @param {string} providerId - Provider id (watermark type)
+     * @returns {Promise<void>} Rejects with the first worker's template error
+     */
+    async loadProvider(providerId) {
+        await Promise.all(this.workers.map(worker => this.run({ type: 'loadProvider', providerId }, [], worker)));
+    }
+
+    /**
+     * Queue a task and dispatch it as soon as a worker is idle
+     * @param {Object} message - Message to post
+     * @param {Transferable[]} transfer - Buffers to transfer
+     * @param {Worker} target - Optional: worker that must run the task (default: the first idle one)
+     * @returns {Promise<Object>} Worker result
+     */
+    run(message, transfer = [], target = null) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextId++, message, transfer, target, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Hand queued tasks to idle workers
+     */
+    dispatch() {
+        for (let i = 0; i < this.queue.length && this.idle.length > 0;) {
+            const task = this.queue[i];
+            const worker = task.target || this.idle[0];
+            if (!this.idle.includes(worker)) {
+                i++;
+                continue;
+            }
+
+            this.queue.splice(i, 1);
+            this.idle.splice(this.idle.indexOf(worker), 1);
+            task.worker = worker;
+            this.tasks.set(task.id, task);
+            worker.postMessage({ ...task.message, id: task.id }, task.transfer);
+        }
+    }
+
+    /**
+     * Settle the task a worker has finished and give the worker new work
+     * @param {Worker} worker - Worker that posted the message
+     * @param {Object} data - Message data
+     */
+    handleMessage(worker, data) {
+        const task = this.tasks.get(data.id);
+        if (!task) return;
+
+        this.tasks.delete(data.id);
+        if (data.type === 'error') {
+            task.reject(new Error(data.message));
+        } else {
+            task.resolve(data);
+        }
+
+        this.idle.push(worker);
+        this.dispatch();
+    }
+
+    /**
+     * Fail the running task of a worker that threw outside a message handler
+     * @param {Worker} worker - Failed worker
+     * @param {ErrorEvent} event - Error event
+     */
+    handleCrash(worker, event) {
+        for (const [id, task] of this.tasks) {
+            if (task.worker !== worker) continue;
+            this.tasks.delete(id);
+            task.reject(new Error(event.message || 'Worker error'));
+        }
+
+        if (!this.idle.includes(worker)) this.idle.push(worker);
+        this.dispatch();
+    }
+
+    /**
+     * Drop the alpha map caches of every worker engine
+     */
+    clearCache() {
+        this.workers.forEach(worker => worker.postMessage({ type: 'clearCache' }));
+    }
+
+    /**
+     * Stop all workers and reject tasks that have not finished
+     */
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        [...this.tasks.values(), ...this.queue].forEach(task => task.reject(new Error('Worker pool terminated')));
+        this.tasks.clear();
+        this.queue = [];
+        this.idle = [];
+        this.workers = [];
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Alpha estimator: recovering alpha and logo colour from several watermarked samples
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateAlphaMap, createTemplateImageData, createLogoColorImageData } from '../js/core/alphaEstimator.js';
+
+// Watermark size and where it sits in each sample
+const SIZE = { width: 12, height: 8 };
+const POSITION = { x: 6, y: 5, ...SIZE };
+
+// A tinted logo
+const LOGO = [230, 200, 120];
+
+/**
+ * Alpha of the synthetic logo: a soft disc with an opaque-ish centre and transparent corners
+ * @param {number} row - Row in the watermark
+ * @param {number} col - Column in the watermark
+ * @returns {number} Alpha (0.0-0.8)
+ */
+function logoAlpha(row, col) {
+    const distance = Math.hypot((col - 5.5) / 6, (row - 3.5) / 4);
+    return Math.max(0, 0.8 * (1 - distance));
+}
+
+/**
+ * Create a sample: the logo blended over a flat background colour
+ * A flat background is estimated exactly from the surrounding pixels, so the
+ * only error left is the rounding to 8 bits.
+ * @param {number} seed - Selects the background colour
+ * @returns {{imageData: Object, position: Object}} Sample
+ */
+function createSample(seed) {
+    const width = 24, height = 20;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                let value = 20 + ((seed * 53 + c * 71) % 200);
+                const row = y - POSITION.y, col = x - POSITION.x;
+                if (row >= 0 && row < SIZE.height && col >= 0 && col < SIZE.width) {
+                    const alpha = logoAlpha(row, col);
+                    value = alpha * LOGO[c] + (1 - alpha) * value;
+                }
+                data[idx + c] = Math.round(value);
+            }
+            data[idx + 3] = 255;
+        }
+    }
+    return { imageData: { width, height, data }, position: POSITION };
+}
+
+test('alpha and logo colour are recovered from samples over different backgrounds', () => {
+    const estimate = estimateAlphaMap([0, 1, 2, 3, 4, 5].map(createSample));
+    assert.equal(estimate.width, SIZE.width);
+    assert.equal(estimate.height, SIZE.height);
+
+    let alphaError = 0;
+    for (let row = 0; row < SIZE.height; row++) {
+        for (let col = 0; col < SIZE.width; col++) {
+            const i = row * SIZE.width + col;
+            const alpha = logoAlpha(row, col);
+            alphaError = Math.max(alphaError, Math.abs(estimate.alphaMap[i] - alpha));
+            if (alpha > 0.3) {
+                for (let c = 0; c < 3; c++) {
+                    assert.ok(Math.abs(estimate.logoColor[i * 3 + c] - LOGO[c]) < 6,
+                        `logo colour ${estimate.logoColor[i * 3 + c]} at ${col},${row}`);
+                }
+            }
+        }
+    }
+    assert.ok(alphaError < 0.02, `alpha error ${alphaError}`);
+    estimate.meanLogoColor.forEach((value, c) => assert.ok(Math.abs(value - LOGO[c]) <= 3, `mean ${value}`));
+});
+
+test('identical backgrounds give no estimate', () => {
+    const sample = createSample(0);
+    const estimate = estimateAlphaMap([sample, sample, sample]);
+    assert.ok(estimate.alphaMap.every(alpha => alpha === 0));
+    assert.deepEqual(estimate.meanLogoColor, [255, 255, 255]);
+});
+
+test('fewer than two samples or mixed sizes are rejected', () => {
+    assert.throws(() => estimateAlphaMap([createSample(0)]), /At least two/);
+    assert.throws(() => estimateAlphaMap(null), /At least two/);
+    assert.throws(() => estimateAlphaMap([createSample(0), { ...createSample(1), position: { ...POSITION, width: 10 } }]),
+        /same watermark size/);
+});
+
+test('an estimate converts to a grey alpha capture and a logo colour image', () => {
+    const estimate = {
+        width: 2, height: 1,
+        alphaMap: Float32Array.of(0, 0.5),
+        logoColor: Float32Array.of(255, 255, 255, 230.4, 199.6, 120)
+    };
+
+    assert.deepEqual([...createTemplateImageData(estimate).data], [0, 0, 0, 255, 128, 128, 128, 255]);
+    assert.deepEqual([...createLogoColorImageData(estimate).data], [255, 255, 255, 255, 230, 200, 120, 255]);
+});
@@ -0,0 +1,87 @@
+/**
+ * Batch manifest: per-image entries of the ZIP manifest and their CSV form
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeImages, toCsv } from '../js/batchManifest.js';
+import { WATERMARK_TYPE, WATERMARK_STATUS } from '../js/core/watermarkEngine.js';
+
+/**
+ * Build an image item as the batch queue holds it
+ * @param {string} name - Uploaded file name
+ * @param {string} status - Item status ('completed', 'skipped' or 'error')
+ * @param {Object|null} info - Watermark information, or null when processing failed
+ * @returns {Object} Image item
+ */
+function createItem(name, status, info = null) {
+    return { name, status, info };
+}
+
+// A removed Doubao watermark with one of its two placements also removed
+const REMOVED = createItem('a.jpg', 'completed', {
+    type: 'doubao',
+    status: WATERMARK_STATUS.REMOVED,
+    position: { x: 1800, y: 980, width: 282, height: 123 },
+    placements: [
+        { id: 'logo', status: WATERMARK_STATUS.REMOVED, position: { x: 10, y: 20, width: 30, height: 40 } },
+        { id: 'badge', status: WATERMARK_STATUS.NO_WATERMARK, position: { x: 0, y: 0, width: 5, height: 5 } }
+    ],
+    qualityScore: 64,
+    needsReview: true
+});
+
+// Auto mode that found nothing
+const CLEAN = createItem('b.png', 'skipped', {
+    type: WATERMARK_TYPE.AUTO,
+    status: WATERMARK_STATUS.NO_WATERMARK,
+    position: { x: 0, y: 0, width: 0, height: 0 },
+    placements: [],
+    qualityScore: null
+});
+
+const FAILED = createItem('c, "final".webp', 'error');
+
+test('each input is described with its output, provider, rectangles and QA folder', () => {
+    const filenames = new Map([[REMOVED, 'unwatermarked_a.jpg']]);
+    const qaFolders = new Map([[REMOVED, 'qa/unwatermarked_a.jpg']]);
+
+    assert.deepEqual(describeImages([REMOVED, CLEAN, FAILED], filenames, qaFolders), [
+        {
+            input: 'a.jpg', output: 'unwatermarked_a.jpg', provider: 'doubao',
+            rect: { x: 1800, y: 980, width: 282, height: 123 },
+            placements: [{ id: 'logo', x: 10, y: 20, width: 30, height: 40 }],
+            qualityScore: 64, needsReview: true, status: 'completed', qa: 'qa/unwatermarked_a.jpg'
+        },
+        {
+            input: 'b.png', output: null, provider: null, rect: null, placements: [],
+            qualityScore: null, needsReview: false, status: 'skipped', qa: null
+        },
+        {
+            input: 'c, "final".webp', output: null, provider: null, rect: null, placements: [],
+            qualityScore: null, needsReview: false, status: 'error', qa: null
+        }
+    ]);
+});
+
+test('a fixed provider that found nothing is named but has no rectangle', () => {
+    const item = createItem('d.png', 'skipped', { ...CLEAN.info, type: 'gemini' });
+    const [entry] = describeImages([item], new Map(), new Map());
+    assert.equal(entry.provider, 'gemini');
+    assert.equal(entry.rect, null);
+});
+
+test('the CSV starts with a byte order mark, uses CRLF and quotes fields that need it', () => {
+    const images = describeImages([REMOVED, FAILED], new Map([[REMOVED, 'ü.jpg']]), new Map());
+    const csv = toCsv(images);
+
+    assert.ok(csv.startsWith('\ufeffinput,output,'));
+    assert.ok(csv.endsWith('\r\n'));
+    assert.deepEqual(csv.slice(1).split('\r\n'), [
+        'input,output,provider,x,y,width,height,quality_score,needs_review,status',
+        'a.jpg,ü.jpg,doubao,1800,980,282,123,64,true,completed',
+        '"c, ""final"".webp",,,,,,,,false,error',
+        ''
+    ]);
+    assert.equal(toCsv([]), '\ufeffinput,output,provider,x,y,width,height,quality_score,needs_review,status\r\n');
+});
@@ -0,0 +1,67 @@
+/**
+ * lsj-remove: outputs and summary for watermarked and clean inputs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { mkdtemp, readFile, readdir, rm, writeFile, copyFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { encodeImage } from '../cli/nodeEngine.js';
+
+const CLI = fileURLToPath(new URL('../cli/lsj-remove.js', import.meta.url));
+const SAMPLE = fileURLToPath(new URL('../assets/qwen1328x1328.png', import.meta.url));
+
+/**
+ * Create an input directory with one watermarked sample and one clean JPEG
+ * @param {Object} t - Test context, used to remove the directory afterwards
+ * @returns {Promise<{root: string, clean: Buffer}>} Temporary directory and the clean file's bytes
+ */
+async function createInputs(t) {
+    const root = await mkdtemp(join(tmpdir(), 'lsj-remove-'));
+    t.after(() => rm(root, { recursive: true, force: true }));
+
+    const width = 320, height = 240;
+    const data = Uint8ClampedArray.from({ length: width * height * 4 }, (_, i) => (i % 4 === 3 ? 255 : 60 + (i % 97)));
+    const clean = Buffer.from(encodeImage({ width, height, data }, 'image/jpeg', 90));
+
+    await writeFile(join(root, 'clean.jpg'), clean);
+    await copyFile(SAMPLE, join(root, 'sample.png'));
+    return { root, clean };
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<string>} Standard output
+ */
+async function run(args) {
+    const { stdout } = await promisify(execFile)(process.execPath, [CLI, ...args], { timeout: 120000 });
+    return stdout;
+}
+
+test('clean inputs are copied through unchanged and counted in the summary', async (t) => {
+    const { root, clean } = await createInputs(t);
+    const outputDir = join(root, 'out');
+
+    const stdout = await run([join(root, 'clean.jpg'), join(root, 'sample.png'), outputDir]);
+
+    assert.deepEqual((await readdir(outputDir)).sort(), ['clean.jpg', 'sample.png']);
+    assert.deepEqual(await readFile(join(outputDir, 'clean.jpg')), clean);
+    assert.match(stdout, /copied {4}.*clean\.jpg -> .*clean\.jpg {2}\(no watermark\)/);
+    assert.match(stdout, /1 removed, 1 without watermark \(copied unchanged\), 0 failed/);
+});
+
+test('--skip-clean leaves clean inputs out of the output directory', async (t) => {
+    const { root } = await createInputs(t);
+    const outputDir = join(root, 'out');
+
+    const stdout = await run(['--skip-clean', join(root, 'clean.jpg'), join(root, 'sample.png'), outputDir]);
+
+    assert.deepEqual(await readdir(outputDir), ['sample.png']);
+    assert.match(stdout, /skipped {3}.*clean\.jpg {2}\(no watermark\)/);
+    assert.match(stdout, /1 removed, 1 without watermark, 0 failed/);
+});
@@ -0,0 +1,161 @@
+/**
+ * Colour profile: embedding and reading back ICC profiles in PNG, JPEG and WebP,
+ * and recognising the colour space a profile describes
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeImage } from '../cli/nodeEngine.js';
+import { readWebpChunks, createWebpChunk, createWebpFile } from '../js/core/imageContainer.js';
+import { extractIccProfile, embedIccProfile, getProfileColorSpace } from '../js/core/colorProfile.js';
+
+// Small opaque test image
+const PIXELS = { width: 4, height: 3, data: new Uint8ClampedArray(4 * 3 * 4).fill(200) };
+
+// Red, green and blue colorants (D50 XYZ)
+const SRGB = [[0.4361, 0.2225, 0.0139], [0.3851, 0.7169, 0.0971], [0.1431, 0.0606, 0.7141]];
+const DISPLAY_P3 = [[0.5151, 0.2412, -0.0011], [0.2920, 0.6922, 0.0419], [0.1571, 0.0666, 0.7841]];
+const ADOBE_RGB = [[0.6097, 0.3111, 0.0195], [0.2053, 0.6257, 0.0609], [0.1492, 0.0632, 0.7446]];
+
+/**
+ * Build a minimal RGB ICC profile holding only the three colorant tags
+ * @param {number[][]} colorants - Red, green and blue XYZ values
+ * @param {number} padding - Extra bytes after the tags, to reach a given size (default: 1, an odd length)
+ * @returns {Uint8Array} Profile bytes
+ */
+function createProfile(colorants, padding = 1) {
+    const tagsStart = 132 + 3 * 12;
+    const icc = new Uint8Array(tagsStart + 3 * 20 + padding);
+    const view = new DataView(icc.buffer);
+    const writeTag = (offset, tag) => [...tag].forEach((char, i) => { icc[offset + i] = char.charCodeAt(0); });
+
+    view.setUint32(0, icc.length);
+    writeTag(16, 'RGB ');
+    writeTag(36, 'acsp');
+    view.setUint32(128, 3);
+    ['rXYZ', 'gXYZ', 'bXYZ'].forEach((tag, i) => {
+        const offset = tagsStart + i * 20;
+        writeTag(132 + i * 12, tag);
+        view.setUint32(136 + i * 12, offset);
+        view.setUint32(140 + i * 12, 20);
+        writeTag(offset, 'XYZ ');
+        colorants[i].forEach((value, c) => view.setInt32(offset + 8 + c * 4, Math.round(value * 65536)));
+    });
+    return icc;
+}
+
+/**
+ * Build a simple lossless WebP file: a VP8L chunk with a valid header and a dummy bitstream
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {boolean} alpha - Value of the alpha_is_used bit
+ * @returns {Uint8Array} WebP file
+ */
+function createLosslessWebp(width, height, alpha) {
+    const bits = (width - 1) | ((height - 1) << 14) | (alpha ? 1 << 28 : 0);
+    const data = Uint8Array.of(0x2f, bits & 0xff, (bits >>> 8) & 0xff, (bits >>> 16) & 0xff, bits >>> 24, 1, 2, 3);
+    return createWebpFile([createWebpChunk('VP8L', data)]);
+}
+
+/**
+ * Build a lossy VP8 chunk with a valid frame header and a dummy bitstream
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} VP8 chunk
+ */
+function createLossyFrame(width, height) {
+    return createWebpChunk('VP8 ', Uint8Array.of(0x10, 0x02, 0x00, 0x9d, 0x01, 0x2a,
+        width & 0xff, width >> 8, height & 0xff, height >> 8, 4, 5, 6));
+}
+
+/**
+ * Read the canvas size and flags of a VP8X chunk
+ * @param {Object} chunk - VP8X chunk from readWebpChunks
+ * @returns {{flags: number, width: number, height: number}} Header fields
+ */
+function readExtendedHeader(chunk) {
+    const read24 = (offset) => chunk.data[offset] | (chunk.data[offset + 1] << 8) | (chunk.data[offset + 2] << 16);
+    return { flags: chunk.data[0], width: read24(4) + 1, height: read24(7) + 1 };
+}
+
+/**
+ * Check that a WebP file's RIFF size matches its length and list its chunk types
+ * @param {Uint8Array} bytes - WebP file
+ * @returns {string[]} Chunk types in file order
+ */
+function listWebpChunks(bytes) {
+    assert.equal(new DataView(bytes.buffer, bytes.byteOffset).getUint32(4, true), bytes.length - 8);
+    const chunks = readWebpChunks(bytes);
+    assert.equal(chunks[chunks.length - 1].end, bytes.length);
+    return chunks.map(chunk => chunk.type);
+}
+
+test('a profile recognises sRGB and Display P3 primaries and nothing else', () => {
+    assert.equal(getProfileColorSpace(createProfile(SRGB)), 'srgb');
+    assert.equal(getProfileColorSpace(createProfile(DISPLAY_P3)), 'display-p3');
+    assert.equal(getProfileColorSpace(createProfile(ADOBE_RGB)), null);
+    assert.equal(getProfileColorSpace(createProfile(SRGB).subarray(0, 100)), null);
+    assert.equal(getProfileColorSpace(null), null);
+});
+
+test('a PNG profile replaces the encoder\'s colour chunks and reads back unchanged', async () => {
+    const icc = createProfile(DISPLAY_P3);
+    const png = await embedIccProfile(encodeImage(PIXELS, 'image/png'), { name: 'Display P3', data: icc });
+
+    assert.deepEqual(await extractIccProfile(png), { name: 'Display P3', data: icc });
+    // Embedding again keeps a single profile
+    const again = await embedIccProfile(png, { name: 'sRGB', data: createProfile(SRGB) });
+    assert.equal(getProfileColorSpace((await extractIccProfile(again)).data), 'srgb');
+    assert.equal(Buffer.from(again).toString('latin1').split('iCCP').length, 2);
+});
+
+test('a JPEG profile larger than one APP2 segment is split and joined again', async () => {
+    const icc = createProfile(SRGB, 150000);
+    const jpeg = await embedIccProfile(encodeImage(PIXELS, 'image/jpeg', 90), { name: 'sRGB', data: icc });
+
+    const profile = await extractIccProfile(jpeg);
+    assert.deepEqual(profile.data, icc);
+    assert.equal(Buffer.from(jpeg).toString('latin1').split('ICC_PROFILE\0').length - 1, 3);
+});
+
+test('a simple lossless WebP becomes extended, with the canvas size and alpha of its frame', async () => {
+    const icc = createProfile(DISPLAY_P3);
+    for (const alpha of [false, true]) {
+        const webp = await embedIccProfile(createLosslessWebp(1500, 1200, alpha), { name: 'Display P3', data: icc });
+
+        assert.deepEqual(listWebpChunks(webp), ['VP8X', 'ICCP', 'VP8L']);
+        assert.deepEqual(readExtendedHeader(readWebpChunks(webp)[0]),
+            { flags: alpha ? 0x30 : 0x20, width: 1500, height: 1200 });
+        assert.deepEqual((await extractIccProfile(webp)).data, icc);
+    }
+});
+
+test('a simple lossy WebP becomes extended with the size of its frame', async () => {
+    const webp = await embedIccProfile(createWebpFile([createLossyFrame(1328, 1328)]), { data: createProfile(SRGB) });
+
+    assert.deepEqual(listWebpChunks(webp), ['VP8X', 'ICCP', 'VP8 ']);
+    assert.deepEqual(readExtendedHeader(readWebpChunks(webp)[0]), { flags: 0x20, width: 1328, height: 1328 });
+});
+
+test('an extended WebP keeps its flags and chunks, and an old profile is replaced', async () => {
+    // Alpha and EXIF flags, 1024×768 canvas
+    const header = Uint8Array.of(0x18, 0, 0, 0, 0xff, 0x03, 0, 0xff, 0x02, 0);
+    const source = createWebpFile([
+        createWebpChunk('VP8X', header),
+        createWebpChunk('ICCP', createProfile(ADOBE_RGB)),
+        createWebpChunk('ALPH', Uint8Array.of(0, 7, 7)),
+        createLossyFrame(1024, 768),
+        createWebpChunk('EXIF', Uint8Array.of(1, 2, 3, 4))
+    ]);
+
+    const icc = createProfile(SRGB);
+    const webp = await embedIccProfile(source, { data: icc });
+    assert.deepEqual(listWebpChunks(webp), ['VP8X', 'ICCP', 'ALPH', 'VP8 ', 'EXIF']);
+    assert.deepEqual(readExtendedHeader(readWebpChunks(webp)[0]), { flags: 0x38, width: 1024, height: 768 });
+    assert.deepEqual((await extractIccProfile(webp)).data, icc);
+});
+
+test('a WebP without a readable frame header is returned unchanged', async () => {
+    const source = createWebpFile([createWebpChunk('VP8 ', Uint8Array.of(1, 2, 3))]);
+    assert.equal(await embedIccProfile(source, { data: createProfile(SRGB) }), source);
+});
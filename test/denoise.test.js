@@ -0,0 +1,151 @@
+/**
+ * Denoise: alpha-adaptive smoothing of the restored watermark area
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeImage, decodeImage, createNodeEngine } from '../cli/nodeEngine.js';
+import { denoiseWatermarkArea } from '../js/core/denoise.js';
+import { detectWatermarkConfig, calculateWatermarkPosition } from '../js/core/watermarkEngine.js';
+
+// Image size and the watermark area inside it
+const WIDTH = 40, HEIGHT = 24;
+const AREA = { x: 4, y: 4, width: 32, height: 16 };
+
+/**
+ * Create a flat grey image with reproducible noise of ±amplitude levels
+ * @param {number} amplitude - Largest deviation from the grey level
+ * @returns {Object} Image data
+ */
+function createNoisyImage(amplitude) {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    let seed = 7;
+    const random = () => ((seed = (seed * 1103515245 + 12345) >>> 0) / 2 ** 32);
+    for (let i = 0; i < data.length; i += 4) {
+        const value = 128 + Math.round(amplitude * (2 * random() - 1));
+        data.set([value, value, value, 255], i);
+    }
+    return { width: WIDTH, height: HEIGHT, data };
+}
+
+/**
+ * Create an alpha map: faint on the left half of the area, dense on the right half
+ * @param {number} faint - Alpha of the left half
+ * @param {number} dense - Alpha of the right half
+ * @returns {Float32Array} Alpha map
+ */
+function createAlphaMap(faint, dense) {
+    return Float32Array.from({ length: AREA.width * AREA.height },
+        (_, i) => ((i % AREA.width) < AREA.width / 2 ? faint : dense));
+}
+
+/**
+ * Standard deviation of the red channel over the left or right half of the area
+ * @param {Object} imageData - Image data
+ * @param {boolean} right - Measure the right half instead of the left
+ * @returns {number} Standard deviation
+ */
+function measureNoise(imageData, right) {
+    const values = [];
+    for (let row = AREA.y; row < AREA.y + AREA.height; row++) {
+        const start = AREA.x + (right ? AREA.width / 2 : 0);
+        for (let col = start; col < start + AREA.width / 2; col++) values.push(imageData.data[(row * WIDTH + col) * 4]);
+    }
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+}
+
+/**
+ * Mean absolute difference of all colour channels between two images over an area
+ * @param {Object} a - Image data
+ * @param {Object} b - Image data of the same size
+ * @param {Object} area - Area {x, y, width, height}
+ * @returns {number} Mean difference
+ */
+function measureError(a, b, area) {
+    let sum = 0;
+    for (let row = area.y; row < area.y + area.height; row++) {
+        for (let col = area.x; col < area.x + area.width; col++) {
+            const idx = (row * a.width + col) * 4;
+            for (let c = 0; c < 3; c++) sum += Math.abs(a.data[idx + c] - b.data[idx + c]);
+        }
+    }
+    return sum / (area.width * area.height * 3);
+}
+
+test('noise under a dense logo is smoothed, noise under a faint logo barely', () => {
+    const imageData = createNoisyImage(6);
+    const before = { faint: measureNoise(imageData, false), dense: measureNoise(imageData, true) };
+
+    const filtered = denoiseWatermarkArea(imageData, createAlphaMap(0.1, 0.8), AREA);
+    assert.equal(filtered, AREA.width * AREA.height);
+    assert.ok(measureNoise(imageData, true) < before.dense / 2, `${measureNoise(imageData, true)} vs ${before.dense}`);
+    assert.ok(measureNoise(imageData, false) > before.faint * 0.8, `${measureNoise(imageData, false)} vs ${before.faint}`);
+});
+
+test('a strong edge under a dense logo is kept', () => {
+    const imageData = createNoisyImage(0);
+    // Vertical step from 50 to 200 in the middle of the dense half
+    for (let i = 0; i < WIDTH * HEIGHT; i++) imageData.data.fill(i % WIDTH < 28 ? 50 : 200, i * 4, i * 4 + 3);
+    const before = imageData.data.slice();
+
+    denoiseWatermarkArea(imageData, createAlphaMap(0.8, 0.8), AREA);
+    assert.deepEqual(imageData.data, before);
+});
+
+test('only pixels inside the area and above the minimum alpha change', () => {
+    const imageData = createNoisyImage(6);
+    const before = imageData.data.slice();
+
+    const filtered = denoiseWatermarkArea(imageData, createAlphaMap(0.01, 0.8), AREA);
+    assert.equal(filtered, AREA.width * AREA.height / 2);
+    for (let row = 0; row < HEIGHT; row++) {
+        for (let col = 0; col < WIDTH; col++) {
+            // The dense right half of the area is the only part allowed to change
+            const inside = row >= AREA.y && row < AREA.y + AREA.height &&
+                col >= AREA.x + AREA.width / 2 && col < AREA.x + AREA.width;
+            if (inside) continue;
+            const idx = (row * WIDTH + col) * 4;
+            assert.deepEqual(imageData.data.subarray(idx, idx + 4), before.subarray(idx, idx + 4), `${col},${row}`);
+        }
+    }
+});
+
+test('JPEG inputs are denoised by default, PNG inputs only on request', async () => {
+    const engine = await createNodeEngine();
+    const config = detectWatermarkConfig(1328, 1328, 'qwen');
+    const position = calculateWatermarkPosition(1328, 1328, config);
+    const alphaMap = await engine.getAlphaMap(config);
+
+    // A smooth photo, watermarked and saved as JPEG
+    const clean = { width: 1328, height: 1328, data: new Uint8ClampedArray(1328 * 1328 * 4) };
+    for (let i = 0; i < clean.data.length; i += 4) {
+        const x = (i / 4) % 1328, y = Math.floor(i / 4 / 1328);
+        clean.data.set([100 + 40 * Math.sin(x / 29), 90 + 30 * Math.cos(y / 31), 110, 255], i);
+    }
+    const pixels = { ...clean, data: clean.data.slice() };
+    for (let row = 0; row < position.height; row++) {
+        for (let col = 0; col < position.width; col++) {
+            const alpha = alphaMap[row * position.width + col];
+            const idx = ((position.y + row) * 1328 + position.x + col) * 4;
+            for (let c = 0; c < 3; c++) pixels.data[idx + c] = Math.round(alpha * 255 + (1 - alpha) * pixels.data[idx + c]);
+        }
+    }
+    const jpeg = encodeImage(pixels, 'image/jpeg', 85);
+
+    const error = {};
+    for (const [name, options, denoised] of [
+        ['plain', { mimeType: 'image/jpeg', denoise: false }, false],
+        ['auto', { mimeType: 'image/jpeg' }, true],
+        ['png', { mimeType: 'image/png' }, false],
+        ['requested', { mimeType: 'image/png', denoise: true }, true]
+    ]) {
+        const imageData = decodeImage(jpeg);
+        const info = await engine.processImageData(imageData, 'qwen', options);
+        assert.equal(info.denoised, denoised, name);
+        error[name] = measureError(imageData, clean, position);
+    }
+    assert.equal(error.png, error.plain);
+    assert.equal(error.requested, error.auto);
+    assert.ok(error.auto < error.plain, JSON.stringify(error));
+});
@@ -0,0 +1,162 @@
+/**
+ * Detection: which provider and template auto mode picks, and when it finds nothing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNodeEngine } from '../cli/nodeEngine.js';
+import {
+    WATERMARK_TYPE, WATERMARK_STATUS, detectWatermarkConfig, calculateWatermarkPosition, scaleWatermarkConfig,
+    getSearchThreshold
+} from '../js/core/watermarkEngine.js';
+
+const engine = await createNodeEngine();
+
+/**
+ * Create a textured background: a smooth colour pattern plus pixel noise
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} Image data
+ */
+function createBackground(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    let seed = 5;
+    const random = () => ((seed = (seed * 1103515245 + 12345) >>> 0) / 2 ** 32);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            const base = 90 + 60 * Math.sin(x / 37) * Math.cos(y / 23);
+            data[idx] = base + 30 * random();
+            data[idx + 1] = base * 0.8 + 20 + 30 * random();
+            data[idx + 2] = base * 0.6 + 40 + 30 * random();
+            data[idx + 3] = 255;
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Blend a provider's white logo into an image, sized for a (possibly different) source image
+ * Sizing for a larger source and blending into the smaller image mimics a crop
+ * that keeps the watermark corner.
+ * @param {Object} imageData - Image data (modified in place)
+ * @param {string} type - Provider id
+ * @param {number} sourceWidth - Width of the image the watermark was made for
+ * @param {number} sourceHeight - Height of the image the watermark was made for
+ * @param {number} scale - Scale applied to the watermark, as by resizing the image after generation (default: 1)
+ * @returns {Promise<Object>} Watermark configuration used
+ */
+async function addWatermark(imageData, type, sourceWidth = imageData.width, sourceHeight = imageData.height, scale = 1) {
+    const config = scaleWatermarkConfig(detectWatermarkConfig(sourceWidth, sourceHeight, type), scale);
+    const position = calculateWatermarkPosition(imageData.width, imageData.height, config);
+    const alphaMap = await engine.getAlphaMap(config, undefined, { cache: false });
+
+    for (let row = 0; row < position.height; row++) {
+        for (let col = 0; col < position.width; col++) {
+            const alpha = alphaMap[row * position.width + col];
+            const idx = ((position.y + row) * imageData.width + position.x + col) * 4;
+            for (let c = 0; c < 3; c++) {
+                imageData.data[idx + c] = Math.round(alpha * 255 + (1 - alpha) * imageData.data[idx + c]);
+            }
+        }
+    }
+    return config;
+}
+
+for (const [type, width, height] of [['doubao', 1920, 1080], ['gemini', 1500, 1200], ['qwen', 1328, 1328]]) {
+    test(`auto mode detects a ${type} watermark`, async () => {
+        const imageData = createBackground(width, height);
+        const config = await addWatermark(imageData, type);
+
+        const detection = await engine.detectWatermark(imageData, WATERMARK_TYPE.AUTO);
+        assert.equal(detection.status, WATERMARK_STATUS.REMOVED);
+        assert.equal(detection.type, type);
+        assert.equal(detection.config.width, config.width);
+        assert.deepEqual(detection.position, calculateWatermarkPosition(width, height, config));
+        assert.ok(detection.confidence > 0.8);
+    });
+}
+
+test('a clean image is not detected in auto or fixed mode', async () => {
+    const imageData = createBackground(1500, 1200);
+
+    const auto = await engine.detectWatermark(imageData, WATERMARK_TYPE.AUTO);
+    assert.equal(auto.status, WATERMARK_STATUS.NO_WATERMARK);
+    assert.equal(auto.type, WATERMARK_TYPE.UNKNOWN);
+
+    for (const type of ['doubao', 'gemini', 'qwen']) {
+        const fixed = await engine.detectWatermark(imageData, type);
+        assert.equal(fixed.status, WATERMARK_STATUS.NO_WATERMARK, type);
+        assert.equal(fixed.type, type);
+    }
+});
+
+test('the full template wins over a fallback that covers only part of the logo', async () => {
+    // Doubao's square logo has a backdrop; the 2:3 template is the text alone
+    const imageData = createBackground(1024, 1024);
+    await addWatermark(imageData, 'doubao');
+
+    const detection = await engine.detectWatermark(imageData, WATERMARK_TYPE.AUTO);
+    assert.equal(detection.config.template, '1x1');
+});
+
+for (const [sourceWidth, sourceHeight, width, height, template] of [
+    [2508, 1672, 1672, 1672, '3x2'],
+    [2048, 2048, 2048, 1365, '1x1']
+]) {
+    test(`a ${template} watermark is recognised after cropping to ${width}×${height}`, async () => {
+        const imageData = createBackground(width, height);
+        await addWatermark(imageData, 'doubao', sourceWidth, sourceHeight);
+
+        const detection = await engine.detectWatermark(imageData, WATERMARK_TYPE.AUTO);
+        assert.equal(detection.type, 'doubao');
+        assert.equal(detection.config.template, template);
+    });
+}
+
+for (const [type, width, height, scale] of [['qwen', 1328, 1328, 0.8], ['gemini', 1500, 1200, 1.2]]) {
+    test(`recovers a ${type} watermark scaled by ${scale} and caches only the map it removes with`, async () => {
+        const imageData = createBackground(width, height);
+        const config = await addWatermark(imageData, type, width, height, scale);
+        engine.clearCache();
+
+        const detection = await engine.detectWatermark(imageData, WATERMARK_TYPE.AUTO);
+        assert.equal(detection.type, type);
+        assert.equal(detection.scale, scale);
+        assert.equal(detection.config.width, config.width);
+        // Every scale tried is resized on the fly; none of them is kept
+        assert.equal(engine.getCacheStats().entries, 0);
+
+        await engine.processImageData(imageData, WATERMARK_TYPE.AUTO);
+        assert.equal(engine.getCacheStats().entries, 1);
+    });
+}
+
+test('the search threshold rises with the number of comparisons up to a cap', () => {
+    assert.equal(getSearchThreshold(0.35, 0), 0.35);
+    assert.equal(getSearchThreshold(0.35, 1), 0.35);
+    assert.ok(Math.abs(getSearchThreshold(0.35, 100) - (0.35 + 0.07 * Math.log(100))) < 1e-12);
+    assert.ok(getSearchThreshold(0.2, 100) < getSearchThreshold(0.35, 100));
+    assert.equal(getSearchThreshold(0.35, 1e6), 0.75);
+});
+
+test('a match strong enough for one comparison is rejected after a wide search', async () => {
+    // A faint logo: clearly there for a single comparison, but no better than
+    // the best of many comparisons with a clean corner
+    const imageData = createBackground(1328, 1328);
+    const config = detectWatermarkConfig(1328, 1328, 'qwen');
+    const position = calculateWatermarkPosition(1328, 1328, config);
+    const alphaMap = await engine.getAlphaMap(config);
+    for (let row = 0; row < position.height; row++) {
+        for (let col = 0; col < position.width; col++) {
+            const alpha = 0.2 * alphaMap[row * position.width + col];
+            const idx = ((position.y + row) * 1328 + position.x + col) * 4;
+            for (let c = 0; c < 3; c++) imageData.data[idx + c] = Math.round(alpha * 255 + (1 - alpha) * imageData.data[idx + c]);
+        }
+    }
+
+    const detection = await engine.detectWatermark(imageData, WATERMARK_TYPE.AUTO);
+    assert.ok(detection.confidence > 0.35, `confidence ${detection.confidence}`);
+    assert.equal(detection.status, WATERMARK_STATUS.NO_WATERMARK);
+    assert.equal(detection.type, WATERMARK_TYPE.UNKNOWN);
+});
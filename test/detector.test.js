@@ -0,0 +1,120 @@
+/**
+ * Detector: template match score and alignment search around the predicted position
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNodeEngine } from '../cli/nodeEngine.js';
+import { detectWatermarkConfig } from '../js/core/watermarkEngine.js';
+import { scoreWatermarkMatch, shiftAlphaMap, findBestAlignment } from '../js/core/detector.js';
+
+// Free space around the watermark, more than the alignment search radius
+const MARGIN = 8;
+
+const engine = await createNodeEngine();
+
+/**
+ * Blend a template, shifted by a known offset, over a textured background
+ * @param {Float32Array} alphaMap - Template alpha
+ * @param {Object} size - Template size {width, height}
+ * @param {number} dx - Horizontal offset of the watermark from the predicted position
+ * @param {number} dy - Vertical offset of the watermark from the predicted position
+ * @returns {{imageData: Object, position: Object}} Image and the predicted position
+ */
+function createImage(alphaMap, size, dx, dy) {
+    const width = size.width + 2 * MARGIN, height = size.height + 2 * MARGIN;
+    const data = new Uint8ClampedArray(width * height * 4);
+    let seed = 11;
+    const random = () => ((seed = (seed * 1103515245 + 12345) >>> 0) / 2 ** 32);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            const base = 90 + 60 * Math.sin(x / 37) * Math.cos(y / 23);
+            data[idx] = base + 30 * random();
+            data[idx + 1] = base * 0.8 + 20 + 30 * random();
+            data[idx + 2] = base * 0.6 + 40 + 30 * random();
+            data[idx + 3] = 255;
+        }
+    }
+
+    // Whole pixels move the blend, the fractional part shifts the template
+    const wholeX = Math.round(dx), wholeY = Math.round(dy);
+    const shifted = shiftAlphaMap(alphaMap, size.width, size.height, dx - wholeX, dy - wholeY);
+    for (let row = 0; row < size.height; row++) {
+        for (let col = 0; col < size.width; col++) {
+            const alpha = shifted[row * size.width + col];
+            const idx = ((MARGIN + wholeY + row) * width + MARGIN + wholeX + col) * 4;
+            for (let c = 0; c < 3; c++) data[idx + c] = Math.round(alpha * 255 + (1 - alpha) * data[idx + c]);
+        }
+    }
+
+    return { imageData: { width, height, data }, position: { x: MARGIN, y: MARGIN, ...size } };
+}
+
+/**
+ * Load a provider's template at the size used for an image
+ * @param {string} type - Provider id
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Promise<{alphaMap: Float32Array, size: Object}>} Template alpha and size
+ */
+async function loadTemplate(type, width, height) {
+    const config = detectWatermarkConfig(width, height, type);
+    return { alphaMap: await engine.getAlphaMap(config), size: { width: config.width, height: config.height } };
+}
+
+test('a template scores close to 1 where it was blended and about 0 elsewhere', async () => {
+    const { alphaMap, size } = await loadTemplate('qwen', 1328, 1328);
+    const { imageData, position } = createImage(alphaMap, size, 0, 0);
+
+    assert.ok(scoreWatermarkMatch(imageData, alphaMap, position) > 0.9);
+    assert.ok(Math.abs(scoreWatermarkMatch(createImage(new Float32Array(alphaMap.length), size, 0, 0).imageData,
+        alphaMap, position)) < 0.2);
+    assert.equal(scoreWatermarkMatch(imageData, alphaMap, { ...position, x: imageData.width }), 0);
+});
+
+for (const [type, width, height] of [['gemini', 1500, 1200], ['gemini', 1024, 1024], ['qwen', 1328, 1328]]) {
+    test(`a ${type} watermark at the predicted position is not moved`, async () => {
+        const { alphaMap, size } = await loadTemplate(type, width, height);
+        const { imageData, position } = createImage(alphaMap, size, 0, 0);
+
+        const alignment = findBestAlignment(imageData, alphaMap, position);
+        assert.deepEqual(alignment.offset, { x: 0, y: 0 });
+        assert.equal(alignment.alphaMap, alphaMap);
+        assert.deepEqual(alignment.position, position);
+    });
+}
+
+for (const [dx, dy] of [[1, -2], [-2, 1]]) {
+    test(`finds a whole-pixel offset of (${dx}, ${dy})`, async () => {
+        const { alphaMap, size } = await loadTemplate('qwen', 1328, 1328);
+        const { imageData, position } = createImage(alphaMap, size, dx, dy);
+
+        const alignment = findBestAlignment(imageData, alphaMap, position);
+        assert.deepEqual(alignment.offset, { x: dx, y: dy });
+        assert.deepEqual(alignment.position, { ...position, x: position.x + dx, y: position.y + dy });
+    });
+}
+
+for (const [type, width, height, dx, dy] of [['qwen', 1328, 1328, 0.25, 0], ['doubao', 1024, 1024, 0.5, -0.5], ['qwen', 1328, 1328, -1.25, 0.75]]) {
+    test(`finds a sub-pixel offset of (${dx}, ${dy}) for ${type}`, async () => {
+        const { alphaMap, size } = await loadTemplate(type, width, height);
+        const { imageData, position } = createImage(alphaMap, size, dx, dy);
+
+        const alignment = findBestAlignment(imageData, alphaMap, position);
+        assert.deepEqual(alignment.offset, { x: dx, y: dy });
+        // The fractional part is baked into the alpha map, the position stays whole-pixel
+        assert.ok(Number.isInteger(alignment.position.x) && Number.isInteger(alignment.position.y));
+        assert.notEqual(alignment.alphaMap, alphaMap);
+    });
+}
+
+test('without a minimum gain a hair better score moves the template off the watermark', async () => {
+    const { alphaMap, size } = await loadTemplate('gemini', 1500, 1200);
+    const { imageData, position } = createImage(alphaMap, size, 0, 0);
+
+    const strict = findBestAlignment(imageData, alphaMap, position);
+    const loose = findBestAlignment(imageData, alphaMap, position, { minGain: 0 });
+    assert.notDeepEqual(loose.offset, { x: 0, y: 0 });
+    assert.ok(loose.score > strict.score && loose.score < strict.score + 0.004);
+});
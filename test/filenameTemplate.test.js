@@ -0,0 +1,71 @@
+/**
+ * Filename templates: token rendering, sanitizing and collision-free names
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_FILENAME_TEMPLATE,
+    renderFilename,
+    createUniqueNamer,
+    formatDate,
+    getFilenameTemplate,
+    setFilenameTemplate
+} from '../js/filenameTemplate.js';
+
+const FIELDS = { name: 'photo', provider: 'gemini', width: 1024, height: 768, size: '1024x768', index: 7, date: '2026-10-19' };
+
+test('unique namer numbers clashing names before the extension', () => {
+    const uniqueName = createUniqueNamer();
+    assert.equal(uniqueName('a', 'png'), 'a.png');
+    assert.equal(uniqueName('a', 'png'), 'a (2).png');
+    assert.equal(uniqueName('a', 'png'), 'a (3).png');
+    assert.equal(uniqueName('a', 'jpg'), 'a.jpg');
+});
+
+test('unique namer compares names case-insensitively', () => {
+    const uniqueName = createUniqueNamer();
+    assert.equal(uniqueName('Photo', 'PNG'), 'Photo.PNG');
+    assert.equal(uniqueName('photo', 'png'), 'photo (2).png');
+});
+
+test('unique namer skips numbered names that are already taken', () => {
+    const uniqueName = createUniqueNamer();
+    assert.equal(uniqueName('a (2)', 'png'), 'a (2).png');
+    assert.equal(uniqueName('a', 'png'), 'a.png');
+    assert.equal(uniqueName('a', 'png'), 'a (3).png');
+});
+
+test('each namer keeps its own names', () => {
+    assert.equal(createUniqueNamer()('a', 'png'), 'a.png');
+    assert.equal(createUniqueNamer()('a', 'png'), 'a.png');
+});
+
+test('renders tokens, padded indexes and unknown tokens as written', () => {
+    assert.equal(renderFilename(DEFAULT_FILENAME_TEMPLATE, FIELDS), 'unwatermarked_photo');
+    assert.equal(renderFilename('{provider}_{size}_{index:3}_{date}', FIELDS), 'gemini_1024x768_007_2026-10-19');
+    assert.equal(renderFilename('{width}x{height}-{index}-{nope}', FIELDS), '1024x768-7-{nope}');
+});
+
+test('sanitizes reserved characters and falls back when the name ends up empty', () => {
+    assert.equal(renderFilename('a/b:c*{name}?', FIELDS), 'a_b_c_photo_');
+    assert.equal(renderFilename('  ..{name}.. ', FIELDS), 'photo');
+    assert.equal(renderFilename('...', FIELDS), 'photo');
+    assert.equal(renderFilename('...', { name: '' }), 'image');
+    assert.equal(renderFilename('{name}', { name: 'x'.repeat(300) }).length, 200);
+});
+
+test('formats dates as YYYY-MM-DD in local time', () => {
+    assert.equal(formatDate(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+});
+
+test('keeps the template for the session when storage is unavailable', (t) => {
+    // Node has no localStorage, so saving fails like blocked browser storage
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(getFilenameTemplate(), DEFAULT_FILENAME_TEMPLATE);
+    setFilenameTemplate(' {provider}_{name} ');
+    assert.equal(getFilenameTemplate(), '{provider}_{name}');
+    setFilenameTemplate('');
+    assert.equal(getFilenameTemplate(), DEFAULT_FILENAME_TEMPLATE);
+    assert.equal(warn.mock.callCount(), 2);
+});
@@ -0,0 +1,110 @@
+/**
+ * Inpainting: which pixels reverse blending gives up on, and how they are filled
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { removeWatermark } from '../js/core/blendModes.js';
+import { inpaintMask } from '../js/core/inpaint.js';
+
+// Image size and the watermark area inside it
+const WIDTH = 20, HEIGHT = 16;
+const AREA = { x: 4, y: 3, width: 12, height: 10 };
+
+/**
+ * Create an image with a linear colour gradient
+ * Diffusion converges to the harmonic fill of the hole, which for a linear
+ * gradient is the gradient itself.
+ * @returns {Object} Image data
+ */
+function createGradient() {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            data.set([40 + 8 * x, 200 - 6 * y, 60 + 4 * x + 4 * y, 255], (y * WIDTH + x) * 4);
+        }
+    }
+    return { width: WIDTH, height: HEIGHT, data };
+}
+
+/**
+ * Create a mask over the watermark area from a list of area pixels
+ * @param {Array<[number, number]>} pixels - Column and row of each flagged pixel
+ * @returns {Uint8Array} Mask
+ */
+function createMask(pixels) {
+    const mask = new Uint8Array(AREA.width * AREA.height);
+    pixels.forEach(([col, row]) => { mask[row * AREA.width + col] = 1; });
+    return mask;
+}
+
+/**
+ * List the image pixels whose colour differs between two images
+ * @param {Object} a - Image data
+ * @param {Object} b - Image data of the same size
+ * @param {number} tolerance - Largest difference still treated as equal
+ * @returns {string[]} 'x,y' of each differing pixel
+ */
+function listChanged(a, b, tolerance = 0) {
+    const changed = [];
+    for (let i = 0; i < a.data.length; i += 4) {
+        if ([0, 1, 2].some(c => Math.abs(a.data[i + c] - b.data[i + c]) > tolerance)) {
+            changed.push(`${(i / 4) % a.width},${Math.floor(i / 4 / a.width)}`);
+        }
+    }
+    return changed;
+}
+
+test('alpha above the maximum and clipped results are flagged as unrecoverable', () => {
+    const imageData = createGradient();
+    const alphaMap = new Float32Array(AREA.width * AREA.height).fill(0.3);
+    // Fully opaque: the original is gone
+    alphaMap[0] = 1;
+    // Too dark for the alpha: solving gives a value far below 0
+    const idx = ((AREA.y + 2) * WIDTH + AREA.x + 5) * 4;
+    imageData.data.set([10, 10, 10], idx);
+
+    const unrecoverable = removeWatermark(imageData, alphaMap, AREA);
+    assert.deepEqual([...unrecoverable.keys()].filter(i => unrecoverable[i]), [0, 2 * AREA.width + 5]);
+});
+
+test('a hole in a gradient is filled with the gradient', () => {
+    const clean = createGradient();
+    const imageData = createGradient();
+    const hole = [];
+    for (let row = 3; row < 7; row++) {
+        for (let col = 4; col < 8; col++) {
+            const idx = ((AREA.y + row) * WIDTH + AREA.x + col) * 4;
+            hole.push([col, row]);
+            imageData.data.fill(255, idx, idx + 3);
+        }
+    }
+
+    const count = inpaintMask(imageData, createMask(hole), AREA, { dilate: 0, iterations: 200 });
+    assert.equal(count, 16);
+    assert.deepEqual(listChanged(imageData, clean, 1), []);
+});
+
+test('the mask grows by the dilation radius, and only masked pixels change', () => {
+    const imageData = createGradient();
+    // Speckle at the area's top-left corner: neighbours outside the area fill it
+    imageData.data.fill(0, (AREA.y * WIDTH + AREA.x) * 4, (AREA.y * WIDTH + AREA.x) * 4 + 3);
+    const before = { ...imageData, data: imageData.data.slice() };
+
+    const count = inpaintMask(imageData, createMask([[0, 0]]), AREA, { dilate: 1 });
+    // Dilation stays inside the watermark area: the corner and its 3 inner neighbours
+    assert.equal(count, 4);
+    const changed = listChanged(imageData, before);
+    assert.ok(changed.includes(`${AREA.x},${AREA.y}`));
+    assert.ok(changed.every(pixel => ['4,3', '5,3', '4,4', '5,4'].includes(pixel)), changed.join(' '));
+    assert.deepEqual(listChanged(imageData, createGradient(), 2), []);
+});
+
+test('an empty mask or a hole with no known neighbour leaves the image alone', () => {
+    const imageData = createGradient();
+    assert.equal(inpaintMask(imageData, createMask([]), AREA), 0);
+
+    const whole = { x: 0, y: 0, width: WIDTH, height: HEIGHT };
+    assert.equal(inpaintMask(imageData, new Uint8Array(WIDTH * HEIGHT).fill(1), whole), 0);
+    assert.deepEqual(listChanged(imageData, createGradient()), []);
+});
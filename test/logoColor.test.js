@@ -0,0 +1,203 @@
+/**
+ * Logo colour: grey, tinted and per-pixel coloured logos through matching,
+ * sub-pixel shifting and removal, and a provider whose template is not white
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { removeWatermark } from '../js/core/blendModes.js';
+import { scoreWatermarkMatch, shiftColorMap } from '../js/core/detector.js';
+import { registerProvider } from '../js/core/providerRegistry.js';
+import { WatermarkEngine, WATERMARK_STATUS, calculateWatermarkPosition } from '../js/core/watermarkEngine.js';
+
+// Matching works on luminance, so the test colours stay well away from the
+// background's (about 130): a logo of the same luminance would be invisible to it
+
+// Test logo size and the image it is measured on
+const LOGO_WIDTH = 40, LOGO_HEIGHT = 20;
+const IMAGE_WIDTH = 640, IMAGE_HEIGHT = 480;
+
+/**
+ * Alpha of the synthetic logo: a soft-edged ring
+ * @param {number} row - Row in the logo
+ * @param {number} col - Column in the logo
+ * @returns {number} Alpha (0.0-0.6)
+ */
+function logoAlpha(row, col) {
+    const distance = Math.hypot((col - 19.5) / 16, (row - 9.5) / 8);
+    return 0.6 * Math.max(0, 1 - Math.abs(distance - 0.7) * 4);
+}
+
+/**
+ * Create the alpha map of the synthetic logo
+ * @returns {Float32Array} Alpha per logo pixel
+ */
+function createAlphaMap() {
+    return Float32Array.from({ length: LOGO_WIDTH * LOGO_HEIGHT },
+        (_, i) => logoAlpha(Math.floor(i / LOGO_WIDTH), i % LOGO_WIDTH));
+}
+
+/**
+ * Create a per-pixel logo colour map: yellow on the left turning pink on the right
+ * @returns {Float32Array} RGB per logo pixel
+ */
+function createColorMap() {
+    const colorMap = new Float32Array(LOGO_WIDTH * LOGO_HEIGHT * 3);
+    for (let i = 0; i < LOGO_WIDTH * LOGO_HEIGHT; i++) {
+        const u = (i % LOGO_WIDTH) / (LOGO_WIDTH - 1);
+        colorMap.set([255, 230 - 100 * u, 80 + 170 * u], i * 3);
+    }
+    return colorMap;
+}
+
+/**
+ * Create a textured background: a smooth colour pattern plus pixel noise
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} Image data
+ */
+function createBackground(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    let seed = 3;
+    const random = () => ((seed = (seed * 1103515245 + 12345) >>> 0) / 2 ** 32);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            const base = 120 + 30 * Math.sin(x / 37) * Math.cos(y / 23);
+            data[idx] = base + 30 * random();
+            data[idx + 1] = base * 0.8 + 20 + 30 * random();
+            data[idx + 2] = base * 0.6 + 40 + 30 * random();
+            data[idx + 3] = 255;
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Blend a coloured logo into a copy of an image
+ * @param {Object} imageData - Clean image data
+ * @param {Float32Array} alphaMap - Logo alpha
+ * @param {Object} position - Logo position {x, y, width, height}
+ * @param {number[]|Float32Array} logoColor - RGB triple or per-pixel RGB map
+ * @returns {Object} Watermarked copy
+ */
+function addLogo(imageData, alphaMap, position, logoColor) {
+    const data = imageData.data.slice();
+    const perPixel = logoColor.length === alphaMap.length * 3;
+    for (let row = 0; row < position.height; row++) {
+        for (let col = 0; col < position.width; col++) {
+            const i = row * position.width + col;
+            const idx = ((position.y + row) * imageData.width + position.x + col) * 4;
+            for (let c = 0; c < 3; c++) {
+                const logo = logoColor[perPixel ? i * 3 + c : c];
+                data[idx + c] = Math.round(alphaMap[i] * logo + (1 - alphaMap[i]) * data[idx + c]);
+            }
+        }
+    }
+    return { ...imageData, data };
+}
+
+/**
+ * Largest per-channel difference between two images over an area
+ * @param {Object} a - Image data
+ * @param {Object} b - Image data of the same size
+ * @param {Object} area - Area {x, y, width, height}
+ * @returns {number} Largest difference
+ */
+function maxError(a, b, area) {
+    let max = 0;
+    for (let row = area.y; row < area.y + area.height; row++) {
+        for (let col = area.x; col < area.x + area.width; col++) {
+            const idx = (row * a.width + col) * 4;
+            for (let c = 0; c < 3; c++) max = Math.max(max, Math.abs(a.data[idx + c] - b.data[idx + c]));
+        }
+    }
+    return max;
+}
+
+/**
+ * Register a provider using the synthetic logo and create an engine with its capture preloaded
+ * @param {string} id - Provider id
+ * @param {number[]|Object} logoColor - RGB triple, or pixels holding the per-pixel logo colour
+ * @returns {WatermarkEngine} Engine
+ */
+function createEngine(id, logoColor) {
+    registerProvider({
+        id,
+        templates: { logo: { path: 'unused.png' } },
+        scaling: {
+            rule: 'aspect-ratio',
+            categories: [{
+                id: 'logo', template: 'logo', refWidth: IMAGE_WIDTH, refHeight: IMAGE_HEIGHT,
+                wmWidth: LOGO_WIDTH, wmHeight: LOGO_HEIGHT, offsetX: 24, offsetY: 16
+            }]
+        }
+    });
+
+    // Background capture: the logo in white over black
+    const image = { width: LOGO_WIDTH, height: LOGO_HEIGHT, data: new Uint8ClampedArray(LOGO_WIDTH * LOGO_HEIGHT * 4) };
+    createAlphaMap().forEach((alpha, i) => {
+        image.data.fill(Math.round(alpha * 255), i * 4, i * 4 + 3);
+        image.data[i * 4 + 3] = 255;
+    });
+    return new WatermarkEngine({ bgCaptures: { [id]: { logo: { image, logoColor } } } });
+}
+
+test('reverse blending restores the background under a tinted or per-pixel coloured logo', () => {
+    const position = { x: 3, y: 2, width: LOGO_WIDTH, height: LOGO_HEIGHT };
+    const clean = createBackground(48, 26);
+    const alphaMap = createAlphaMap();
+
+    for (const logoColor of [[250, 200, 90], createColorMap()]) {
+        const imageData = addLogo(clean, alphaMap, position, logoColor);
+        removeWatermark(imageData, alphaMap, position, logoColor);
+        // Rounding the blend to 8 bits costs up to 0.5 / (1 - α) = 1.25 levels
+        assert.ok(maxError(imageData, clean, position) <= 2);
+    }
+});
+
+test('a dark logo correlates with its expected change, not with its alpha', () => {
+    const position = { x: 3, y: 2, width: LOGO_WIDTH, height: LOGO_HEIGHT };
+    const alphaMap = createAlphaMap();
+    const imageData = addLogo(createBackground(48, 26), alphaMap, position, [40, 40, 40]);
+
+    assert.ok(scoreWatermarkMatch(imageData, alphaMap, position, [40, 40, 40]) > 0.8);
+    // Assumed white, a dark logo darkens where it should brighten
+    assert.ok(scoreWatermarkMatch(imageData, alphaMap, position) < 0);
+});
+
+test('a colour map shifts by a sub-pixel offset and holds its edge colour', () => {
+    const colorMap = createColorMap();
+    assert.equal(shiftColorMap(colorMap, LOGO_WIDTH, LOGO_HEIGHT, 0, 0), colorMap);
+
+    const shifted = shiftColorMap(colorMap, LOGO_WIDTH, LOGO_HEIGHT, 0.5, 0);
+    const blue = (col) => shifted[(5 * LOGO_WIDTH + col) * 3 + 2];
+    assert.equal(blue(0), colorMap[2]);
+    assert.ok(Math.abs(blue(10) - (colorMap[29] + colorMap[32]) / 2) < 1e-3);
+});
+
+/**
+ * Convert a per-pixel RGB map to RGBA pixels, the form a logo colour image is loaded in
+ * @param {Float32Array} colorMap - RGB per logo pixel
+ * @returns {Object} Logo colour pixels
+ */
+function toPixels(colorMap) {
+    const data = new Uint8ClampedArray(LOGO_WIDTH * LOGO_HEIGHT * 4).fill(255);
+    for (let i = 0; i < LOGO_WIDTH * LOGO_HEIGHT; i++) data.set(colorMap.subarray(i * 3, i * 3 + 3), i * 4);
+    return { width: LOGO_WIDTH, height: LOGO_HEIGHT, data };
+}
+
+for (const [id, logoColor] of [['tinted', [250, 200, 90]], ['painted', createColorMap().map(Math.round)]]) {
+    test(`a provider with a ${id} logo is detected and removed`, async () => {
+        const engine = createEngine(id, Array.isArray(logoColor) ? logoColor : toPixels(logoColor));
+        const config = { width: LOGO_WIDTH, height: LOGO_HEIGHT, offsetX: 24, offsetY: 16, anchor: 'bottom-right' };
+        const position = calculateWatermarkPosition(IMAGE_WIDTH, IMAGE_HEIGHT, config);
+        const clean = createBackground(IMAGE_WIDTH, IMAGE_HEIGHT);
+        const imageData = addLogo(clean, createAlphaMap(), position, logoColor);
+
+        const info = await engine.processImageData(imageData, id);
+        assert.equal(info.status, WATERMARK_STATUS.REMOVED);
+        assert.deepEqual(info.position, position);
+        assert.ok(maxError(imageData, clean, position) <= 2);
+    });
+}
@@ -0,0 +1,63 @@
+/**
+ * LRU cache: byte-bounded eviction in least-recently-used order
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LruCache } from '../js/core/lruCache.js';
+
+test('evicts the least recently used entries once the byte budget is exceeded', () => {
+    const cache = new LruCache({ maxBytes: 300 });
+    cache.set('a', new Uint8Array(100));
+    cache.set('b', new Uint8Array(100));
+    cache.set('c', new Uint8Array(100));
+
+    // A hit makes "a" the most recently used, so "b" goes first
+    assert.ok(cache.get('a'));
+    cache.set('d', new Uint8Array(150));
+
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('c'), undefined);
+    assert.ok(cache.get('a'));
+    assert.ok(cache.get('d'));
+    const { entries, bytes, evictions } = cache.getStats();
+    assert.deepEqual({ entries, bytes, evictions }, { entries: 2, bytes: 250, evictions: 2 });
+});
+
+test('does not cache values larger than the whole budget', () => {
+    const cache = new LruCache({ maxBytes: 100 });
+    cache.set('small', new Float32Array(10));
+    const large = new Float32Array(100);
+
+    assert.equal(cache.set('large', large), large);
+    assert.equal(cache.get('large'), undefined);
+    assert.ok(cache.get('small'));
+    assert.equal(cache.getStats().bytes, 40);
+});
+
+test('replacing a key counts only the new value', () => {
+    const cache = new LruCache({ maxBytes: 100 });
+    cache.set('a', new Uint8Array(60));
+    cache.set('a', new Uint8Array(80));
+
+    assert.equal(cache.getStats().bytes, 80);
+    assert.equal(cache.getStats().evictions, 0);
+    assert.equal(cache.get('a').length, 80);
+});
+
+test('reports hits, misses and the hit rate, and clear resets them', () => {
+    const cache = new LruCache();
+    assert.equal(cache.getStats().hitRate, null);
+
+    cache.set('a', new Uint8Array(4));
+    cache.get('a');
+    cache.get('a');
+    cache.get('b');
+    const { hits, misses, hitRate } = cache.getStats();
+    assert.deepEqual({ hits, misses, hitRate }, { hits: 2, misses: 1, hitRate: 2 / 3 });
+
+    cache.clear();
+    assert.deepEqual(cache.getStats(), {
+        entries: 0, bytes: 0, maxBytes: 64 * 1024 * 1024, hits: 0, misses: 0, evictions: 0, hitRate: null
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * Metadata: EXIF (TIFF) writer, PNG text chunks and JPEG segments, read back
+ * through the public extract/embed functions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { encodeImage } from '../cli/nodeEngine.js';
+import { readPngChunks, createPngChunk, concat } from '../js/core/imageContainer.js';
+import {
+    extractMetadata,
+    embedMetadata,
+    filterMetadata,
+    listMetadataFields,
+    resetOrientation,
+    isFieldAllowed
+} from '../js/core/metadata.js';
+
+// Small opaque test image
+const PIXELS = { width: 4, height: 3, data: new Uint8ClampedArray(4 * 3 * 4).fill(200) };
+
+/**
+ * Build a TIFF entry
+ * @param {number} tag - Tag number
+ * @param {number} type - TIFF field type
+ * @param {number} count - Number of values
+ * @param {number[]} bytes - Raw value bytes
+ * @returns {{tag: number, type: number, count: number, value: Uint8Array}} Entry
+ */
+function entry(tag, type, count, bytes) {
+    return { tag, type, count, value: Uint8Array.from(bytes) };
+}
+
+/**
+ * Build an ASCII TIFF entry
+ * @param {number} tag - Tag number
+ * @param {string} text - Value without the terminating NUL
+ * @returns {Object} Entry
+ */
+function ascii(tag, text) {
+    return entry(tag, 2, text.length + 1, [...text].map(char => char.charCodeAt(0)).concat(0));
+}
+
+/**
+ * Build an EXIF block with values stored inline and out of line in every IFD
+ * @param {boolean} littleEndian - Byte order
+ * @returns {Object} EXIF block
+ */
+function createExif(littleEndian) {
+    const short = (value) => (littleEndian ? [value & 0xff, value >> 8] : [value >> 8, value & 0xff]);
+    return {
+        littleEndian,
+        ifds: {
+            ifd0: [ascii(0x010f, 'Make'), entry(0x0112, 3, 1, short(6)), ascii(0x8298, 'Copyright 2026')],
+            exif: [ascii(0x9003, '2026:10:19 09:30:00'), entry(0xfe01, 2, 4, [0x61, 0x62, 0x63, 0])],
+            interop: [ascii(0x0001, 'R98')],
+            gps: [entry(0x0000, 1, 4, [2, 3, 0, 0]), ascii(0x0001, 'N')]
+        }
+    };
+}
+
+/**
+ * Get the entry of a tag
+ * @param {Object} metadata - Metadata (see extractMetadata)
+ * @param {string} ifd - IFD name
+ * @param {number} tag - Tag number
+ * @returns {Object|undefined} Entry
+ */
+function findEntry(metadata, ifd, tag) {
+    return metadata.exif.ifds[ifd].find(e => e.tag === tag);
+}
+
+for (const littleEndian of [true, false]) {
+    test(`EXIF round-trips through a PNG eXIf chunk (${littleEndian ? 'little' : 'big'}-endian)`, async () => {
+        const exif = createExif(littleEndian);
+        const png = await embedMetadata(encodeImage(PIXELS), { exif, xmp: null, text: [] });
+
+        const read = await extractMetadata(png);
+        assert.deepEqual(read.exif, exif);
+        // eXIf is placed before the image data
+        const types = readPngChunks(png).map(chunk => chunk.type);
+        assert.ok(types.indexOf('eXIf') < types.indexOf('IDAT'));
+    });
+}
+
+test('EXIF and XMP round-trip through JPEG APP1 segments and replace the existing ones', async () => {
+    const exif = createExif(false);
+    const xmp = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF/></x:xmpmeta>';
+    const jpeg = encodeImage(PIXELS, 'image/jpeg', 90);
+
+    const once = await embedMetadata(jpeg, { exif, xmp, text: [] });
+    const twice = await embedMetadata(once, { exif, xmp, text: [] });
+    assert.equal(twice.length, once.length);
+
+    const read = await extractMetadata(twice);
+    assert.deepEqual(read.exif, exif);
+    assert.equal(read.xmp, xmp);
+});
+
+test('PNG text entries round-trip as tEXt, or iTXt when they are not Latin-1', async () => {
+    const text = [
+        { keyword: 'Description', text: 'Café at dusk' },
+        { keyword: 'Title', text: '黄昏的咖啡馆' },
+        { keyword: 'Author', text: 'Ana', language: 'pt', translatedKeyword: 'Autora' }
+    ];
+    const xmp = '<x:xmpmeta xmlns:x="adobe:ns:meta/"/>';
+    const png = await embedMetadata(encodeImage(PIXELS), { exif: null, xmp, text });
+
+    const read = await extractMetadata(png);
+    assert.deepEqual(read.text, text);
+    assert.equal(read.xmp, xmp);
+    assert.deepEqual(
+        readPngChunks(png).filter(chunk => ['tEXt', 'iTXt'].includes(chunk.type)).map(chunk => chunk.type),
+        ['iTXt', 'tEXt', 'iTXt', 'iTXt']
+    );
+});
+
+test('reads compressed zTXt chunks and skips corrupt ones', async () => {
+    const png = encodeImage(PIXELS);
+    const chunks = readPngChunks(png);
+    const end = chunks[chunks.length - 1];
+    const latin1 = (value) => Uint8Array.from(value, char => char.charCodeAt(0));
+    const zTXt = createPngChunk('zTXt', concat([latin1('Comment\0\0'), deflateSync(Buffer.from(latin1('compressed text')))]));
+    const corrupt = createPngChunk('zTXt', concat([latin1('Broken\0\0'), latin1('not zlib')]));
+
+    const read = await extractMetadata(concat([png.subarray(0, end.start), zTXt, corrupt, png.subarray(end.start)]));
+    assert.deepEqual(read.text, [{ keyword: 'Comment', text: 'compressed text' }]);
+});
+
+test('policies filter fields by name and prefix', () => {
+    const metadata = { exif: createExif(true), xmp: '<x/>', text: [{ keyword: 'Author', text: 'A' }] };
+    assert.deepEqual(listMetadataFields(metadata), [
+        'Make', 'Orientation', 'Copyright', 'DateTimeOriginal', '0xFE01', 'InteropIndex', 'GPSVersionID', 'GPSLatitudeRef', 'XMP', 'Author'
+    ]);
+
+    const withoutGps = filterMetadata(metadata, { keep: true, allow: [], deny: ['gps*', 'XMP'] });
+    assert.deepEqual(withoutGps.exif.ifds.gps, []);
+    assert.equal(withoutGps.xmp, null);
+    assert.equal(withoutGps.text.length, 1);
+
+    const onlyDate = filterMetadata(metadata, { keep: true, allow: ['DateTimeOriginal'], deny: [] });
+    assert.deepEqual(listMetadataFields(onlyDate), ['DateTimeOriginal']);
+
+    assert.deepEqual(filterMetadata(metadata, { keep: false, allow: [], deny: [] }), { exif: null, xmp: null, text: [] });
+    assert.equal(isFieldAllowed('MakerNote'), false);
+});
+
+test('resetOrientation writes Orientation 1 in the block byte order', async () => {
+    for (const littleEndian of [true, false]) {
+        const metadata = resetOrientation({ exif: createExif(littleEndian), xmp: null, text: [] });
+        const png = await embedMetadata(encodeImage(PIXELS), metadata);
+        const { value } = findEntry(await extractMetadata(png), 'ifd0', 0x0112);
+        assert.equal(new DataView(value.buffer, value.byteOffset, 2).getUint16(0, littleEndian), 1);
+    }
+});
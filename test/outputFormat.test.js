@@ -0,0 +1,45 @@
+/**
+ * Output format: MIME type, quality and extension for each output setting
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    OUTPUT_FORMAT,
+    DEFAULT_QUALITY,
+    getOutputMimeType,
+    getOutputOptions,
+    getExtension,
+    isLossy
+} from '../js/outputFormat.js';
+
+test('"keep" encodes as the source format, falling back to PNG for other types', () => {
+    for (const type of ['image/png', 'image/jpeg', 'image/webp']) {
+        assert.equal(getOutputMimeType(OUTPUT_FORMAT.KEEP, type), type);
+    }
+    assert.equal(getOutputMimeType(OUTPUT_FORMAT.KEEP, 'image/heic'), 'image/png');
+    assert.equal(getOutputMimeType(OUTPUT_FORMAT.KEEP, ''), 'image/png');
+});
+
+test('a fixed format ignores the source type, and an unknown setting means PNG', () => {
+    assert.equal(getOutputMimeType(OUTPUT_FORMAT.JPEG, 'image/png'), 'image/jpeg');
+    assert.equal(getOutputMimeType(OUTPUT_FORMAT.WEBP, 'image/jpeg'), 'image/webp');
+    assert.equal(getOutputMimeType(OUTPUT_FORMAT.PNG, 'image/webp'), 'image/png');
+    assert.equal(getOutputMimeType('avif', 'image/jpeg'), 'image/png');
+});
+
+test('quality is passed on for lossy formats only', () => {
+    const metadata = { keep: true, allow: [], deny: ['MakerNote'] };
+    assert.deepEqual(getOutputOptions({ format: OUTPUT_FORMAT.KEEP, quality: 0.8, metadata }, 'image/jpeg'),
+        { mimeType: 'image/jpeg', quality: 0.8, metadataPolicy: metadata });
+    assert.equal(getOutputOptions({ format: OUTPUT_FORMAT.WEBP, quality: DEFAULT_QUALITY }, 'image/png').quality, DEFAULT_QUALITY);
+    assert.equal(getOutputOptions({ format: OUTPUT_FORMAT.PNG, quality: 0.8 }, 'image/jpeg').quality, undefined);
+    assert.deepEqual(['image/png', 'image/jpeg', 'image/webp'].map(isLossy), [false, true, true]);
+});
+
+test('the extension follows the encoded type, so a PNG fallback is saved as .png', () => {
+    assert.equal(getExtension('image/png'), 'png');
+    assert.equal(getExtension('image/jpeg'), 'jpg');
+    assert.equal(getExtension('image/webp'), 'webp');
+    assert.equal(getExtension('application/octet-stream'), 'png');
+});
@@ -0,0 +1,291 @@
+/**
+ * Provider registry: loading and validating manifests, and the configurations
+ * the scaling rules compute from them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import {
+    registerProvider,
+    loadProviders,
+    getProvider,
+    getProviders,
+    getProviderConfig,
+    getProviderCandidates,
+    getPlacementConfigs,
+    getConfigTemplate
+} from '../js/core/providerRegistry.js';
+
+// Repository root, which holds providers/index.json
+const ROOT_URL = new URL('../', import.meta.url).href;
+
+/**
+ * Build a minimal valid manifest
+ * @param {Object} fields - Fields replacing or adding to the defaults
+ * @returns {Object} Manifest
+ */
+function createManifest(fields = {}) {
+    return {
+        id: 'test',
+        templates: { main: { path: 'main.png' } },
+        scaling: {
+            rule: 'aspect-ratio',
+            categories: [{
+                id: 'main', template: 'main', refWidth: 1000, refHeight: 1000,
+                wmWidth: 100, wmHeight: 40, offsetX: 20, offsetY: 10
+            }]
+        },
+        ...fields
+    };
+}
+
+/**
+ * Read a JSON file by URL, as the Node.js engine does
+ * @param {string} url - File URL
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function readJson(url) {
+    return JSON.parse(await readFile(fileURLToPath(url), 'utf8'));
+}
+
+/**
+ * Register a provider with references at 1:1 and 2:1
+ * @param {string} id - Provider id
+ * @param {Object} scaling - Fields added to the scaling section
+ * @param {Object} wide - Fields added to the 2:1 reference
+ * @returns {Object} Registered provider
+ */
+function registerTwoRatios(id, scaling = {}, wide = {}) {
+    return registerProvider(createManifest({
+        id,
+        templates: { square: 'square.png', wide: 'wide.png' },
+        scaling: {
+            rule: 'aspect-ratio',
+            ...scaling,
+            categories: [
+                { id: 'square', template: 'square', refWidth: 1000, refHeight: 1000, wmWidth: 100, wmHeight: 40, offsetX: 20, offsetY: 20 },
+                { id: 'wide', template: 'wide', refWidth: 2000, refHeight: 1000, wmWidth: 200, wmHeight: 50, offsetX: 40, offsetY: 40, ...wide }
+            ]
+        }
+    }));
+}
+
+test('the provider index registers every manifest in order with template paths resolved', async () => {
+    const providers = await loadProviders({ baseUrl: ROOT_URL, readJson });
+
+    assert.deepEqual(providers.map(provider => provider.id), ['gemini', 'doubao', 'qwen']);
+    assert.equal(getProvider('qwen').templates['1x1'].path, new URL('assets/qwen_bg_1x1.lsjt', ROOT_URL).href);
+    assert.equal(getProvider('qwen').templates['1x1'].format, 'float');
+    assert.equal(getProvider('gemini').source.exif.Credit, 'Made with Google AI');
+    assert.equal(getProvider('nope'), null);
+});
+
+test('invalid manifests are rejected with the reason', () => {
+    const category = createManifest().scaling.categories[0];
+    for (const [fields, message] of [
+        [{ id: 'Bad Id' }, /id must be a lowercase identifier/],
+        [{ id: 'auto' }, /id "auto" is reserved/],
+        [{ anchor: 'middle' }, /anchor must be one of/],
+        [{ blendMode: 'cmyk' }, /blendMode must be one of srgb, linear/],
+        [{ templates: {} }, /at least one template is required/],
+        [{ templates: { main: { format: 'image' } } }, /template "main" needs a path/],
+        [{ templates: { main: { path: 'a.png', format: 'svg' } } }, /format must be one of image, float/],
+        [{ scaling: { rule: 'magic' } }, /unknown scaling rule "magic"/],
+        [{ scaling: { rule: 'aspect-ratio', categories: [{ ...category, template: 'other' }] } }, /uses unknown template "other"/],
+        [{ placements: [{ ...category, id: 'logo', offsetY: '10' }] }, /placement "logo" needs a numeric offsetY/],
+        [{ placements: [{ ...category, id: 'logo', anchor: 'top' }] }, /placement "logo" anchor must be one of/]
+    ]) {
+        assert.throws(() => registerProvider(createManifest(fields)), message, JSON.stringify(fields));
+    }
+    assert.throws(() => registerProvider(null), /Invalid provider manifest "\?"/);
+});
+
+test('registering an id again replaces the provider and fills in defaults', () => {
+    registerProvider(createManifest({ label: 'First' }));
+    const count = getProviders().length;
+
+    const provider = registerProvider(createManifest({
+        templates: { main: 'main.png' },
+        placements: [{ template: 'main', refWidth: 1000, refHeight: 1000, wmWidth: 50, wmHeight: 50, offsetX: 0, offsetY: 0 }]
+    }), 'https://example.com/providers/test.json');
+
+    assert.equal(getProviders().length, count);
+    assert.equal(getProvider('test'), provider);
+    assert.equal(provider.label, 'TEST');
+    assert.equal(provider.anchor, 'bottom-right');
+    assert.equal(provider.blendMode, 'srgb');
+    assert.deepEqual(provider.templates.main,
+        { path: 'https://example.com/providers/main.png', format: 'image', logoColor: null });
+    assert.equal(provider.placements[0].id, 'placement1');
+});
+
+test('a per-pixel logo colour path is resolved like the template path', () => {
+    const provider = registerProvider(createManifest({
+        id: 'colored',
+        templates: { main: { path: 'main.png', logoColor: 'main_color.png' }, alt: { path: 'alt.png', logoColor: [10, 20, 30] } }
+    }), 'https://example.com/providers/colored.json');
+
+    assert.equal(provider.templates.main.logoColor, 'https://example.com/providers/main_color.png');
+    assert.deepEqual(provider.templates.alt.logoColor, [10, 20, 30]);
+});
+
+test('configurations scale with the short edge and carry the anchor', () => {
+    registerProvider(createManifest({ id: 'corner', anchor: 'top-left' }));
+
+    assert.deepEqual(getProviderConfig('corner', 2000, 2000), {
+        type: 'corner', aspectCategory: 'main', template: 'main', width: 200, height: 80, offsetX: 40, offsetY: 20,
+        refConfig: getProvider('corner').scaling.categories[0], anchor: 'top-left'
+    });
+    assert.throws(() => getProviderConfig('missing', 100, 100), /Unknown watermark provider: missing/);
+    assert.ok(getProviderCandidates(2000, 2000).some(candidate => candidate.type === 'corner'));
+});
+
+test('further placements scale with the short edge and follow the detected scale', () => {
+    registerProvider(createManifest({
+        id: 'marked',
+        placements: [{
+            id: 'logo', anchor: 'center', template: 'main', refWidth: 1000, refHeight: 1000,
+            wmWidth: 300, wmHeight: 300, offsetX: 0, offsetY: 50
+        }]
+    }));
+
+    const [placement] = getPlacementConfigs({ type: 'marked', scale: 1.5 }, 3000, 2000);
+    assert.equal(placement.placement, 'logo');
+    assert.equal(placement.anchor, 'center');
+    assert.deepEqual([placement.width, placement.height, placement.offsetX, placement.offsetY], [900, 900, 0, 150]);
+    assert.deepEqual(getPlacementConfigs({ type: 'missing' }, 3000, 2000), []);
+});
+
+test('an image at a measured aspect ratio uses that reference as measured', () => {
+    registerTwoRatios('ratios');
+
+    const config = getProviderConfig('ratios', 4000, 2000);
+    assert.equal(config.aspectCategory, 'wide');
+    assert.equal(config.aspectBlend, undefined);
+    assert.deepEqual([config.width, config.height, config.offsetX, config.offsetY], [400, 100, 80, 80]);
+
+    // The built-in providers on their own measured sizes
+    for (const [id, width, height, expected] of [
+        ['doubao', 1672, 2508, ['2x3', 225, 43, 50, 50]],
+        ['qwen', 1328, 1328, ['1x1', 234, 46, 28, 30]]
+    ]) {
+        const measured = getProviderConfig(id, width, height);
+        assert.deepEqual([measured.aspectCategory, measured.width, measured.height, measured.offsetX, measured.offsetY], expected);
+    }
+});
+
+test('an image between two ratios interpolates on the log ratio with the nearer template', () => {
+    registerTwoRatios('ratios');
+
+    // log(1.189) is a quarter of log(2)
+    const config = getProviderConfig('ratios', 1189, 1000);
+    assert.deepEqual(config.aspectBlend, { from: 'square', to: 'wide', weight: 0.25 });
+    assert.equal(config.template, 'square');
+    // Width and offsets blended, height at the square template's proportions
+    assert.deepEqual([config.width, config.height, config.offsetX, config.offsetY], [125, 50, 25, 25]);
+
+    assert.equal(getProviderConfig('ratios', 1682, 1000).template, 'wide');
+});
+
+test('ratios outside the measured range use the nearest end reference as measured', () => {
+    registerTwoRatios('ratios');
+
+    for (const [width, height, category] of [[3000, 1000, 'wide'], [1000, 3000, 'square']]) {
+        const config = getProviderConfig('ratios', width, height);
+        assert.equal(config.aspectCategory, category);
+        assert.equal(config.aspectBlend, undefined);
+    }
+    assert.equal(getProviderConfig('ratios', 1000, 3000).width, 100);
+});
+
+test('no interpolation when turned off or when the two references are anchored differently', () => {
+    registerTwoRatios('nearest', { interpolate: false });
+    registerTwoRatios('anchored', {}, { anchor: 'top-left' });
+
+    for (const id of ['nearest', 'anchored']) {
+        const config = getProviderConfig(id, 1189, 1000);
+        assert.equal(config.aspectBlend, undefined, id);
+        assert.equal(config.aspectCategory, 'square', id);
+        assert.deepEqual([config.width, config.height], [100, 40], id);
+    }
+    assert.equal(getProviderConfig('anchored', 1682, 1000).anchor, 'top-left');
+});
+
+test('auto detection tries the blended configuration and every measured reference', () => {
+    registerTwoRatios('ratios');
+
+    const between = getProviderCandidates(1189, 1000).filter(candidate => candidate.type === 'ratios');
+    assert.deepEqual(between.map(candidate => [candidate.aspectCategory, Boolean(candidate.aspectBlend)]),
+        [['square', true], ['square', false], ['wide', false]]);
+
+    const measured = getProviderCandidates(2000, 1000).filter(candidate => candidate.type === 'ratios');
+    assert.deepEqual(measured.map(candidate => candidate.aspectCategory), ['wide', 'square']);
+});
+
+test('aspect ratio references must sit at different ratios', () => {
+    assert.throws(() => registerTwoRatios('twice', {}, { refWidth: 1500, refHeight: 1500 }),
+        /must be measured at different aspect ratios/);
+    assert.throws(() => registerTwoRatios('flag', { interpolate: 'yes' }), /scaling.interpolate must be a boolean/);
+    assert.throws(() => registerProvider(createManifest({ scaling: { rule: 'aspect-ratio', categories: [] } })),
+        /scaling.categories must be a non-empty array/);
+});
+
+test('a calibrated logo holds the first sample below the table and jumps at a repeated edge', () => {
+    for (const [width, height, size, margin, category] of [
+        [600, 800, 48, 32, 'small'],
+        [1024, 1024, 48, 32, 'small'],
+        [1025, 1400, 96, 64, 'medium'],
+        [2048, 2048, 96, 64, 'medium'],
+        [2049, 2049, 96, 64, 'large']
+    ]) {
+        const config = getProviderConfig('gemini', width, height);
+        assert.deepEqual([config.width, config.height, config.offsetX, config.offsetY, config.sizeCategory],
+            [size, size, margin, margin, category], `${width}×${height}`);
+    }
+});
+
+test('a calibrated logo is interpolated inside the table and extrapolated beyond it', () => {
+    const between = getProviderConfig('gemini', 2553, 4000);
+    assert.deepEqual([between.width, between.offsetX], [135, 84]);
+    assert.deepEqual(between.calibration, {
+        samples: [{ shortEdge: 2048, size: 96, margin: 64 }, { shortEdge: 3058, size: 173, margin: 104 }],
+        weight: 0.5
+    });
+
+    const beyond = getProviderConfig('gemini', 4096, 4096);
+    assert.deepEqual([beyond.width, beyond.offsetX, beyond.calibration.weight], [252, 145, 2.028]);
+});
+
+test('the template is the smallest one at least as large as the logo', () => {
+    assert.equal(getProviderConfig('gemini', 800, 800).template, '48');
+    assert.equal(getProviderConfig('gemini', 1500, 1500).template, '96');
+    // Larger than every template: the largest
+    assert.equal(getProviderConfig('gemini', 4096, 4096).template, '96');
+    // A configuration rescaled by multi-scale matching follows its new size
+    assert.equal(getConfigTemplate({ type: 'gemini', template: '96', logoSize: 40 }), '48');
+    assert.equal(getConfigTemplate({ type: 'doubao', template: '3x2' }), '3x2');
+});
+
+test('auto detection also tries every measured sample size as is', () => {
+    const candidates = getProviderCandidates(1500, 1500).filter(candidate => candidate.type === 'gemini');
+    assert.deepEqual(candidates.map(candidate => [candidate.width, candidate.offsetX]),
+        [[96, 64], [48, 32], [173, 104]]);
+});
+
+test('calibration tables must be sorted, with at most one jump per edge and a final segment', () => {
+    const sample = (shortEdge, size, margin = 10) => ({ shortEdge, size, margin });
+    for (const [samples, message] of [
+        [[sample(1000, 50)], /needs at least two samples/],
+        [[sample(1000, 50), sample(900, 60)], /must be sorted by shortEdge/],
+        [[sample(1000, 50), sample(1000, 60), sample(1000, 70), sample(2000, 80)], /more than two samples at short edge 1000/],
+        [[sample(500, 40), sample(1000, 50), sample(1000, 60)], /the last two scaling samples must differ/],
+        [[sample(1000, 50, -1), sample(2000, 60)], /sample 0 needs a non-negative margin/],
+        [[sample(1000, 0), sample(2000, 60)], /sample 0 needs a positive size/],
+        [[{ ...sample(1000, 50), category: 5 }, sample(2000, 60)], /sample 0 category must be a string/]
+    ]) {
+        assert.throws(() => registerProvider(createManifest({ id: 'table', scaling: { rule: 'calibration', samples } })),
+            message, JSON.stringify(samples));
+    }
+});
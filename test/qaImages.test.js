@@ -0,0 +1,74 @@
+/**
+ * QA images: alpha map rendering, amplified differences and rectangle crops
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DIFFERENCE_GAIN, alphaMapToImage, differenceImage, cropImage } from '../js/core/qaImages.js';
+
+/**
+ * Create an image whose red channel holds the pixel index, green the row and blue the column
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} Image data
+ */
+function createIndexedImage(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data.set([i, Math.floor(i / width), i % width, 200], i * 4);
+    }
+    return { data, width, height };
+}
+
+test('an alpha map becomes opaque grey, white where alpha is 1', () => {
+    const image = alphaMapToImage(Float32Array.of(0, 0.5, 1, 0.2), 2, 2);
+    assert.deepEqual([image.width, image.height], [2, 2]);
+    assert.deepEqual([...image.data], [
+        0, 0, 0, 255,
+        128, 128, 128, 255,
+        255, 255, 255, 255,
+        51, 51, 51, 255
+    ]);
+});
+
+test('differences are amplified per channel, saturate at 255 and ignore alpha', () => {
+    const original = createIndexedImage(3, 1);
+    const processed = { ...original, data: original.data.slice() };
+    // Pixel 1 was [1, 0, 1, 200]: red up by 2, blue down by 1, alpha cleared
+    processed.data.set([3, 0, 0, 0], 4);
+    // Pixel 2 was [2, 0, 2, 200]: red up by 100, beyond what the gain can show
+    processed.data.set([102, 0, 2, 255], 8);
+
+    const difference = differenceImage(original, processed);
+    assert.deepEqual([...difference.data], [
+        0, 0, 0, 255,
+        2 * DIFFERENCE_GAIN, 0, DIFFERENCE_GAIN, 255,
+        255, 0, 0, 255
+    ]);
+    assert.deepEqual([...differenceImage(original, processed, 1).data.subarray(4, 8)], [2, 0, 1, 255]);
+});
+
+test('images of different sizes cannot be compared', () => {
+    assert.throws(() => differenceImage(createIndexedImage(3, 2), createIndexedImage(2, 3)),
+        /Image sizes differ: 3×2 and 2×3/);
+});
+
+test('a crop copies the rectangle, clipped to the image', () => {
+    const image = createIndexedImage(5, 4);
+
+    const crop = cropImage(image, { x: 1, y: 2, width: 3, height: 2 });
+    assert.deepEqual([crop.width, crop.height], [3, 2]);
+    assert.deepEqual([...crop.data.subarray(0, 4)], [11, 2, 1, 200]);
+    assert.deepEqual([...crop.data.subarray(20, 24)], [18, 3, 3, 200]);
+
+    const clipped = cropImage(image, { x: 3, y: -1, width: 4, height: 2 });
+    assert.deepEqual([clipped.width, clipped.height], [2, 1]);
+    assert.deepEqual([...clipped.data], [3, 0, 3, 200, 4, 0, 4, 200]);
+});
+
+test('a rectangle outside the image gives no crop', () => {
+    const image = createIndexedImage(5, 4);
+    assert.equal(cropImage(image, { x: 5, y: 0, width: 2, height: 2 }), null);
+    assert.equal(cropImage(image, { x: -3, y: 1, width: 3, height: 2 }), null);
+    assert.equal(cropImage(image, { x: 1, y: 1, width: 0, height: 2 }), null);
+});
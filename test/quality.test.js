@@ -0,0 +1,123 @@
+/**
+ * Quality: residual score after removal on textured and flat backgrounds
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreResidual } from '../js/core/quality.js';
+
+const WIDTH = 96, HEIGHT = 64;
+const POSITION = { x: 40, y: 24, width: 48, height: 32 };
+
+/**
+ * Build an alpha map shaped like a logo: two strong bars with soft edges
+ * @returns {Float32Array} Alpha per watermark pixel (maximum 0.95)
+ */
+function createAlphaMap() {
+    const { width, height } = POSITION;
+    const alphaMap = new Float32Array(width * height);
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            const bar = Math.min(Math.abs(col - 14), Math.abs(col - 33));
+            const inside = row >= 6 && row < height - 6 ? 1 : 0;
+            alphaMap[row * width + col] = 0.95 * inside * Math.max(0, Math.min(1, 5 - bar));
+        }
+    }
+    return alphaMap;
+}
+
+/**
+ * Create a background with a smooth pattern plus pixel noise
+ * @param {number} noise - Noise amplitude per channel
+ * @returns {Object} Image data
+ */
+function createBackground(noise) {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    let seed = 7;
+    const random = () => ((seed = (seed * 1103515245 + 12345) >>> 0) / 2 ** 32);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const idx = (y * WIDTH + x) * 4;
+            const base = 80 + 40 * Math.sin(x / 9) * Math.cos(y / 7);
+            for (let c = 0; c < 3; c++) data[idx + c] = base + c * 15 + noise * random();
+            data[idx + 3] = 255;
+        }
+    }
+    return { width: WIDTH, height: HEIGHT, data };
+}
+
+/**
+ * Apply a per-pixel function to the watermark area of a copy of the image
+ * @param {Object} imageData - Source image data
+ * @param {Function} fn - (value, alpha) => new value for each colour channel
+ * @returns {Object} Modified copy
+ */
+function mapWatermarkArea(imageData, fn) {
+    const alphaMap = createAlphaMap();
+    const data = imageData.data.slice();
+    for (let row = 0; row < POSITION.height; row++) {
+        for (let col = 0; col < POSITION.width; col++) {
+            const alpha = alphaMap[row * POSITION.width + col];
+            const idx = ((POSITION.y + row) * WIDTH + POSITION.x + col) * 4;
+            for (let c = 0; c < 3; c++) data[idx + c] = Math.round(fn(data[idx + c], alpha));
+        }
+    }
+    return { ...imageData, data };
+}
+
+const stamp = (imageData) => mapWatermarkArea(imageData, (value, alpha) => alpha * 255 + (1 - alpha) * value);
+const remove = (imageData) => mapWatermarkArea(imageData, (value, alpha) => (value - alpha * 255) / (1 - alpha));
+
+for (const [name, noise] of [['textured', 40], ['nearly flat', 2]]) {
+    test(`a perfect removal scores high on a ${name} background`, () => {
+        const alphaMap = createAlphaMap();
+        const clean = createBackground(noise);
+        const restored = remove(stamp(clean));
+
+        // Reverse blending amplifies texture and rounding under the logo; that is not a ghost
+        const residual = scoreResidual(restored, alphaMap, POSITION);
+        assert.ok(residual.score >= 70, JSON.stringify(residual));
+        assert.ok(residual.edgeRatio < 1.25, JSON.stringify(residual));
+        assert.ok(scoreResidual(clean, alphaMap, POSITION).score >= 70);
+    });
+
+    test(`a remaining watermark or ghost scores low on a ${name} background`, () => {
+        const alphaMap = createAlphaMap();
+        const watermarked = stamp(createBackground(noise));
+        assert.ok(scoreResidual(watermarked, alphaMap, POSITION).score <= 10);
+
+        // Half-strength ghost left over by an underestimated alpha
+        const ghost = mapWatermarkArea(createBackground(noise), (value, alpha) => alpha * 127 + (1 - alpha / 2) * value);
+        const residual = scoreResidual(ghost, alphaMap, POSITION);
+        assert.ok(residual.score < 70, JSON.stringify(residual));
+        assert.ok(residual.correlation > 0.3);
+    });
+}
+
+test('an over-corrected (dark) ghost correlates negatively', () => {
+    const alphaMap = createAlphaMap();
+    const dark = mapWatermarkArea(createBackground(10), (value, alpha) => value * (1 - alpha / 2));
+    const residual = scoreResidual(dark, alphaMap, POSITION);
+    assert.ok(residual.correlation < -0.3, JSON.stringify(residual));
+    assert.ok(residual.score < 70);
+});
+
+test('the background reference works with hardly any transparent template pixels', () => {
+    // A backdrop box: apart from one corner the whole template is slightly opaque
+    const alphaMap = createAlphaMap().map((alpha, i) => (i % POSITION.width < 3 && i < POSITION.width * 3 ? 0 : Math.max(alpha, 0.2)));
+    const clean = createBackground(40);
+    const data = clean.data.slice();
+    for (let row = 0; row < POSITION.height; row++) {
+        for (let col = 0; col < POSITION.width; col++) {
+            const alpha = alphaMap[row * POSITION.width + col];
+            const idx = ((POSITION.y + row) * WIDTH + POSITION.x + col) * 4;
+            for (let c = 0; c < 3; c++) {
+                const marked = Math.round(alpha * 255 + (1 - alpha) * clean.data[idx + c]);
+                data[idx + c] = Math.round((marked - alpha * 255) / (1 - alpha));
+            }
+        }
+    }
+
+    const residual = scoreResidual({ ...clean, data }, alphaMap, POSITION);
+    assert.ok(residual.score >= 70, JSON.stringify(residual));
+});
@@ -0,0 +1,121 @@
+/**
+ * End-to-end removal on synthetic images
+ * Each provider's own template is blended over a textured, non-black
+ * background; auto mode has to find it, remove it and restore the background.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNodeEngine } from '../cli/nodeEngine.js';
+import {
+    WATERMARK_TYPE, WATERMARK_STATUS, detectWatermarkConfig, calculateWatermarkPosition
+} from '../js/core/watermarkEngine.js';
+
+// Provider and image size; the sizes cover every template and scaling rule
+const CASES = [
+    ['doubao', 1920, 1080],
+    ['doubao', 1024, 1024],
+    ['gemini', 1500, 1200],
+    ['gemini', 3000, 2400],
+    ['qwen', 1328, 1328]
+];
+
+const engine = await createNodeEngine();
+
+/**
+ * Create a textured background: a smooth colour pattern plus pixel noise
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} Image data
+ */
+function createBackground(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    let seed = width + height;
+    const random = () => ((seed = (seed * 1103515245 + 12345) >>> 0) / 2 ** 32);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            const base = 90 + 60 * Math.sin(x / 37) * Math.cos(y / 23);
+            data[idx] = base + 30 * random();
+            data[idx + 1] = base * 0.8 + 20 + 30 * random();
+            data[idx + 2] = base * 0.6 + 40 + 30 * random();
+            data[idx + 3] = 255;
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Blend the provider's white logo over a copy of the image at its predicted position
+ * @param {Object} imageData - Clean image data
+ * @param {string} type - Provider id
+ * @param {number} strength - Factor applied to the template alpha (default: 1)
+ * @returns {Promise<{watermarked: Object, position: Object}>} Watermarked copy and the watermark area
+ */
+async function addWatermark(imageData, type, strength = 1) {
+    const { width, height } = imageData;
+    const config = detectWatermarkConfig(width, height, type);
+    const position = calculateWatermarkPosition(width, height, config);
+    const alphaMap = await engine.getAlphaMap(config);
+    const data = imageData.data.slice();
+
+    for (let row = 0; row < position.height; row++) {
+        for (let col = 0; col < position.width; col++) {
+            const alpha = Math.min(1, strength * alphaMap[row * position.width + col]);
+            const idx = ((position.y + row) * width + position.x + col) * 4;
+            for (let c = 0; c < 3; c++) data[idx + c] = Math.round(alpha * 255 + (1 - alpha) * data[idx + c]);
+        }
+    }
+
+    return { watermarked: { width, height, data }, position };
+}
+
+/**
+ * Absolute difference between two images over an area
+ * @param {Object} a - Image data
+ * @param {Object} b - Image data of the same size
+ * @param {Object} area - Area {x, y, width, height}
+ * @returns {{mean: number, max: number}} Mean and largest difference per colour channel
+ */
+function measureError(a, b, area) {
+    let sum = 0, max = 0;
+    for (let row = area.y; row < area.y + area.height; row++) {
+        for (let col = area.x; col < area.x + area.width; col++) {
+            const idx = (row * a.width + col) * 4;
+            for (let c = 0; c < 3; c++) {
+                const difference = Math.abs(a.data[idx + c] - b.data[idx + c]);
+                sum += difference;
+                max = Math.max(max, difference);
+            }
+        }
+    }
+    return { mean: sum / (area.width * area.height * 3), max };
+}
+
+for (const [type, width, height] of CASES) {
+    test(`removes a ${type} watermark from a textured ${width}×${height} image`, async () => {
+        const clean = createBackground(width, height);
+        const { watermarked, position } = await addWatermark(clean, type);
+
+        const info = await engine.processImageData(watermarked, WATERMARK_TYPE.AUTO);
+        assert.equal(info.status, WATERMARK_STATUS.REMOVED);
+        assert.equal(info.type, type);
+        // A template removed off by a fraction of a pixel leaves a ghost outline with large errors
+        const error = measureError(watermarked, clean, position);
+        assert.deepEqual(info.offset, { x: 0, y: 0 });
+        assert.ok(error.mean < 1 && error.max <= 10, JSON.stringify(error));
+    });
+}
+
+test('a partly removed watermark is kept and flagged for review, not rolled back', async () => {
+    // A logo blended stronger than the template leaves a ghost that still scores 0
+    const clean = createBackground(1328, 1328);
+    const { watermarked, position } = await addWatermark(clean, 'qwen', 1.2);
+    const before = measureError(watermarked, clean, position).mean;
+
+    const info = await engine.processImageData(watermarked, WATERMARK_TYPE.AUTO);
+    assert.equal(info.status, WATERMARK_STATUS.REMOVED);
+    assert.equal(info.qualityScore, 0);
+    assert.equal(info.needsReview, true);
+    assert.ok(measureError(watermarked, clean, position).mean < before / 1.5);
+});
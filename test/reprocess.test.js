@@ -0,0 +1,37 @@
+/**
+ * Regression test: processing an already processed image must leave it unchanged
+ * A second reverse blend over a cleaned corner darkens it, so detection has to
+ * reject the remains of the removed watermark.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createNodeEngine, decodeImage } from '../cli/nodeEngine.js';
+import { WATERMARK_TYPE, WATERMARK_STATUS } from '../js/core/watermarkEngine.js';
+
+// Bundled watermarked samples and their providers
+const SAMPLES = {
+    'doubao1672x2508.png': 'doubao',
+    'doubao1x1.png': 'doubao',
+    'doubao3x2.png': 'doubao',
+    'qwen1328x1328.png': 'qwen'
+};
+
+const engine = await createNodeEngine();
+
+for (const [name, provider] of Object.entries(SAMPLES)) {
+    test(`processing ${name} a second time is a no-op`, async () => {
+        const pixels = decodeImage(await readFile(new URL(`../assets/${name}`, import.meta.url)));
+        const first = await engine.processImageData(pixels, WATERMARK_TYPE.AUTO);
+        assert.equal(first.status, WATERMARK_STATUS.REMOVED);
+        assert.equal(first.type, provider);
+
+        for (const type of [WATERMARK_TYPE.AUTO, provider]) {
+            const again = { width: pixels.width, height: pixels.height, data: new Uint8ClampedArray(pixels.data) };
+            const second = await engine.processImageData(again, type);
+            assert.equal(second.status, WATERMARK_STATUS.NO_WATERMARK, `${type} mode found a watermark again`);
+            assert.deepEqual(again.data, pixels.data);
+        }
+    });
+}
@@ -0,0 +1,70 @@
+/**
+ * Resampling: kernels, partition of unity and deterministic plane resizing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KERNELS, resizePlane } from '../js/core/resample.js';
+
+/**
+ * Check that every value is within a tolerance of the expected one
+ * @param {ArrayLike<number>} actual - Values
+ * @param {ArrayLike<number>} expected - Expected values
+ * @param {number} tolerance - Largest allowed absolute difference
+ */
+function assertClose(actual, expected, tolerance = 1e-6) {
+    assert.equal(actual.length, expected.length);
+    for (let i = 0; i < actual.length; i++) {
+        assert.ok(Math.abs(actual[i] - expected[i]) <= tolerance, `value ${i}: ${actual[i]} != ${expected[i]}`);
+    }
+}
+
+test('kernels are 1 at the centre and 0 at integer offsets and beyond their support', () => {
+    for (const [name, kernel] of Object.entries(KERNELS)) {
+        assert.equal(kernel.weight(0), 1, name);
+        for (let x = 1; x <= kernel.support; x++) {
+            assert.ok(Math.abs(kernel.weight(x)) < 1e-12, `${name}(${x})`);
+            assert.ok(Math.abs(kernel.weight(-x)) < 1e-12, `${name}(-${x})`);
+        }
+        assert.equal(kernel.weight(kernel.support + 0.5), 0, name);
+    }
+});
+
+test('keeps a constant plane constant at any scale, for every kernel and channel count', () => {
+    for (const name of Object.keys(KERNELS)) {
+        for (const [width, height] of [[7, 3], [31, 17], [4, 40]]) {
+            const source = new Float32Array(12 * 10 * 3).fill(0.625);
+            assertClose(resizePlane(source, 12, 10, 3, width, height, name), new Float32Array(width * height * 3).fill(0.625));
+        }
+    }
+});
+
+test('returns a copy when the size does not change', () => {
+    const source = Float32Array.from([0.1, 0.2, 0.3, 0.4]);
+    const result = resizePlane(source, 2, 2, 1, 2, 2);
+    assert.deepEqual(result, source);
+    assert.notEqual(result, source);
+});
+
+test('interpolates linearly with the triangle kernel when enlarging', () => {
+    // Output centres at 0.25, 0.75, ... source pixels from the first source centre
+    const result = resizePlane(Float32Array.from([0, 1]), 2, 1, 1, 4, 1, 'triangle');
+    assertClose(result, [0, 0.25, 0.75, 1]);
+});
+
+test('widens the kernel when halving and renormalizes the taps cut off at the edges', () => {
+    // Interior outputs weigh four pixels 1:3:3:1; the edge outputs lose their outer tap
+    const source = Float32Array.from([0, 1, 2, 3, 4, 5, 6, 7]);
+    assertClose(resizePlane(source, 8, 1, 1, 4, 1, 'triangle'), [5 / 7, 2.5, 4.5, 44 / 7]);
+});
+
+test('is deterministic and keeps channels separate', () => {
+    const source = Float32Array.from({ length: 9 * 6 * 2 }, (_, i) => (i % 2 ? 1 : 0) * ((i * 7919) % 13) / 13);
+    const first = resizePlane(source, 9, 6, 2, 5, 4);
+    assert.deepEqual(resizePlane(source, 9, 6, 2, 5, 4), first);
+    for (let i = 0; i < first.length; i += 2) assert.equal(first[i], 0);
+});
+
+test('rejects unknown kernels', () => {
+    assert.throws(() => resizePlane(new Float32Array(4), 2, 2, 1, 3, 3, 'nearest'), /Unknown resampling kernel: nearest/);
+});
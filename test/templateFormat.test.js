@@ -0,0 +1,62 @@
+/**
+ * Float template format: encode/decode round trip and rejection of bad files
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { encodeTemplate, decodeTemplate } from '../js/core/templateFormat.js';
+
+/**
+ * Build a small template with values that do not fit in 8 bits
+ * @param {boolean} withLogoColor - Add a per-pixel logo colour
+ * @returns {Object} Template {width, height, alphaMap, logoColor, encodedAlpha}
+ */
+function createTemplate(withLogoColor) {
+    const width = 5, height = 3;
+    const alphaMap = Float32Array.from({ length: width * height }, (_, i) => i / 14 + 1e-4);
+    const logoColor = withLogoColor ? Float32Array.from({ length: width * height * 3 }, (_, i) => 255 - i * 1.25) : null;
+    return { width, height, alphaMap, logoColor, encodedAlpha: false };
+}
+
+test('round-trips alpha exactly', () => {
+    const template = createTemplate(false);
+    assert.deepEqual(decodeTemplate(encodeTemplate(template)), template);
+});
+
+test('round-trips a per-pixel logo colour and the encoded alpha flag', () => {
+    const template = { ...createTemplate(true), encodedAlpha: true };
+    const encoded = encodeTemplate(template);
+
+    assert.deepEqual(decodeTemplate(encoded), template);
+    // Also accepts an ArrayBuffer and views with an offset
+    assert.deepEqual(decodeTemplate(encoded.slice().buffer), template);
+    const padded = new Uint8Array(encoded.length + 8);
+    padded.set(encoded, 8);
+    assert.deepEqual(decodeTemplate(padded.subarray(8)), template);
+});
+
+test('drops a logo colour that does not match the template size', () => {
+    const template = { ...createTemplate(false), logoColor: new Float32Array(3) };
+    assert.equal(decodeTemplate(encodeTemplate(template)).logoColor, null);
+});
+
+test('rejects mismatched, foreign, truncated and newer files', () => {
+    assert.throws(() => encodeTemplate({ ...createTemplate(false), width: 6 }), /does not match its size/);
+
+    const encoded = encodeTemplate(createTemplate(true));
+    assert.throws(() => decodeTemplate(new Uint8Array(8)), /Not a watermark template/);
+    assert.throws(() => decodeTemplate(encoded.subarray(0, encoded.length - 4)), /truncated or corrupt/);
+
+    const newer = encoded.slice();
+    newer[4] = 2;
+    assert.throws(() => decodeTemplate(newer), /Unsupported watermark template version: 2/);
+});
+
+test('the bundled 48 px Gemini template is a converted capture', async () => {
+    const template = decodeTemplate(await readFile(new URL('../assets/bg_48.lsjt', import.meta.url)));
+    assert.equal(template.width, 48);
+    assert.equal(template.height, 48);
+    assert.equal(template.encodedAlpha, true);
+    assert.ok(template.alphaMap.every(alpha => alpha >= 0 && alpha <= 1));
+});
@@ -0,0 +1,203 @@
+/**
+ * Worker pool: queueing, targeted tasks, worker errors and crashes, termination
+ * Workers are replaced by fakes that record what they are sent and reply on demand.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkerPool } from '../js/workerPool.js';
+
+/**
+ * Stand-in for a Web Worker
+ */
+class FakeWorker {
+    constructor() {
+        this.messages = [];
+        this.terminated = false;
+        this.onmessage = null;
+        this.onerror = null;
+    }
+
+    /**
+     * Record a message instead of running it
+     * @param {Object} message - Message
+     * @param {Transferable[]} transfer - Transferred buffers
+     */
+    postMessage(message, transfer = []) {
+        this.messages.push({ message, transfer });
+    }
+
+    /**
+     * Mark the worker stopped
+     */
+    terminate() {
+        this.terminated = true;
+    }
+
+    /**
+     * Answer the last task this worker was sent
+     * @param {Object} data - Reply fields, merged into {type: 'done', id}
+     */
+    reply(data = {}) {
+        const { id } = this.messages[this.messages.length - 1].message;
+        this.onmessage({ data: { type: 'done', id, ...data } });
+    }
+
+    /**
+     * Throw outside a message handler
+     * @param {string} message - Error message
+     */
+    crash(message) {
+        this.onerror({ message });
+    }
+}
+
+/**
+ * Create a pool of fake workers
+ * @param {number} size - Number of workers
+ * @returns {{pool: WorkerPool, workers: FakeWorker[]}} Pool and its workers
+ */
+function createPool(size) {
+    const workers = Array.from({ length: size }, () => new FakeWorker());
+    return { pool: new WorkerPool(workers), workers };
+}
+
+/**
+ * Record how a promise settles without leaving it unhandled
+ * @param {Promise} promise - Promise to watch
+ * @returns {{status: string, value: *}} Settlement, updated in place ('pending', 'fulfilled' or 'rejected')
+ */
+function watch(promise) {
+    const state = { status: 'pending', value: undefined };
+    promise.then(
+        value => Object.assign(state, { status: 'fulfilled', value }),
+        error => Object.assign(state, { status: 'rejected', value: error })
+    );
+    return state;
+}
+
+/**
+ * Let settled promises run their callbacks
+ * @returns {Promise<void>} Resolves on the next macrotask
+ */
+function flush() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+test('tasks queue until a worker is idle and settle with that worker\'s reply', async () => {
+    const { pool, workers } = createPool(2);
+    const tasks = ['a', 'b', 'c'].map(name => watch(pool.run({ type: 'process', name })));
+
+    assert.deepEqual(workers.map(worker => worker.messages.map(m => m.message.name)), [['a'], ['b']]);
+
+    workers[1].reply({ value: 2 });
+    await flush();
+    assert.equal(tasks[1].status, 'fulfilled');
+    assert.equal(tasks[1].value.value, 2);
+    // The freed worker takes the queued task
+    assert.deepEqual(workers[1].messages.map(m => m.message.name), ['b', 'c']);
+
+    workers[0].reply();
+    workers[1].reply();
+    await flush();
+    assert.deepEqual(tasks.map(task => task.status), ['fulfilled', 'fulfilled', 'fulfilled']);
+    assert.equal(pool.idle.length, 2);
+});
+
+test('a task for a busy worker waits without holding up tasks behind it', async () => {
+    const { pool, workers } = createPool(2);
+    watch(pool.run({ name: 'long' }));
+
+    const targeted = watch(pool.run({ name: 'load' }, [], workers[0]));
+    watch(pool.run({ name: 'other' }));
+    assert.deepEqual(workers[1].messages.map(m => m.message.name), ['other']);
+
+    workers[0].reply();
+    await flush();
+    assert.deepEqual(workers[0].messages.map(m => m.message.name), ['long', 'load']);
+    workers[0].reply();
+    await flush();
+    assert.equal(targeted.status, 'fulfilled');
+});
+
+test('a worker error rejects its task and the worker carries on', async () => {
+    const { pool, workers } = createPool(1);
+    const failed = watch(pool.run({ name: 'bad' }));
+    const next = watch(pool.run({ name: 'good' }));
+
+    workers[0].onmessage({ data: { type: 'error', id: workers[0].messages[0].message.id, message: 'Decode failed' } });
+    await flush();
+    assert.equal(failed.status, 'rejected');
+    assert.equal(failed.value.message, 'Decode failed');
+    assert.equal(workers[0].messages[1].message.name, 'good');
+
+    workers[0].reply();
+    await flush();
+    assert.equal(next.status, 'fulfilled');
+});
+
+test('a crash rejects only the crashed worker\'s task', async () => {
+    const { pool, workers } = createPool(2);
+    const crashed = watch(pool.run({ name: 'a' }));
+    const other = watch(pool.run({ name: 'b' }));
+    const queued = watch(pool.run({ name: 'c' }));
+
+    workers[0].crash('Out of memory');
+    await flush();
+    assert.equal(crashed.status, 'rejected');
+    assert.equal(crashed.value.message, 'Out of memory');
+    assert.equal(other.status, 'pending');
+    // The crashed worker is reused for the queued task
+    assert.equal(workers[0].messages[1].message.name, 'c');
+
+    workers[0].reply();
+    workers[1].reply();
+    await flush();
+    assert.deepEqual([other.status, queued.status], ['fulfilled', 'fulfilled']);
+});
+
+test('terminating rejects running and queued tasks and stops the workers', async () => {
+    const { pool, workers } = createPool(1);
+    const running = watch(pool.run({ name: 'a' }));
+    const queued = watch(pool.run({ name: 'b' }));
+
+    pool.terminate();
+    await flush();
+    assert.deepEqual([running.status, queued.status], ['rejected', 'rejected']);
+    assert.equal(running.value.message, 'Worker pool terminated');
+    assert.ok(workers[0].terminated);
+
+    // A late reply from a stopped worker is ignored
+    assert.doesNotThrow(() => workers[0].reply());
+});
+
+test('process transfers the file bytes and wraps the replies in blobs', async () => {
+    const { pool, workers } = createPool(1);
+    const file = new Blob([Uint8Array.of(1, 2, 3)], { type: 'image/jpeg' });
+
+    const result = pool.process(file, 'gemini', { denoise: true }, { mimeType: 'image/webp', quality: 0.9 });
+    await flush();
+    const { message, transfer } = workers[0].messages[0];
+    assert.equal(message.type, 'process');
+    assert.equal(message.mimeType, 'image/jpeg');
+    assert.equal(message.watermarkType, 'gemini');
+    assert.deepEqual(transfer, [message.buffer]);
+    assert.deepEqual([...new Uint8Array(message.buffer)], [1, 2, 3]);
+
+    workers[0].reply({
+        buffer: Uint8Array.of(4).buffer, mimeType: 'image/png',
+        output: { buffer: Uint8Array.of(5).buffer, mimeType: 'image/webp' },
+        width: 8, height: 6, info: { status: 'removed' }
+    });
+    const { blob, output, width, height, info } = await result;
+    assert.equal(blob.type, 'image/png');
+    assert.equal(output.type, 'image/webp');
+    assert.deepEqual([...new Uint8Array(await output.arrayBuffer())], [5]);
+    assert.deepEqual([width, height, info.status], [8, 6, 'removed']);
+});
+
+test('a clear-cache request reaches every worker', () => {
+    const { pool, workers } = createPool(3);
+    pool.clearCache();
+    assert.ok(workers.every(worker => worker.messages[0].message.type === 'clearCache'));
+});